@@ -0,0 +1,48 @@
+/**
+ * Converts exported trial data into flat CSV or JSON Lines files for analysis (see
+ * `src/util/dataExport.js`).
+ *
+ * Usage: node scripts/export-data.mjs [--toj-only] [--format csv|jsonl] [--codebook <file>] <file>...
+ *
+ * Input files may contain a JSON array of trial data (as exported by `jsPsych.data.get().json()`)
+ * or one JSON object per line. The trials of all files are written to stdout (with an additional
+ * `file` column), and the codebook is written as a CSV file if `--codebook` is specified.
+ * Requires Node.js 20.19 or later (see `trialData.mjs`).
+ */
+
+import { writeFile } from "fs/promises";
+import { basename } from "path";
+import { parseArgs } from "util";
+
+import { createCodebook, flattenData, toCsv, toJsonLines } from "../src/util/dataExport.js";
+import { readTrials } from "./trialData.mjs";
+
+const { values: options, positionals: files } = parseArgs({
+  options: {
+    "toj-only": { type: "boolean", default: false },
+    format: { type: "string", default: "csv" },
+    codebook: { type: "string" },
+  },
+  allowPositionals: true,
+});
+
+if (files.length === 0 || !["csv", "jsonl"].includes(options.format)) {
+  console.error(
+    "Usage: node scripts/export-data.mjs [--toj-only] [--format csv|jsonl] [--codebook <file>] <file>..."
+  );
+  process.exit(1);
+}
+
+const rows = [];
+for (const file of files) {
+  const trials = await readTrials(file);
+  for (const row of flattenData(trials, { tojTrialsOnly: options["toj-only"] })) {
+    rows.push({ file: basename(file), ...row });
+  }
+}
+
+console.log(options.format === "csv" ? toCsv(rows) : toJsonLines(rows));
+
+if (options.codebook) {
+  await writeFile(options.codebook, toCsv(createCodebook(rows)));
+}
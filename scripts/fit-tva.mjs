@@ -0,0 +1,57 @@
+/**
+ * Fits the TVA-based TOJ model to exported TojPlugin trial data.
+ *
+ * Usage: node scripts/fit-tva.mjs [--group-by field1,field2] [--json] <file>...
+ *
+ * Each file is fit separately. Files may contain a JSON array of trial data (as exported by
+ * `jsPsych.data.get().json()`) or one JSON object per line. Requires Node.js 20.19 or later (see
+ * `trialData.mjs`).
+ */
+
+import { basename } from "path";
+import { parseArgs } from "util";
+
+import { fitTvaModelByCondition } from "../src/util/tva.js";
+import { readTrials } from "./trialData.mjs";
+
+const { values: options, positionals: files } = parseArgs({
+  options: {
+    "group-by": { type: "string", default: "" },
+    json: { type: "boolean", default: false },
+  },
+  allowPositionals: true,
+});
+
+if (files.length === 0) {
+  console.error("Usage: node scripts/fit-tva.mjs [--group-by field1,field2] [--json] <file>...");
+  process.exit(1);
+}
+
+const groupBy = options["group-by"].split(",").filter((field) => field !== "");
+
+const rows = [];
+for (const file of files) {
+  const trials = await readTrials(file);
+  for (const { condition, fit } of fitTvaModelByCondition(trials, groupBy)) {
+    // The parameters of fits that did not converge are meaningless (see `fitTvaModel()`)
+    const parameters = fit.converged
+      ? fit
+      : { ...fit, vProbe: null, vReference: null, C: null, wProbe: null, wReference: null };
+    rows.push({ file: basename(file), ...condition, ...parameters });
+  }
+}
+
+if (options.json) {
+  console.log(JSON.stringify(rows, null, 2));
+} else {
+  console.table(
+    rows.map((row) =>
+      Object.fromEntries(
+        Object.entries(row).map(([key, value]) => [
+          key,
+          typeof value === "number" && !Number.isInteger(value) ? Number(value.toFixed(3)) : value,
+        ])
+      )
+    )
+  );
+}
@@ -0,0 +1,207 @@
+/**
+ * A minimal HTTP server for lab sessions without JATOS: It serves a built experiment and stores
+ * the results that the experiment uploads (see `src/util/ResultsUploader.js`), one JSON file per
+ * participant and session. It does not need an internet connection.
+ *
+ * Usage: node scripts/results-server.mjs [--port 8080] [--results-dir results] <experiment dir>
+ *
+ * `<experiment dir>` is a directory containing the experiment's `index.html`, e.g. the extracted
+ * archive created by `npm run build`.
+ *
+ * Endpoints:
+ *  * `GET /results`: Lists the stored result files as JSON (`[{ participantCode, sessionId, size,
+ *    modified }]`)
+ *  * `PUT /results/<participantCode>/<sessionId>`: Stores the request body (a JSON array of trial
+ *    data) in `<results dir>/<participantCode>/<sessionId>.json`, replacing a previous upload of
+ *    the same session. Files are written atomically (to a temporary file that is then renamed), so
+ *    a result file is always complete.
+ *  * `GET /<path>`: Serves the files of the experiment directory
+ */
+
+import { createServer } from "http";
+import { createReadStream } from "fs";
+import { mkdir, readdir, rename, stat, writeFile } from "fs/promises";
+import { extname, join, normalize, resolve, sep } from "path";
+import { parseArgs } from "util";
+
+const { values: options, positionals } = parseArgs({
+  options: {
+    port: { type: "string", default: "8080" },
+    "results-dir": { type: "string", default: "results" },
+  },
+  allowPositionals: true,
+});
+
+if (positionals.length !== 1) {
+  console.error(
+    "Usage: node scripts/results-server.mjs [--port 8080] [--results-dir results] <experiment dir>"
+  );
+  process.exit(1);
+}
+
+const experimentDir = resolve(positionals[0]);
+const resultsDir = resolve(options["results-dir"]);
+const maxBodySize = 100 * 1024 * 1024;
+
+const contentTypes = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".gif": "image/gif",
+  ".wav": "audio/wav",
+  ".mp3": "audio/mpeg",
+  ".ogg": "audio/ogg",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+};
+
+// Participant codes and session IDs may only contain letters, digits, dashes, and underscores
+const namePattern = /^[\w-]+$/;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sendJson = (response, status, body) => {
+  response.writeHead(status, { "Content-Type": contentTypes[".json"] });
+  response.end(JSON.stringify(body));
+};
+
+const readBody = (request) =>
+  new Promise((resolveBody, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        reject(new HttpError(413, "Request body too large"));
+        request.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    request.on("end", () => resolveBody(Buffer.concat(chunks).toString("utf8")));
+    request.on("error", reject);
+  });
+
+/**
+ * Writes a file atomically by writing to a temporary file in the same directory and renaming it.
+ */
+const writeFileAtomically = async (path, content) => {
+  const temporaryPath = `${path}.${process.pid}.${Date.now()}.tmp`;
+  await writeFile(temporaryPath, content);
+  await rename(temporaryPath, path);
+};
+
+const storeResults = async (request, participantCode, sessionId) => {
+  if (!namePattern.test(participantCode) || !namePattern.test(sessionId)) {
+    throw new HttpError(400, "Invalid participant code or session ID");
+  }
+
+  const body = await readBody(request);
+  try {
+    if (!Array.isArray(JSON.parse(body))) {
+      throw new Error();
+    }
+  } catch {
+    throw new HttpError(400, "The request body is not a JSON array");
+  }
+
+  const directory = join(resultsDir, participantCode);
+  await mkdir(directory, { recursive: true });
+  await writeFileAtomically(join(directory, `${sessionId}.json`), body);
+  console.log(`Stored results of participant ${participantCode}, session ${sessionId}`);
+};
+
+const listResults = async () => {
+  const files = [];
+  const participantCodes = await readdir(resultsDir).catch(() => []);
+  for (const participantCode of participantCodes.sort()) {
+    const directory = join(resultsDir, participantCode);
+    if (!(await stat(directory)).isDirectory()) {
+      continue;
+    }
+    for (const file of (await readdir(directory)).sort()) {
+      if (extname(file) === ".json") {
+        const { size, mtime } = await stat(join(directory, file));
+        files.push({
+          participantCode,
+          sessionId: file.slice(0, -".json".length),
+          size,
+          modified: mtime.toISOString(),
+        });
+      }
+    }
+  }
+  return files;
+};
+
+const serveFile = async (response, urlPath) => {
+  let decodedPath;
+  try {
+    decodedPath = decodeURIComponent(urlPath);
+  } catch {
+    throw new HttpError(400, "Malformed URL");
+  }
+
+  let path = normalize(join(experimentDir, decodedPath));
+  if (path !== experimentDir && !path.startsWith(experimentDir + sep)) {
+    throw new HttpError(403, "Forbidden");
+  }
+
+  let stats = await stat(path).catch(() => null);
+  if (stats?.isDirectory()) {
+    path = join(path, "index.html");
+    stats = await stat(path).catch(() => null);
+  }
+  if (!stats?.isFile()) {
+    throw new HttpError(404, "Not found");
+  }
+
+  response.writeHead(200, {
+    "Content-Type": contentTypes[extname(path).toLowerCase()] ?? "application/octet-stream",
+    "Content-Length": stats.size,
+  });
+  createReadStream(path).pipe(response);
+};
+
+const server = createServer(async (request, response) => {
+  try {
+    const { pathname } = new URL(request.url, "http://localhost");
+    const segments = pathname.split("/").filter((segment) => segment !== "");
+
+    if (segments[0] === "results") {
+      if (request.method === "GET" && segments.length === 1) {
+        sendJson(response, 200, await listResults());
+      } else if (["PUT", "POST"].includes(request.method) && segments.length === 3) {
+        await storeResults(request, segments[1], segments[2]);
+        response.writeHead(204).end();
+      } else {
+        throw new HttpError(405, "Method not allowed");
+      }
+    } else if (["GET", "HEAD"].includes(request.method)) {
+      await serveFile(response, pathname);
+    } else {
+      throw new HttpError(405, "Method not allowed");
+    }
+  } catch (error) {
+    if (!(error instanceof HttpError)) {
+      console.error(error);
+    }
+    if (!response.headersSent) {
+      sendJson(response, error.status ?? 500, { error: error.message });
+    }
+  }
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`Serving ${experimentDir} at http://localhost:${options.port}/`);
+  console.log(`Storing results in ${resultsDir}`);
+});
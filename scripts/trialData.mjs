@@ -0,0 +1,34 @@
+/**
+ * Helpers for the Node scripts that read exported trial data.
+ *
+ * The scripts import ES modules from `src/util`. The package does not declare `"type": "module"`
+ * (the experiments' source files are bundled by jspsych-builder), so Node detects the module
+ * syntax of these files, which requires Node.js 20.19 or later.
+ */
+
+import { readFile } from "fs/promises";
+
+/**
+ * Parses the content of a trial data file: either a JSON array of trial data (as exported by
+ * `jsPsych.data.get().json()`) or one JSON object per line.
+ *
+ * @param {string} content
+ * @returns {object[]}
+ */
+export function parseTrials(content) {
+  return content.trimStart().startsWith("[")
+    ? JSON.parse(content)
+    : content
+        .split("\n")
+        .filter((line) => line.trim() !== "")
+        .map((line) => JSON.parse(line));
+}
+
+/**
+ * Reads and parses a trial data file (see `parseTrials()`).
+ *
+ * @param {string} file The file path
+ */
+export async function readTrials(file) {
+  return parseTrials(await readFile(file, "utf8"));
+}
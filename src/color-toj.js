@@ -19,14 +19,14 @@ import HtmlKeyboardResponsePlugin from "@jspsych/plugin-html-keyboard-response";
 import TojPlugin from "./plugins/TojPlugin";
 
 import delay from "delay";
-import shuffle from "lodash/shuffle";
-import randomInt from "random-int";
 
 import { TouchAdapter } from "./util/TouchAdapter";
 import { Scaler } from "./util/Scaler";
 import { createBarStimulusGrid } from "./util/barStimuli";
 import { setAbsolutePosition } from "./util/positioning";
 import { LabColor } from "./util/colors";
+import { random, seedRandomness } from "./util/random";
+import { estimateRefreshRate } from "./util/introduction";
 
 class ConditionGenerator {
   static gridSize = 7;
@@ -42,7 +42,7 @@ class ConditionGenerator {
   generateOrientation(identifier = null) {
     let orientation;
     do {
-      orientation = randomInt(0, 17) * 10;
+      orientation = random.int(0, 17) * 10;
     } while (identifier && orientation == this._previousOrientations[identifier]);
     if (identifier) {
       this._previousOrientations[identifier] = orientation;
@@ -55,7 +55,7 @@ class ConditionGenerator {
   }
 
   static _generateRandomPos(xRange, yRange) {
-    return [randomInt(...xRange), randomInt(...yRange)];
+    return [random.int(...xRange), random.int(...yRange)];
   }
 
   generatePosition(identifier, xRange = [2, 5], yRange = [2, 5]) {
@@ -70,7 +70,7 @@ class ConditionGenerator {
   generateCondition(probeLeft, salient) {
     const cond = {};
 
-    const [colorLeft, colorRight] = shuffle(this._colors);
+    const [colorLeft, colorRight] = random.shuffle(this._colors);
     if (probeLeft) {
       cond.colorProbe = salient ? colorRight : colorLeft;
       cond.colorProbeGrid = colorLeft;
@@ -94,7 +94,7 @@ class ConditionGenerator {
       cond.posRef = posLeft;
     }
 
-    cond.fixationTime = randomInt(30, 75) * 10;
+    cond.fixationTime = random.int(30, 75) * 10;
     return cond;
   }
 }
@@ -106,6 +106,10 @@ const leftKey = "q",
 
 export async function run() {
   const jsPsych = initJsPsych();
+  seedRandomness(jsPsych);
+
+  const globalProps = { refreshRate: 60 };
+  estimateRefreshRate(globalProps);
   const timeline = [];
 
   const touchAdapterSpace = new TouchAdapter("space");
@@ -166,6 +170,7 @@ export async function run() {
     type: TojPlugin,
     modification_function: (element) => TojPlugin.flashElement(element, "toj-flash", 30),
     soa: jsPsych.timelineVariable("soa"),
+    refresh_rate: () => globalProps.refreshRate,
     probe_key: () => (jsPsych.timelineVariable("probeLeft") ? leftKey : rightKey),
     reference_key: () => (jsPsych.timelineVariable("probeLeft") ? rightKey : leftKey),
     on_start: (trial) => {
@@ -0,0 +1,74 @@
+"use strict";
+
+const soaChoices = [-6, -4, -3, -2, -1, 0, 1, 2, 3, 4, 6].map((x) => x * 16.667);
+
+/**
+ * The definition of the Color TOJ Negation 2 experiment (see `experimentBuilder.js`)
+ */
+export const colorTojNegation2 = {
+  name: "Color TOJ Negation 02",
+  plugin: "toj-negation",
+  instructions: {
+    en: `
+You will see a grid of bars and a point in the middle. Please try to fixate the point during the whole experiment.
+Two of the bars are colored (blue, yellow, red, or green).
+At the beginning of each trial, you will hear an instruction like "now red" or "not yellow" (make sure to turn your sound on).
+This informs you which of the bars is relevant for the respective trial.
+Successively, each of the colored bars will flash once.
+Based on this, your task is to decide whether the bar indicated by the instruction flashed first or second.
+
+If it flashed first, press **{{leftKey}}** (or tap on the left half of your screen).
+If it flashed second, press **{{rightKey}}** (or tap on the right half of your screen).
+
+Please try to be as exact as possible and avoid mistakes.
+If it is not clear to you whether the bar flashed first or second, you may guess the answer.
+
+If, for example, there is a green and a red bar and the voice says “not green” you will have to indicate whether the red bar flashed before the green one (i.e. first, response: **{{leftKey}}** or left tap) or after the green one (i.e. second, response **{{rightKey}}** or right tap).
+
+The experiment will start with a tutorial of 30 trials in which a sound at the end of each trial will indicate whether your answer was correct or not.
+Note that the playback of audio may be delayed for some of the first trials.
+
+If you usually wear glasses, please wear them for the experiment. If you have any form of color blindness, you cannot participate in this experiment.
+    `,
+    de: `
+Sie sehen gleich ein Muster aus Strichen und einen Punkt in der Mitte. Schauen sie möglichst während des gesamten Experimentes auf diesen Punkt.
+Zwei der Striche sind farbig (blau, gelb, rot oder grün).
+Am Anfang jedes Durchgangs hören Sie eine Anweisung wie "jetzt rot" oder "nicht gelb" (denken Sie daran, den Ton einzuschalten).
+Diese sagt Ihnen, welcher der beiden Striche beurteilt werden soll.
+Anschließend wird jeder der farbigen Striche kurz blinken.
+Ihre Aufgabe ist es, zu entscheiden, ob der in der Instruktion benannte Strich zuerst geblinkt hat oder als zweiter.
+
+Hat er zuerst geblinkt (vor dem anderen), drücken Sie **{{leftKey}}** (oder tippen Sie auf die linke Bildschirmhälfte).
+Hat er nach dem anderen, also als zweiter geblinkt, drücken Sie **{{rightKey}}** (oder tippen Sie auf die rechte Bildschirmhälfte).
+
+Versuchen Sie, genau zu sein und keine Fehler zu machen.
+Wenn Sie nicht wissen, welcher Strich zuerst war, raten Sie.
+
+Ein Beispiel: Wenn Sie einen grünen und einen roten Strich sehen und die Stimme „nicht grün“ sagt, müssen Sie den roten Strich beurteilen. Hat er vor dem grünen geblinkt? Dann **{{leftKey}}** drücken oder links tippen. Oder hat er nach dem grünen geblinkt? Dann **{{rightKey}}** drücken oder rechts tippen.
+
+Das Experiment beginnt mit einem Tutorial von 30 Durchgängen, in dem Ihnen die Korrektheit jeder Antwort durch ein Geräusch rückgemeldet wird.
+Die Audiowiedergabe kann bei den ersten Durchgängen leicht verzögert sein.
+
+Falls Sie für üblich eine Brille tragen, setzen Sie diese bitte für das Experiment auf. Falls Sie eine Farbfehlsichtigkeit haben können Sie nicht an diesem Experiment teilnehmen.
+    `,
+  },
+  factors: {
+    isInstructionNegated: [true, false],
+    probeLeft: [true, false],
+    soa: soaChoices,
+  },
+  tutorial: { trialCount: 10, firstParticipationTrialCount: 30 },
+  blocks: { count: 10, strategy: "alternate" },
+  stimulus: {
+    // A single pair of targets with clearly distinct colors
+    feature: { type: "labHue", secondaryOffsets: [90, 180, 270] },
+    pairCount: 1,
+    layout: "sides",
+    gridSize: [7, 7],
+    positionRanges: { left: { x: [3, 5], y: [2, 5] }, right: { x: [2, 4], y: [2, 5] } },
+  },
+  // Left key: The instructed target flashed first, right key: It flashed second
+  responseMapping: "order",
+  // The data of earlier versions of this experiment has an `isProbeLeft` column
+  probeLeftDataProperty: "isProbeLeft",
+};
@@ -0,0 +1,59 @@
+"use strict";
+
+const soaChoices = [-6, -4, -3, -2, -1, 0, 1, 2, 3, 4, 6].map((x) => x * 16.667);
+
+/**
+ * The definition of the Color TOJ Negation 3 experiment (see `experimentBuilder.js`)
+ */
+export const colorTojNegation3 = {
+  name: "Color TOJ Negation 3",
+  plugin: "toj-negation-dual",
+  instructions: {
+    en: `
+You will see a grid of bars and a point in the middle. Please try to focus at the point during the whole experiment.
+Four of the bars are colored (red or green), where there are two pairs of similarly colored bars.
+At the beginning of each trial, you will hear an instruction like "now red" or "not green" (make sure to turn your sound on).
+This informs you which of the two pairs of bars is relevant for the respective trial; you can ignore the other pair then.
+Successively, each of the colored bars will flash once.
+Based on this, your task is to decide which of the two relevant bars has flashed first.
+
+If it was the left one, press **{{leftKey}}** (or tap on the left half of your screen).
+If it was the right one, press **{{rightKey}}** (or tap on the right half of your screen).
+
+Please try to be as exact as possible and avoid mistakes.
+If it is not clear to you whether the left or the right bar flashed earlier, you may guess the answer.
+
+The experiment will start with a tutorial in which a sound at the end of each trial will indicate whether your answer was correct or not.
+Note that the playback of audio may be delayed for some of the first trials.
+    `,
+    de: `
+Sie sehen gleich ein Muster aus Strichen und einen Punkt in der Mitte. Schauen sie möglichst während des gesamten Experimentes auf diesen Punkt.
+Vier der Striche sind farbig (rot oder grün), wobei es jeweils zwei Paare von Strichen ähnlicher Farbe gibt.
+Am Anfang jedes Durchgangs hören Sie eine Anweisung wie "jetzt rot" oder "nicht grün" (denken Sie daran, den Ton einzuschalten).
+Diese sagt Ihnen, welches der beiden Paare für die weitere Aufgabe relevant ist; das jeweils andere Paar brauchen Sie nicht zu beachten.
+Anschließend wird jeder der farbigen Striche kurz blinken.
+Ihre Aufgabe ist es, zu entscheiden, welcher der beiden Striche des relevanten Paares zuerst geblinkt hat.
+
+War es der Linke, drücken Sie **{{leftKey}}** (oder tippen auf die linke Bildschirmhälfte).
+War es der Rechte, drücken Sie **{{rightKey}}** (oder tippen auf die rechte Bildschirmhälfte).
+
+Versuchen Sie, genau zu sein und keine Fehler zu machen.
+Wenn Sie nicht wissen, welcher Strich zuerst war, raten Sie.
+
+Das Experiment beginnt mit einem Tutorial, bei dem Ihnen die Korrektheit jeder Antwort durch ein Geräusch rückgemeldet wird.
+Die Audiowiedergabe kann bei den ersten Durchgängen leicht verzögert sein.
+    `,
+  },
+  factors: {
+    isInstructionNegated: [true, false],
+    probeLeft: [true, false],
+    soa: soaChoices,
+  },
+  tutorial: { trialCount: 10, firstParticipationTrialCount: 30 },
+  blocks: { count: 10, strategy: "alternate" },
+  stimulus: {
+    // The second pair's primary color is opposite to the first pair's primary color
+    feature: { type: "labHue", primaryHues: [0, 180], pairOffsets: [180] },
+    distractorSoas: soaChoices,
+  },
+};
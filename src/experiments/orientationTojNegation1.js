@@ -0,0 +1,62 @@
+"use strict";
+
+const soaChoices = [-6, -4, -3, -2, -1, 0, 1, 2, 3, 4, 6].map((x) => x * 16.667);
+
+/**
+ * The definition of the Orientation TOJ Negation 1 experiment (see `experimentBuilder.js`)
+ */
+export const orientationTojNegation1 = {
+  name: "Orientation TOJ Negation",
+  plugin: "toj-negation-dual",
+  instructions: {
+    en: `
+You will see a grid of bars and a point in the middle. Please try to fixate the point during the whole experiment.
+Four of the bars are darker, two of them horizontal, two vertical.
+At the beginning of each trial, you will hear an instruction like "now horizontal" or "not vertical" (make sure to turn your sound on).
+This informs you which  pair of bars is relevant for the respective trial.
+Successively, each of the darker bars will flash once.
+Based on this, your task is to decide which bar in the relevant pair flashed first.
+
+If the left bar of the relevant pair flashed first, press **{{leftKey}}** (or tap on the left half of your screen).
+If the right bar of the relevant pair flashed first, press **{{rightKey}}** (or tap on the right half of your screen).
+
+Please try to be as exact as possible and avoid mistakes.
+If it is not clear to you whether the bar flashed first or second, you may guess the answer.
+
+The experiment will start with a tutorial of 30 trials in which a sound at the end of each trial will indicate whether your answer was correct or not.
+Note that the playback of audio may be delayed for some of the first trials.
+    `,
+    de: `
+Sie sehen gleich ein Muster aus Balken und einen Punkt in der Mitte. Schauen sie möglichst während des gesamten Experimentes auf diesen Punkt.
+Vier der Balken sind dunkler als die anderen, zwei senkrecht und zwei waagerecht.
+Am Anfang jedes Durchgangs hören Sie eine Anweisung wie "jetzt senkrecht" oder "nicht waagerecht" (denken Sie daran, den Ton einzuschalten).
+Diese sagt Ihnen, welches Paar (relevantes Paar) beurteilt werden soll.
+Anschließend wird jeder der dunkleren Balken kurz blinken.
+Ihre Aufgabe ist es, zu entscheiden, welcher der Balken des relevanten Paars zuerst geblinkt hat.
+
+Hat der linke Balken des relevanten Paars zuerst geblinkt (vor dem anderen), drücken Sie **{{leftKey}}** (oder tippen Sie auf die linke Bildschirmhälfte).
+Hat der rechte Balken des relevanten Paars zuerst geblinkt, drücken Sie **{{rightKey}}** (oder tippen Sie auf die rechte Bildschirmhälfte).
+
+Versuchen Sie, genau zu sein und keine Fehler zu machen.
+Wenn Sie nicht wissen, welcher Strich zuerst war, raten Sie.
+
+Das Experiment beginnt mit einem Tutorial von 30 Durchgängen, in dem Ihnen die Korrektheit jeder Antwort durch ein Geräusch rückgemeldet wird.
+Die Audiowiedergabe kann bei den ersten Durchgängen leicht verzögert sein.
+
+Falls Sie für üblich eine Brille tragen, setzen Sie diese bitte für das Experiment auf.
+    `,
+  },
+  factors: {
+    isInstructionNegated: [true, false],
+    probeLeft: [true, false],
+    soa: soaChoices,
+  },
+  tutorial: { trialCount: 10, firstParticipationTrialCount: 30 },
+  blocks: { count: 10, strategy: "alternate" },
+  stimulus: {
+    feature: { type: "orientation" },
+    positionRanges: { left: { x: [3, 5], y: [1, 2] }, right: { x: [1, 3], y: [1, 2] } },
+    distractorSoas: soaChoices,
+  },
+  parameters: { instruction_base_directory: "media/audio/orientation-toj-negation" },
+};
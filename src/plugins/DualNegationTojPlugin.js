@@ -99,19 +99,56 @@ export class DualNegationTojPlugin extends TojPlugin {
     await playAudio(audioBaseUrl + trial.instruction_filename + ".wav");
 
     const modifyDistractorStimuli = async () => {
+      const fixationOnsetTime = performance.now();
       await delay(trial.distractor_fixation_time);
-      await TojPlugin.doTojModification(
+      const modification = await TojPlugin.doTojModification(
         trial.distractor_probe_element,
         trial.distractor_reference_element,
         trial.modification_function,
-        trial.distractor_soa
+        trial.distractor_soa,
+        this.frameScheduler
       );
+      await modification.finished;
+      return {
+        distractor_fixation_onset: fixationOnsetTime,
+        ...TojPlugin.getModificationData(
+          modification,
+          trial.distractor_soa,
+          this.frameScheduler,
+          "distractor_"
+        ),
+      };
     };
 
-    await Promise.all([
-      super.trial(display_element, trial, on_load, false),
-      modifyDistractorStimuli(),
-    ]);
+    this._distractorModification = modifyDistractorStimuli();
+    await super.trial(display_element, trial, on_load, false);
+  }
+
+  async onBeforeFinish(resultData) {
+    // Aborting the trial stops the distractor modification, so there is no timing to log
+    if (resultData.aborted) {
+      return;
+    }
+    // Log the distractor timing (waiting for the distractor modification to end if necessary)
+    Object.assign(resultData, await this._distractorModification);
+  }
+
+  simulateAdditionalData(trial, resultData, scheduler) {
+    const fixationOnsetTime = resultData.fixation_onset;
+    const modification = TojPlugin.simulateTojModification(
+      trial.distractor_soa,
+      scheduler,
+      fixationOnsetTime + trial.distractor_fixation_time
+    );
+    Object.assign(resultData, {
+      distractor_fixation_onset: fixationOnsetTime,
+      ...TojPlugin.getModificationData(
+        modification,
+        trial.distractor_soa,
+        scheduler,
+        "distractor_"
+      ),
+    });
   }
 }
 
@@ -2,6 +2,8 @@
 
 import delay from "delay";
 import { playAudio } from "../util/audio";
+import { FrameScheduler } from "../util/FrameScheduler";
+import { createObserver } from "../util/observers";
 
 import { JsPsych, JsPsychPlugin, ParameterType, TrialType } from "jspsych";
 // @ts-expect-error something's going wrong here (whatever)
@@ -14,6 +16,40 @@ enum TargetType {
   REFERENCE = "reference",
 }
 
+enum ResponseMode {
+  /** Temporal order judgment: 'probe first' or 'reference first' */
+  TOJ = "toj",
+  /** Simultaneity judgment: 'simultaneous' or 'successive' */
+  SJ = "sj",
+  /** Ternary response: 'probe first', 'simultaneous', or 'reference first' */
+  TERNARY = "ternary",
+}
+
+enum ResponseType {
+  PROBE = "probe",
+  REFERENCE = "reference",
+  SIMULTANEOUS = "simultaneous",
+  SUCCESSIVE = "successive",
+}
+
+type ResponseOption = { response: ResponseType; key: string; touchElement: HTMLElement };
+
+type Response = { response: ResponseType | null; key: string | null };
+
+type AnticipatoryResponse = {
+  type: "key" | "touch";
+  key: string | null;
+  time: number;
+  phase: "fixation" | "presentation";
+};
+
+type ModificationResult = {
+  intendedFrames: number;
+  achievedFrames: number;
+  timestamps: Record<TargetType, { start: number; end: number }>;
+  finished: Promise<void>;
+};
+
 const info = <const>{
   name: "toj-base",
   parameters: {
@@ -51,26 +87,61 @@ const info = <const>{
       default: 800,
     },
     /**
-     * The Stimulus Onset Asynchrony for the plugin's trial
+     * The Stimulus Onset Asynchrony for the plugin's trial. It is rounded to a whole number of
+     * frames.
      */
     soa: {
       type: ParameterType.INT,
       default: undefined,
     },
     /**
-     * The key that the subject uses to give a 'probe first' response
+     * [optional] The display's refresh rate in Hz (e.g. the one measured by `addIntroduction`). It
+     * is used to snap the SOA and modification durations to whole frames.
+     */
+    refresh_rate: {
+      type: ParameterType.FLOAT,
+      default: 60,
+    },
+    /**
+     * [optional] The response mode of the trial: `toj` (default, 'probe first' / 'reference first'
+     * responses), `sj` (simultaneity judgment, 'simultaneous' / 'successive' responses), or
+     * `ternary` ('probe first' / 'simultaneous' / 'reference first' responses)
+     */
+    response_mode: {
+      type: ParameterType.STRING,
+      default: ResponseMode.TOJ,
+    },
+    /**
+     * The key that the subject uses to give a 'probe first' response (`toj` and `ternary` modes)
      */
     probe_key: {
       type: ParameterType.KEY,
       default: undefined,
     },
     /**
-     * The key that the subject uses to give a 'reference first' response
+     * The key that the subject uses to give a 'reference first' response (`toj` and `ternary`
+     * modes)
      */
     reference_key: {
       type: ParameterType.KEY,
       default: undefined,
     },
+    /**
+     * [optional] The key that the subject uses to give a 'simultaneous' response (required in `sj`
+     * and `ternary` modes)
+     */
+    simultaneous_key: {
+      type: ParameterType.KEY,
+      default: null,
+    },
+    /**
+     * [optional] The key that the subject uses to give a 'successive' response (required in `sj`
+     * mode)
+     */
+    successive_key: {
+      type: ParameterType.KEY,
+      default: null,
+    },
     /**
      * [optional] An element on which a touch event on mobile devices should be counted as a 'probe first'
      * response.
@@ -87,6 +158,22 @@ const info = <const>{
       type: ParameterType.OBJECT,
       default: null,
     },
+    /**
+     * [optional] An element on which a touch event on mobile devices should be counted as a
+     * 'simultaneous' response.
+     */
+    simultaneous_touch_element: {
+      type: ParameterType.OBJECT,
+      default: null,
+    },
+    /**
+     * [optional] An element on which a touch event on mobile devices should be counted as a
+     * 'successive' response.
+     */
+    successive_touch_element: {
+      type: ParameterType.OBJECT,
+      default: null,
+    },
     /**
      * [optional] The HTML code of the fixation mark
      */
@@ -103,6 +190,92 @@ const info = <const>{
       pretty_name: "Play feedback",
       default: false,
     },
+    /**
+     * [optional] The maximum time (in milliseconds, starting after the second stimulus
+     * modification) that the subject has to respond. If no response is given in time, the trial
+     * ends with a `null` response. If `null` (default), the trial waits for a response forever.
+     */
+    response_timeout: {
+      type: ParameterType.INT,
+      default: null,
+    },
+    /**
+     * [optional] The HTML code of a message (e.g. "Too slow!") that is shown if the response
+     * timeout expires
+     */
+    timeout_feedback_html: {
+      type: ParameterType.HTML_STRING,
+      default: null,
+    },
+    /**
+     * [optional] The URL of a sound file that is played if the response timeout expires
+     */
+    timeout_feedback_audio: {
+      type: ParameterType.AUDIO,
+      default: null,
+    },
+    /**
+     * [optional] How long (in milliseconds) the `timeout_feedback_html` message is shown
+     */
+    timeout_feedback_duration: {
+      type: ParameterType.INT,
+      default: 1000,
+    },
+    /**
+     * [optional] Whether to ask the subject for a confidence rating after each (non-missed) response
+     */
+    confidence_rating: {
+      type: ParameterType.BOOL,
+      default: false,
+    },
+    /**
+     * [optional] The HTML code of the prompt that is shown above the confidence rating options
+     */
+    confidence_prompt_html: {
+      type: ParameterType.HTML_STRING,
+      default: "<p>How confident are you in your response?</p>",
+    },
+    /**
+     * [optional] The labels of the confidence rating options, from lowest (rating 1) to highest
+     * confidence
+     */
+    confidence_labels: {
+      type: ParameterType.STRING,
+      array: true,
+      default: ["Guessed", "Rather unsure", "Rather sure", "Sure"],
+    },
+    /**
+     * [optional] The keys that the subject uses to select the confidence rating options (in the
+     * order of `confidence_labels`, one key per label)
+     */
+    confidence_keys: {
+      type: ParameterType.KEY,
+      array: true,
+      default: ["1", "2", "3", "4"],
+    },
+    /**
+     * [optional] Whether to abort the trial if a key is pressed or the screen is touched during the
+     * fixation time or the stimulus presentation. Premature responses are logged in either case.
+     */
+    abort_on_anticipation: {
+      type: ParameterType.BOOL,
+      default: false,
+    },
+    /**
+     * [optional] The HTML code of the warning that is shown when a trial is aborted due to a
+     * premature response
+     */
+    anticipation_warning_html: {
+      type: ParameterType.HTML_STRING,
+      default: "<p>Please wait until both stimuli have changed before you respond.</p>",
+    },
+    /**
+     * [optional] How long (in milliseconds) the `anticipation_warning_html` warning is shown
+     */
+    anticipation_warning_duration: {
+      type: ParameterType.INT,
+      default: 2000,
+    },
   },
 };
 
@@ -124,24 +297,37 @@ export class TojPlugin implements JsPsychPlugin<Info> {
    */
   static current = null;
 
+  /**
+   * Returns the frame scheduler of the current trial, or a scheduler with the default refresh rate
+   * if no trial is running.
+   */
+  static getFrameScheduler(): FrameScheduler {
+    return TojPlugin.current?.frameScheduler ?? new FrameScheduler();
+  }
+
   /**
    * Shows a DOM element and optionally hides it again after a specified timeout.
    *
-   * @param {Element} element The DOM element to be shown
+   * Like the other modification helpers, this also works with canvas-backed stimuli (see
+   * `CanvasBarGrid`), which are redrawn immediately, i.e. in the current frame.
+   *
+   * @param {Element} element The DOM element (or `CanvasBar`) to be shown
    * @param {number} hideAfter (optional) If set, the given DOM element will be hidden again after
-   * the specified time in milliseconds has passed.
+   * the specified time in milliseconds (rounded to whole frames, at least one frame) has passed.
    */
-  static showElement(element, hideAfter = 0) {
+  static async showElement(element, hideAfter = 0) {
     element.style.visibility = "visible";
     if (hideAfter !== 0) {
-      window.setTimeout(TojPlugin.hideElement, hideAfter, element);
+      const scheduler = TojPlugin.getFrameScheduler();
+      await scheduler.waitFrames(Math.max(1, scheduler.msToFrames(hideAfter)));
+      TojPlugin.hideElement(element);
     }
   }
 
   /**
    * Hides a DOM element.
    *
-   * @param {Element} element The DOM element to be hidden
+   * @param {Element} element The DOM element (or `CanvasBar`) to be hidden
    */
   static hideElement(element) {
     element.style.visibility = "hidden";
@@ -150,37 +336,198 @@ export class TojPlugin implements JsPsychPlugin<Info> {
   /**
    * Makes an element flash by temporarily applying a specified css class.
    *
-   * @param {Element} element
+   * @param {Element} element The DOM element (or `CanvasBar`, which flashes if `flashClass` is its
+   * grid's flash class)
    * @param {string} flashClass
-   * @param {number} flashDuration
+   * @param {number} flashDuration The flash duration in milliseconds (rounded to whole frames, at
+   * least one frame)
    */
   static async flashElement(element, flashClass, flashDuration) {
+    const scheduler = TojPlugin.getFrameScheduler();
     element.classList.add(flashClass);
-    await delay(flashDuration);
+    await scheduler.waitFrames(Math.max(1, scheduler.msToFrames(flashDuration)));
     element.classList.remove(flashClass);
   }
 
   /**
    * Given a two DOM elements, a SOA value, and a modification function, applies the modification
-   * function to the elements according to the given SOA.
+   * function to the elements according to the given SOA. The modifications are aligned to frames,
+   * and the SOA is rounded to a whole number of frames.
    *
    * @param {Element} probe
    * @param {Element} reference
    * @param {(element: Element) => Promise<void>} modificationFunction
    * @param {number} soa
+   * @param {FrameScheduler} scheduler The frame scheduler to be used (defaults to the current
+   * trial's one)
    *
+   * @returns The intended and the achieved SOA in frames (negative = probe first), the
+   * `performance.now()` timestamps at which each modification started and ended, and a promise
+   * that resolves once both modifications have ended
    */
-  static async doTojModification(probe, reference, modificationFunction, soa) {
-    if (soa < 0) {
-      modificationFunction(probe);
-      await delay(-soa);
-      modificationFunction(reference);
-    } else {
-      modificationFunction(reference);
-      if (soa != 0) {
-        await delay(soa);
-      }
-      modificationFunction(probe);
+  static async doTojModification(
+    probe,
+    reference,
+    modificationFunction,
+    soa,
+    scheduler = TojPlugin.getFrameScheduler()
+  ): Promise<ModificationResult> {
+    const timestamps: ModificationResult["timestamps"] = {
+      probe: { start: null, end: null },
+      reference: { start: null, end: null },
+    };
+    const elements = { [TargetType.PROBE]: probe, [TargetType.REFERENCE]: reference };
+    const modify = (target: TargetType) => {
+      timestamps[target].start = performance.now();
+      return Promise.resolve(modificationFunction(elements[target])).then(() => {
+        timestamps[target].end = performance.now();
+      });
+    };
+
+    const [first, second] =
+      soa < 0 ? [TargetType.PROBE, TargetType.REFERENCE] : [TargetType.REFERENCE, TargetType.PROBE];
+    const intendedFrames = scheduler.msToFrames(Math.abs(soa));
+
+    const firstTimestamp = await scheduler.nextFrame();
+    const firstModification = modify(first);
+    const secondTimestamp =
+      intendedFrames === 0 ? firstTimestamp : await scheduler.waitFrames(intendedFrames);
+    const secondModification = modify(second);
+
+    const sign = soa < 0 ? -1 : 1;
+    return {
+      intendedFrames: sign * intendedFrames,
+      achievedFrames: sign * scheduler.countFrames(firstTimestamp, secondTimestamp),
+      timestamps,
+      finished: Promise.all([firstModification, secondModification]).then(() => {}),
+    };
+  }
+
+  /**
+   * Converts the result of `doTojModification` into trial data properties, comparing the achieved
+   * SOA with the requested one. All property names are prefixed with `prefix`.
+   *
+   * @param {ModificationResult} result
+   * @param {number} soa The requested SOA
+   * @param {FrameScheduler} scheduler
+   * @param {string} prefix
+   */
+  static getModificationData(result: ModificationResult, soa, scheduler, prefix = "") {
+    const { probe, reference } = result.timestamps;
+    const achievedSoa = probe.start - reference.start;
+    return {
+      [`${prefix}soa_achieved`]: achievedSoa,
+      [`${prefix}soa_warning`]: Math.abs(achievedSoa - soa) > scheduler.frameDuration,
+      [`${prefix}soa_frames_intended`]: result.intendedFrames,
+      [`${prefix}soa_frames_achieved`]: result.achievedFrames,
+      [`${prefix}probe_modification_start`]: probe.start,
+      [`${prefix}probe_modification_end`]: probe.end,
+      [`${prefix}reference_modification_start`]: reference.start,
+      [`${prefix}reference_modification_end`]: reference.end,
+    };
+  }
+
+  /**
+   * Returns the result of a simulated stimulus modification (like the one of `doTojModification`,
+   * but computed instead of measured and without timing errors), for jsPsych's simulation mode.
+   *
+   * @param {number} soa
+   * @param {FrameScheduler} scheduler
+   * @param {number} startTime The time stamp of the first modification
+   */
+  static simulateTojModification(
+    soa: number,
+    scheduler: FrameScheduler,
+    startTime: number
+  ): ModificationResult {
+    const frames = (soa < 0 ? -1 : 1) * scheduler.msToFrames(Math.abs(soa));
+    const secondTime = startTime + scheduler.framesToMs(Math.abs(frames));
+    const [probeTime, referenceTime] = soa < 0 ? [startTime, secondTime] : [secondTime, startTime];
+    return {
+      intendedFrames: frames,
+      achievedFrames: frames,
+      timestamps: {
+        probe: { start: probeTime, end: probeTime },
+        reference: { start: referenceTime, end: referenceTime },
+      },
+      finished: Promise.resolve(),
+    };
+  }
+
+  /**
+   * Returns the response options (response type, key, and touch element) of a trial, depending on
+   * the trial's response mode.
+   *
+   * @param trial The trial's parameters
+   */
+  static getResponseOptions(trial: TrialType<Info>): ResponseOption[] {
+    const option = (response: ResponseType): ResponseOption => ({
+      response,
+      key: trial[`${response}_key`],
+      touchElement: trial[`${response}_touch_element`] as HTMLElement,
+    });
+
+    switch (trial.response_mode) {
+      case ResponseMode.TOJ:
+        return [option(ResponseType.PROBE), option(ResponseType.REFERENCE)];
+      case ResponseMode.SJ:
+        return [option(ResponseType.SIMULTANEOUS), option(ResponseType.SUCCESSIVE)];
+      case ResponseMode.TERNARY:
+        return [
+          option(ResponseType.PROBE),
+          option(ResponseType.SIMULTANEOUS),
+          option(ResponseType.REFERENCE),
+        ];
+      default:
+        throw new Error(`Unknown response mode "${trial.response_mode}".`);
+    }
+  }
+
+  /**
+   * Returns whether a response is correct for a given SOA and response mode. In `toj` mode, both
+   * responses are counted as correct if the SOA is 0.
+   *
+   * @param {string} responseMode
+   * @param {number} soa
+   * @param {string} response
+   */
+  static isResponseCorrect(responseMode, soa, response) {
+    switch (responseMode) {
+      case ResponseMode.TOJ:
+        return (
+          (soa <= 0 && response == ResponseType.PROBE) ||
+          (soa >= 0 && response == ResponseType.REFERENCE)
+        );
+      case ResponseMode.SJ:
+        return response == (soa == 0 ? ResponseType.SIMULTANEOUS : ResponseType.SUCCESSIVE);
+      case ResponseMode.TERNARY:
+        return (
+          response ==
+          (soa < 0
+            ? ResponseType.PROBE
+            : soa > 0
+            ? ResponseType.REFERENCE
+            : ResponseType.SIMULTANEOUS)
+        );
+      default:
+        throw new Error(`Unknown response mode "${responseMode}".`);
+    }
+  }
+
+  /**
+   * Throws an error if a trial asks for a confidence rating but the numbers of confidence labels
+   * and confidence keys differ.
+   *
+   * @param trial The trial's parameters
+   */
+  static validateConfidenceOptions(trial: TrialType<Info>) {
+    if (
+      trial.confidence_rating &&
+      trial.confidence_labels.length !== trial.confidence_keys.length
+    ) {
+      throw new Error(
+        `The numbers of confidence labels (${trial.confidence_labels.length}) and confidence keys (${trial.confidence_keys.length}) differ.`
+      );
     }
   }
 
@@ -192,6 +539,12 @@ export class TojPlugin implements JsPsychPlugin<Info> {
   }
 
   protected jsPsych: JsPsych;
+
+  /**
+   * The frame scheduler of the current trial
+   */
+  frameScheduler: FrameScheduler;
+
   constructor(jsPsych: JsPsych) {
     this.jsPsych = jsPsych;
     this.container = TojPlugin.__createContainer();
@@ -219,74 +572,407 @@ export class TojPlugin implements JsPsychPlugin<Info> {
     });
   }
 
+  /**
+   * Waits for a keyboard or touch response out of the trial's response options and returns the
+   * response type along with the corresponding key. If the trial's `response_timeout` expires
+   * before a response is given, both the response type and the key are `null`.
+   *
+   * @param trial The trial's parameters
+   */
+  async getResponse(trial: TrialType<Info>): Promise<Response> {
+    const options = TojPlugin.getResponseOptions(trial);
+
+    const keyboardResponse = this.getKeyboardResponsePromisified({
+      valid_responses: options.map((option) => option.key),
+      rt_method: "performance",
+      persist: false,
+      allow_held_key: false,
+    }).then((result) =>
+      options.find((option) => this.jsPsych.pluginAPI.compareKeys(result.key, option.key))
+    );
+
+    const touchListeners: [HTMLElement, () => void][] = [];
+    const touchResponses = options.map(
+      (option) =>
+        new Promise<ResponseOption>((resolve) => {
+          if (option.touchElement) {
+            const listener = () => resolve(option);
+            option.touchElement.addEventListener("touchstart", listener);
+            touchListeners.push([option.touchElement, listener]);
+          }
+        })
+    );
+
+    const responses: Promise<Response>[] = [keyboardResponse, ...touchResponses];
+    let timeoutHandle: number | undefined;
+    if (trial.response_timeout !== null) {
+      responses.push(
+        new Promise((resolve) => {
+          timeoutHandle = this.jsPsych.pluginAPI.setTimeout(() => {
+            resolve({ response: null, key: null });
+          }, trial.response_timeout);
+        })
+      );
+    }
+
+    const { response, key } = await Promise.race(responses);
+    clearTimeout(timeoutHandle);
+    this.jsPsych.pluginAPI.cancelAllKeyboardResponses();
+    for (const [element, listener] of touchListeners) {
+      element.removeEventListener("touchstart", listener);
+    }
+    return { response, key };
+  }
+
+  /**
+   * Shows the confidence rating options of a trial and waits for a keyboard or touch response.
+   * Returns the confidence data to be added to the trial's result data.
+   *
+   * @param display_element
+   * @param trial The trial's parameters
+   */
+  async getConfidenceRating(display_element: HTMLElement, trial: TrialType<Info>) {
+    const options = trial.confidence_labels.map(
+      (label, index) =>
+        `<div class="toj-confidence-option">` +
+        `<span class="toj-confidence-key">${trial.confidence_keys[index]}</span>${label}</div>`
+    );
+    display_element.innerHTML =
+      `<div class="toj-confidence">${trial.confidence_prompt_html}` +
+      `<div class="toj-confidence-options">${options.join("")}</div></div>`;
+
+    const startTime = performance.now();
+
+    const keyboardRating = this.getKeyboardResponsePromisified({
+      valid_responses: trial.confidence_keys,
+      rt_method: "performance",
+      persist: false,
+      allow_held_key: false,
+    }).then(({ key }) => ({
+      rating: trial.confidence_keys.findIndex((ratingKey) =>
+        this.jsPsych.pluginAPI.compareKeys(key, ratingKey)
+      ),
+      key,
+    }));
+
+    const touchRatings = Array.from(
+      display_element.querySelectorAll(".toj-confidence-option"),
+      (element, index) =>
+        new Promise<{ rating: number; key: string }>((resolve) => {
+          element.addEventListener("touchstart", () => {
+            resolve({ rating: index, key: null });
+          });
+        })
+    );
+
+    const { rating, key } = await Promise.race([keyboardRating, ...touchRatings]);
+    const endTime = performance.now();
+
+    this.jsPsych.pluginAPI.cancelAllKeyboardResponses();
+    display_element.innerHTML = "";
+
+    return {
+      confidence: rating + 1,
+      confidence_key: key,
+      confidence_rt: Math.round(endTime - startTime),
+    };
+  }
+
+  /**
+   * Shows a feedback message and plays a feedback sound (if specified) and waits until both are
+   * finished.
+   *
+   * @param display_element
+   * @param feedback
+   * @param feedback.html The HTML code of the message
+   * @param feedback.duration How long (in milliseconds) the message is shown
+   * @param feedback.audio The URL of the sound file
+   */
+  async showFeedback(
+    display_element: HTMLElement,
+    {
+      html = null,
+      duration = 0,
+      audio = null,
+    }: { html?: string; duration?: number; audio?: string }
+  ) {
+    const feedback = [];
+    if (audio) {
+      feedback.push(playAudio(audio));
+    }
+    if (html) {
+      display_element.innerHTML = html;
+      feedback.push(delay(duration));
+    }
+    await Promise.all(feedback);
+    display_element.innerHTML = "";
+  }
+
+  /**
+   * Starts logging key presses and touches (on the display element) that happen before the
+   * response window has started. The returned object's `phase` property should be updated when a
+   * new phase starts, and `stop()` has to be called once the response window starts.
+   *
+   * @param display_element
+   */
+  monitorAnticipatoryResponses(display_element: HTMLElement) {
+    let onDetected: () => void;
+    const monitor = {
+      phase: "fixation" as AnticipatoryResponse["phase"],
+      responses: [] as AnticipatoryResponse[],
+      /** A promise that resolves on the first premature response */
+      detected: new Promise<void>((resolve) => {
+        onDetected = resolve;
+      }),
+      stop: () => {
+        this.jsPsych.pluginAPI.cancelKeyboardResponse(keyboardListener);
+        display_element.removeEventListener("touchstart", touchListener, true);
+      },
+    };
+
+    const log = (type: AnticipatoryResponse["type"], key: string | null) => {
+      monitor.responses.push({ type, key, time: performance.now(), phase: monitor.phase });
+      onDetected();
+    };
+
+    const keyboardListener = this.jsPsych.pluginAPI.getKeyboardResponse({
+      callback_function: ({ key }) => log("key", key),
+      valid_responses: "ALL_KEYS",
+      rt_method: "performance",
+      persist: true,
+      allow_held_key: false,
+    });
+    const touchListener = () => log("touch", null);
+    display_element.addEventListener("touchstart", touchListener, true);
+
+    return monitor;
+  }
+
+  /**
+   * Called with the result data of a trial before the trial is finished. Subclasses may override
+   * this to add their own data.
+   *
+   * @param {object} resultData
+   */
+  protected async onBeforeFinish(resultData: Record<string, any>) {}
+
+  /**
+   * Called in simulation mode with the simulated result data of a trial. Subclasses that add their
+   * own data in `onBeforeFinish()` may override this to add simulated values of that data.
+   *
+   * @param trial The trial's parameters
+   * @param {object} resultData
+   * @param {FrameScheduler} scheduler
+   */
+  protected simulateAdditionalData(
+    trial: TrialType<Info>,
+    resultData: Record<string, any>,
+    scheduler: FrameScheduler
+  ) {}
+
+  /**
+   * Simulates a trial in jsPsych's simulation mode: The response is given by a simulated observer
+   * (see `observers.js`) that is created from the `observer` simulation option, and the result
+   * data has the same properties as the one of a real trial. In both simulation modes, nothing is
+   * displayed (so simulated experiments run fast).
+   *
+   * @param trial The trial's parameters
+   * @param simulation_mode
+   * @param simulation_options The simulation options, e.g. `{ observer: { type: "tva", vProbe:
+   * 60, vReference: 40 } }`. Like in other plugins, the `data` option overrides result data
+   * properties.
+   * @param load_callback
+   */
+  simulate(
+    trial: TrialType<Info>,
+    simulation_mode: "data-only" | "visual",
+    simulation_options: any,
+    load_callback: () => void
+  ) {
+    TojPlugin.validateConfidenceOptions(trial);
+    TojPlugin.current = this;
+    this.frameScheduler = new FrameScheduler(trial.refresh_rate);
+    const scheduler = this.frameScheduler;
+    const observer = createObserver(simulation_options?.observer);
+
+    const fixationOnsetTime = performance.now();
+    const modification = TojPlugin.simulateTojModification(
+      trial.soa,
+      scheduler,
+      fixationOnsetTime + trial.fixation_time
+    );
+    const { probe, reference } = modification.timestamps;
+    const responseStartTime = Math.max(probe.start, reference.start);
+
+    const { response, rt, certainty } = observer.respond(trial.soa, trial.response_mode);
+    const timedOut = trial.response_timeout !== null && rt > trial.response_timeout;
+
+    const resultData = {
+      ...omit(trial, ["type", "fixation_mark_html", "probe_element", "reference_element"]),
+      fixation_onset: fixationOnsetTime,
+      anticipatory_responses: [],
+      response_key: timedOut
+        ? null
+        : TojPlugin.getResponseOptions(trial).find((option) => option.response === response).key,
+      response: timedOut ? null : response,
+      response_correct: timedOut
+        ? null
+        : TojPlugin.isResponseCorrect(trial.response_mode, trial.soa, response),
+      timed_out: timedOut,
+      aborted: false,
+      rt: timedOut ? null : rt,
+      ...TojPlugin.getModificationData(modification, trial.soa, scheduler),
+      response_window_start: responseStartTime,
+      response_window_end: responseStartTime + (timedOut ? trial.response_timeout : rt),
+    };
+
+    if (trial.confidence_rating) {
+      // The more certain the observer, the higher the rating
+      const ratingCount = trial.confidence_keys.length;
+      const rating = Math.min(ratingCount, 1 + Math.floor(certainty * ratingCount));
+      Object.assign(
+        resultData,
+        timedOut
+          ? { confidence: null, confidence_key: null, confidence_rt: null }
+          : {
+              confidence: rating,
+              confidence_key: trial.confidence_keys[rating - 1],
+              confidence_rt: observer.sampleRt(),
+            }
+      );
+    }
+
+    this.simulateAdditionalData(trial, resultData, scheduler);
+
+    // The stimuli are created (e.g. in `on_load`), but not displayed
+    load_callback();
+    TojPlugin.current = null;
+    this.jsPsych.finishTrial(
+      this.jsPsych.pluginAPI.mergeSimulationData(resultData, simulation_options)
+    );
+  }
+
   _appendContainerToDisplayElement(display_element, trial) {
     this.container.insertAdjacentHTML("beforeend", trial.fixation_mark_html);
     display_element.appendChild(this.container);
   }
 
   async trial(display_element, trial: TrialType<Info>, on_load, standalone = true) {
+    TojPlugin.validateConfidenceOptions(trial);
     TojPlugin.current = this;
 
+    // Aborting the trial stops the stimulus presentation
+    const abortController = new AbortController();
+    this.frameScheduler = new FrameScheduler(trial.refresh_rate, {
+      signal: abortController.signal,
+    });
+
     if (standalone) {
       this._appendContainerToDisplayElement(display_element, trial);
       on_load();
     }
 
-    await delay(trial.fixation_time);
-
-    // Modify stimulus elements according to SOA
-    await TojPlugin.doTojModification(
-      trial.probe_element,
-      trial.reference_element,
-      trial.modification_function ?? TojPlugin.showElement,
-      trial.soa
-    );
+    const anticipation = this.monitorAnticipatoryResponses(display_element);
 
-    const responseStartTime = performance.now();
+    const fixationOnsetTime = performance.now();
+    const presentation = (async () => {
+      await delay(trial.fixation_time);
+      if (abortController.signal.aborted) {
+        return null;
+      }
+      anticipation.phase = "presentation";
+
+      // Modify stimulus elements according to SOA
+      return await TojPlugin.doTojModification(
+        trial.probe_element,
+        trial.reference_element,
+        trial.modification_function ?? TojPlugin.showElement,
+        trial.soa,
+        this.frameScheduler
+      );
+    })();
+
+    const modification = await (trial.abort_on_anticipation
+      ? Promise.race([presentation, anticipation.detected.then(() => null)])
+      : presentation);
+    anticipation.stop();
+
+    const commonResultData = {
+      ...omit(trial, ["type", "fixation_mark_html", "probe_element", "reference_element"]),
+      fixation_onset: fixationOnsetTime,
+      anticipatory_responses: anticipation.responses,
+    };
 
-    const probeTouched = new Promise<TargetType>((resolve) => {
-      (trial.probe_touch_element as HTMLElement)?.addEventListener("touchstart", () => {
-        resolve(TargetType.PROBE);
+    if (modification === null) {
+      // The trial was aborted due to a premature response
+      abortController.abort();
+      display_element.innerHTML = "";
+      const resultData = {
+        ...commonResultData,
+        response_key: null,
+        response: null,
+        response_correct: null,
+        timed_out: false,
+        aborted: true,
+        rt: null,
+      };
+      await this.onBeforeFinish(resultData);
+      await this.showFeedback(display_element, {
+        html: trial.anticipation_warning_html,
+        duration: trial.anticipation_warning_duration,
       });
-    });
-    const referenceTouched = new Promise<TargetType>((resolve) => {
-      (trial.reference_touch_element as HTMLElement)?.addEventListener("touchstart", () => {
-        resolve(TargetType.REFERENCE);
-      });
-    });
 
-    const response = await Promise.race([
-      this.getKeyboardResponsePromisified({
-        valid_responses: [trial.probe_key, trial.reference_key],
-        rt_method: "performance",
-        persist: false,
-        allow_held_key: false,
-      }).then((result) => {
-        return Promise.resolve(
-          result.key === trial.probe_key ? TargetType.PROBE : TargetType.REFERENCE
-        );
-      }),
-      probeTouched,
-      referenceTouched,
-    ]);
+      TojPlugin.current = null;
+      this.jsPsych.finishTrial(resultData);
+      return;
+    }
+
+    const responseStartTime = performance.now();
+
+    const { response, key: responseKey } = await this.getResponse(trial);
 
     const responseEndTime = performance.now();
+    await modification.finished;
 
     // Clear the screen
     display_element.innerHTML = "";
 
-    let correct =
-      (trial.soa <= 0 && response == "probe") || (trial.soa >= 0 && response == "reference");
+    const timedOut = response === null;
+    let correct = timedOut
+      ? null
+      : TojPlugin.isResponseCorrect(trial.response_mode, trial.soa, response);
 
     const resultData = {
-      ...omit(trial, ["type", "fixation_mark_html", "probe_element", "reference_element"]),
-      response_key: response === TargetType.PROBE ? trial.probe_key : trial.reference_key,
+      ...commonResultData,
+      response_key: responseKey,
       response: response,
       response_correct: correct,
-      rt: Math.round(responseEndTime - responseStartTime),
+      timed_out: timedOut,
+      aborted: false,
+      rt: timedOut ? null : Math.round(responseEndTime - responseStartTime),
+      ...TojPlugin.getModificationData(modification, trial.soa, this.frameScheduler),
+      response_window_start: responseStartTime,
+      response_window_end: responseEndTime,
     };
 
-    if (trial.play_feedback) {
+    if (trial.confidence_rating) {
+      Object.assign(
+        resultData,
+        timedOut
+          ? { confidence: null, confidence_key: null, confidence_rt: null }
+          : await this.getConfidenceRating(display_element, trial)
+      );
+    }
+
+    await this.onBeforeFinish(resultData);
+
+    if (timedOut) {
+      await this.showFeedback(display_element, {
+        html: trial.timeout_feedback_html,
+        duration: trial.timeout_feedback_duration,
+        audio: trial.timeout_feedback_audio,
+      });
+    } else if (trial.play_feedback) {
       await playAudio(`media/audio/feedback/${correct ? "right" : "wrong"}.wav`);
     }
 
@@ -0,0 +1,282 @@
+import { ParameterType } from "jspsych";
+
+import {
+  aggregateResponses,
+  fitPsychometricFunction,
+  getProbeFirstProbability,
+  groupTrials,
+  isTojResponse,
+  linspace,
+} from "../util/psychometrics";
+import { fitTvaModel } from "../util/tva";
+
+/**
+ * A jsPsych plugin that fits psychometric functions to the TOJ trials of the current session,
+ * optionally grouped by data fields, and logs the fitted PSS, JND and goodness-of-fit values. The
+ * results can be shown to the experimenter, optionally along with plots of the fits.
+ *
+ * Groups whose responses do not span at least two SOAs can not be fit. They are skipped and
+ * flagged with a `skip_reason` in the result data.
+ *
+ * @version 1.0.0
+ * @license MIT
+ */
+export class TojSummaryPlugin {
+  static info = {
+    name: "toj-summary",
+    parameters: {
+      /**
+       * [optional] A function that receives the data of a trial and returns whether it should be
+       * included in the fits. Defaults to `isTojResponse()` from `psychometrics.js`.
+       */
+      filter: {
+        type: ParameterType.FUNCTION,
+        pretty_name: "Trial filter",
+        default: null,
+      },
+      /**
+       * [optional] The names of the data fields to group the trials by (e.g. `["salient"]`). One
+       * psychometric function is fit per group.
+       */
+      group_by: {
+        type: ParameterType.STRING,
+        pretty_name: "Group by",
+        array: true,
+        default: [],
+      },
+      /**
+       * [optional] The shape of the psychometric function (`gaussian` or `logistic`)
+       */
+      shape: {
+        type: ParameterType.STRING,
+        pretty_name: "Shape",
+        default: "gaussian",
+      },
+      /**
+       * [optional] The fixed lapse rate of the psychometric function
+       */
+      lapse_rate: {
+        type: ParameterType.FLOAT,
+        pretty_name: "Lapse rate",
+        default: 0,
+      },
+      /**
+       * [optional] Whether to additionally fit the TVA-based TOJ model to each group of trials
+       */
+      fit_tva: {
+        type: ParameterType.BOOL,
+        pretty_name: "Fit TVA model",
+        default: false,
+      },
+      /**
+       * [optional] Whether to show the fit results. If neither the results nor the plots
+       * are shown, the trial finishes immediately.
+       */
+      show_summary: {
+        type: ParameterType.BOOL,
+        pretty_name: "Show summary",
+        default: false,
+      },
+      /**
+       * [optional] Whether to show a plot of each fit
+       */
+      show_plot: {
+        type: ParameterType.BOOL,
+        pretty_name: "Show plot",
+        default: false,
+      },
+      /**
+       * [optional] The key to finish the trial if the summary or plots are shown
+       */
+      continue_key: {
+        type: ParameterType.KEY,
+        pretty_name: "Continue key",
+        default: " ",
+      },
+    },
+  };
+
+  constructor(jsPsych) {
+    this.jsPsych = jsPsych;
+  }
+
+  /**
+   * Fits a psychometric function to each group of trials. Groups without responses or with
+   * responses at a single SOA only are not fit; their `fit` is `null` and `skipReason` describes
+   * why.
+   *
+   * @param {object[]} trials The trial data
+   * @param {string[]} groupBy The names of the data fields to group the trials by
+   * @param {object} options The options for `fitPsychometricFunction()`
+   *
+   * @param {boolean} fitTva Whether to fit the TVA-based TOJ model too
+   *
+   * @returns {{group: object, levels: object[], fit: object|null, tvaFit?: object, skipReason?: string}[]}
+   */
+  static fitGroups(trials, groupBy, options, fitTva = false) {
+    return groupTrials(trials, groupBy).map(({ group, trials }) => {
+      const levels = aggregateResponses(trials);
+      if (levels.length < 2) {
+        return {
+          group,
+          levels,
+          fit: null,
+          skipReason:
+            levels.length === 0 ? "There are no responses" : "All responses are at a single SOA",
+        };
+      }
+      return {
+        group,
+        levels,
+        fit: fitPsychometricFunction(levels, options),
+        ...(fitTva ? { tvaFit: fitTvaModel(levels) } : {}),
+      };
+    });
+  }
+
+  /**
+   * Returns the SVG code of a plot showing the proportions of 'probe first' responses per SOA
+   * along with the fitted psychometric function and the PSS.
+   *
+   * @param {object[]} levels The aggregated responses
+   * @param {object} fit The fit result
+   */
+  static renderPlot(levels, fit) {
+    const [width, height, margin] = [360, 220, 40];
+    const soas = levels.map(({ soa }) => soa);
+    const [minSoa, maxSoa] = [Math.min(...soas, fit.pss), Math.max(...soas, fit.pss)];
+    const x = (soa) => margin + ((soa - minSoa) / (maxSoa - minSoa || 1)) * (width - 2 * margin);
+    const y = (p) => height - margin - p * (height - 2 * margin);
+
+    const curve = linspace(minSoa, maxSoa, 100)
+      .map((soa) => `${x(soa).toFixed(1)},${y(getProbeFirstProbability(soa, fit)).toFixed(1)}`)
+      .join(" ");
+    const points = levels
+      .map(
+        ({ soa, trialCount, probeFirstCount }) =>
+          `<circle cx="${x(soa)}" cy="${y(probeFirstCount / trialCount)}" ` +
+          `r="${Math.min(2 + Math.sqrt(trialCount), 8)}" fill="#444" />`
+      )
+      .join("");
+
+    return `
+      <svg class="toj-summary-plot" width="${width}" height="${height}" font-size="11">
+        <line x1="${margin}" y1="${y(0)}" x2="${width - margin}" y2="${y(0)}" stroke="black" />
+        <line x1="${margin}" y1="${y(0)}" x2="${margin}" y2="${y(1)}" stroke="black" />
+        <line x1="${margin}" y1="${y(0.5)}" x2="${width - margin}" y2="${y(0.5)}"
+          stroke="#999" stroke-dasharray="2,2" />
+        <line x1="${x(fit.pss)}" y1="${y(0)}" x2="${x(fit.pss)}" y2="${y(1)}"
+          stroke="#c00" stroke-dasharray="4,2" />
+        <text x="${margin - 4}" y="${y(0)}" text-anchor="end">0</text>
+        <text x="${margin - 4}" y="${y(1) + 8}" text-anchor="end">1</text>
+        <text x="${x(minSoa)}" y="${y(0) + 14}" text-anchor="middle">${minSoa}</text>
+        <text x="${x(maxSoa)}" y="${y(0) + 14}" text-anchor="middle">${maxSoa}</text>
+        <text x="${width / 2}" y="${height - 6}" text-anchor="middle">SOA (ms)</text>
+        <text x="12" y="${height / 2}" text-anchor="middle"
+          transform="rotate(-90 12 ${height / 2})">P(probe first)</text>
+        <polyline points="${curve}" fill="none" stroke="#06c" stroke-width="2" />
+        ${points}
+      </svg>`;
+  }
+
+  trial(display_element, trial) {
+    const trials = this.jsPsych.data
+      .get()
+      .filterCustom(trial.filter ?? isTojResponse)
+      .values();
+    const results = TojSummaryPlugin.fitGroups(
+      trials,
+      trial.group_by,
+      { shape: trial.shape, lapseRate: trial.lapse_rate },
+      trial.fit_tva
+    );
+
+    const getTrialCount = (levels) => levels.reduce((sum, level) => sum + level.trialCount, 0);
+
+    const resultData = {
+      fits: results.map(({ group, levels, fit, skipReason }) =>
+        fit
+          ? {
+              group,
+              shape: fit.shape,
+              lapse_rate: fit.lapseRate,
+              trial_count: fit.trialCount,
+              pss: fit.pss,
+              spread: fit.spread,
+              jnd: fit.jnd,
+              log_likelihood: fit.logLikelihood,
+              deviance: fit.deviance,
+              df: fit.df,
+              p_value: fit.pValue,
+            }
+          : { group, trial_count: getTrialCount(levels), skip_reason: skipReason }
+      ),
+    };
+    if (trial.fit_tva) {
+      resultData.tva_fits = results
+        .filter(({ fit }) => fit)
+        .map(({ group, tvaFit }) => ({
+          group,
+          trial_count: tvaFit.trialCount,
+          v_probe: tvaFit.vProbe,
+          v_reference: tvaFit.vReference,
+          C: tvaFit.C,
+          w_probe: tvaFit.wProbe,
+          w_reference: tvaFit.wReference,
+          log_likelihood: tvaFit.logLikelihood,
+          converged: tvaFit.converged,
+        }));
+    }
+
+    if (!trial.show_summary && !trial.show_plot) {
+      this.jsPsych.finishTrial(resultData);
+      return;
+    }
+
+    const format = (value) => (value === null ? "–" : value.toFixed(2));
+    const sections = results.map(({ group, levels, fit, tvaFit, skipReason }) => {
+      let html = `<h3>${
+        trial.group_by.map((field) => `${field}: ${group[field]}`).join(", ") || "All trials"
+      }</h3>`;
+      if (!fit) {
+        return html + `<p>Not fit: ${skipReason} (${getTrialCount(levels)} trials)</p>`;
+      }
+      if (trial.show_summary) {
+        html +=
+          `<p>${fit.trialCount} trials, PSS: ${format(fit.pss)} ms, JND: ${format(fit.jnd)} ms, ` +
+          `deviance: ${format(fit.deviance)} (df = ${fit.df}), p = ${format(fit.pValue)}</p>`;
+        if (tvaFit && !tvaFit.converged) {
+          html +=
+            "<p>TVA: The model could not be fit (the processing rates reached their bounds)</p>";
+        } else if (tvaFit) {
+          html +=
+            `<p>TVA: v<sub>probe</sub> = ${format(tvaFit.vProbe)} Hz, ` +
+            `v<sub>reference</sub> = ${format(tvaFit.vReference)} Hz, C = ${format(
+              tvaFit.C
+            )} Hz, ` +
+            `w<sub>probe</sub> = ${format(tvaFit.wProbe)}</p>`;
+        }
+      }
+      if (trial.show_plot) {
+        html += TojSummaryPlugin.renderPlot(levels, fit);
+      }
+      return html;
+    });
+    if (results.length === 0) {
+      sections.push("<p>There are no TOJ trials to be summarized.</p>");
+    }
+
+    display_element.innerHTML = `<div class="toj-summary">${sections.join("")}</div>`;
+
+    this.jsPsych.pluginAPI.getKeyboardResponse({
+      callback_function: () => {
+        display_element.innerHTML = "";
+        this.jsPsych.finishTrial(resultData);
+      },
+      valid_responses: [trial.continue_key],
+      persist: false,
+    });
+  }
+}
+
+export default TojSummaryPlugin;
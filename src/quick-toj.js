@@ -22,7 +22,8 @@ import TojPlugin from "./plugins/TojPlugin";
 
 import { TouchAdapter } from "./util/TouchAdapter";
 import { Scaler } from "./util/Scaler";
-import randomInt from "random-int";
+import { random, seedRandomness } from "./util/random";
+import { estimateRefreshRate } from "./util/introduction";
 import delay from "delay";
 
 class ConditionGenerator {
@@ -34,9 +35,9 @@ class ConditionGenerator {
   previousPositions = {};
 
   generateOrientation(identifier) {
-    let orientation = randomInt(0, 17);
+    let orientation = random.int(0, 17);
     while (orientation == this.previousOrientations[identifier]) {
-      orientation = randomInt(0, 17);
+      orientation = random.int(0, 17);
     }
     this.previousOrientations[identifier] = orientation;
     return orientation;
@@ -48,8 +49,8 @@ class ConditionGenerator {
 
   static _generateRandomPos(xRange, yRange) {
     return [
-      randomInt(...xRange) * ConditionGenerator.gridSize,
-      randomInt(...yRange) * ConditionGenerator.gridSize,
+      random.int(...xRange) * ConditionGenerator.gridSize,
+      random.int(...yRange) * ConditionGenerator.gridSize,
     ];
   }
 
@@ -133,7 +134,7 @@ class ConditionGenerator {
       y: cond.posRef[1] + offsetY,
     };
 
-    cond.preDelay = randomInt(30, 75) * 10;
+    cond.preDelay = random.int(30, 75) * 10;
     return cond;
   }
 }
@@ -145,6 +146,10 @@ const leftKey = "q",
 
 export async function run({ assetPaths }) {
   const jsPsych = initJsPsych();
+  seedRandomness(jsPsych);
+
+  const globalProps = { refreshRate: 60 };
+  estimateRefreshRate(globalProps);
   const timeline = [{ type: PreloadPlugin, images: assetPaths.images }];
 
   const touchAdapterSpace = new TouchAdapter("space");
@@ -225,6 +230,7 @@ export async function run({ assetPaths }) {
     reference_image: jsPsych.timelineVariable("refImage"),
     fixation_time: jsPsych.timelineVariable("preDelay"),
     soa: jsPsych.timelineVariable("soa"),
+    refresh_rate: () => globalProps.refreshRate,
     probe_properties: jsPsych.timelineVariable("probeImageProperties"),
     reference_properties: jsPsych.timelineVariable("refImageProperties"),
     probe_key: () => (jsPsych.timelineVariable("probeLeft") ? leftKey : rightKey),
@@ -0,0 +1,160 @@
+"use strict";
+
+/**
+ * A grid of bar stimuli that is drawn on a single canvas (an alternative to the DOM-based grids of
+ * `createBarStimulusGrid()`, see `createCanvasBarStimulusGrid()`).
+ *
+ * The bars of a grid are `CanvasBar` objects. They mimic the parts of the DOM element API that the
+ * `TojPlugin` modification functions use (`style.visibility` and `classList`), so they can be used
+ * as TOJ stimulus elements. Each modification redraws the canvas synchronously, so a modification
+ * that is made in a `requestAnimationFrame()` callback (like the ones of `TojPlugin`) is shown in
+ * that very frame, without depending on style recalculation or compositing.
+ */
+export class CanvasBarGrid {
+  /**
+   * The canvas element that the grid is drawn on
+   * @type {HTMLCanvasElement}
+   */
+  canvas;
+
+  /**
+   * The bars of the grid
+   * @type {CanvasBar[]}
+   */
+  bars = [];
+
+  /**
+   * @param {number[]} gridSize The number of bars ([x, y])
+   * @param {number} boxSize The size of a bar's box in pixels
+   * @param {object} [options]
+   * @param {string} [options.flashClass] The class name that makes a bar flash (see
+   * `TojPlugin.flashElement()`)
+   * @param {string} [options.flashColor] The color of flashing bars (matches the `toj-flash` css
+   * filter on the default background color)
+   * @param {boolean} [options.roundedBars] Whether the bars have rounded ends (like in
+   * `bar-stimuli.scss`) or not (like in `bar-stimuli-angular.scss`)
+   */
+  constructor(
+    gridSize,
+    boxSize,
+    { flashClass = "toj-flash", flashColor = "rgb(191, 191, 191)", roundedBars = true } = {}
+  ) {
+    this.gridSize = gridSize;
+    this.boxSize = boxSize;
+    this.flashClass = flashClass;
+    this.flashColor = flashColor;
+    this.roundedBars = roundedBars;
+
+    const [width, height] = gridSize.map((count) => count * boxSize);
+    const pixelRatio = window.devicePixelRatio || 1;
+    this.canvas = document.createElement("canvas");
+    this.canvas.className = "bar-stimulus-grid bar-stimulus-canvas";
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+
+    this._context = this.canvas.getContext("2d");
+    this._context?.scale(pixelRatio, pixelRatio);
+  }
+
+  /**
+   * Adds a bar to the grid and returns it.
+   *
+   * @param {object} bar
+   * @param {number[]} bar.position The position of the bar within the grid ([x, y])
+   * @param {number} bar.scale
+   * @param {string} bar.color
+   * @param {number} bar.rotation The rotation of the bar in degrees
+   */
+  addBar({ position, scale, color, rotation }) {
+    const bar = new CanvasBar(this, { position, scale, color, rotation });
+    this.bars.push(bar);
+    return bar;
+  }
+
+  /**
+   * Redraws the whole grid. The canvas is left empty if no 2D context is available (e.g. in jsdom).
+   */
+  draw() {
+    const context = this._context;
+    if (!context) {
+      return;
+    }
+
+    context.clearRect(0, 0, this.gridSize[0] * this.boxSize, this.gridSize[1] * this.boxSize);
+    for (const bar of this.bars) {
+      if (bar.style.visibility === "hidden") {
+        continue;
+      }
+
+      // Like the `.bar` element in `bar-stimuli.scss`: 75% x 25% of the box, centered
+      const length = 0.75 * this.boxSize * bar.scale;
+      const thickness = 0.25 * this.boxSize * bar.scale;
+      const lineLength = this.roundedBars ? length - thickness : length;
+
+      context.save();
+      context.translate(
+        (bar.position[0] + 0.5) * this.boxSize,
+        (bar.position[1] + 0.5) * this.boxSize
+      );
+      context.rotate((bar.rotation * Math.PI) / 180);
+      context.beginPath();
+      context.moveTo(-lineLength / 2, 0);
+      context.lineTo(lineLength / 2, 0);
+      context.lineWidth = thickness;
+      context.lineCap = this.roundedBars ? "round" : "butt";
+      context.strokeStyle = bar.classList.contains(this.flashClass) ? this.flashColor : bar.color;
+      context.stroke();
+      context.restore();
+    }
+  }
+}
+
+/**
+ * A bar of a `CanvasBarGrid`. Setting `style.visibility` or adding/removing classes (only the
+ * grid's flash class has a visual effect) redraws the grid.
+ */
+export class CanvasBar {
+  /**
+   * @param {CanvasBarGrid} grid
+   * @param {object} properties See `CanvasBarGrid.addBar()`
+   */
+  constructor(grid, { position, scale, color, rotation }) {
+    this.grid = grid;
+    this.position = position;
+    this.scale = scale;
+    this.color = color;
+    this.rotation = rotation;
+
+    const classes = new Set();
+    let visibility = "";
+    const redraw = () => grid.draw();
+
+    this.classList = {
+      add: (...tokens) => {
+        tokens.forEach((token) => classes.add(token));
+        redraw();
+      },
+      remove: (...tokens) => {
+        tokens.forEach((token) => classes.delete(token));
+        redraw();
+      },
+      contains: (token) => classes.has(token),
+      toggle: (token, force = !classes.has(token)) => {
+        this.classList[force ? "add" : "remove"](token);
+        return force;
+      },
+    };
+
+    this.style = {
+      get visibility() {
+        return visibility;
+      },
+      set visibility(value) {
+        visibility = value;
+        redraw();
+      },
+    };
+  }
+}
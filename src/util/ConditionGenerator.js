@@ -0,0 +1,214 @@
+"use strict";
+
+import { Quadrant } from "./Quadrant";
+import { random } from "./random";
+import { screenCalibration } from "./visualAngle";
+
+/**
+ * A target of a `TargetPairConditionGenerator` condition. In addition to the properties below, a
+ * target has the feature property of the generator's feature strategy (e.g. `color`).
+ */
+export class TojTarget {
+  /**
+   * The quadrant in which the target is displayed (`null` in the `sides` layout)
+   * @type {Quadrant}
+   */
+  quadrant = null;
+
+  /**
+   * Whether the target is displayed on the left side of the screen
+   * @type {boolean}
+   */
+  isLeft;
+
+  /**
+   * Whether the target serves as a probe or a reference
+   * @type {boolean}
+   */
+  isProbe;
+
+  /**
+   * Position of the target within the bar grid ([x, y])
+   * @type {number[]}
+   */
+  gridPosition;
+}
+
+/**
+ * Base class for condition generators, providing random bar grid orientations and target positions
+ */
+export class ConditionGenerator {
+  _previousOrientations = {};
+  _previousPositions = {};
+
+  /**
+   * Returns a random bar orientation (a multiple of 10 degrees between 0 and 170). If an
+   * identifier is provided, the orientation differs from the previous one for that identifier.
+   *
+   * @param {string} [identifier]
+   */
+  generateOrientation(identifier = null) {
+    let orientation;
+    do {
+      orientation = random.int(0, 17) * 10;
+    } while (identifier && orientation == this._previousOrientations[identifier]);
+    if (identifier) {
+      this._previousOrientations[identifier] = orientation;
+    }
+    return orientation;
+  }
+
+  /**
+   * Returns a random grid position within the given (inclusive) ranges.
+   *
+   * @param {number[]} xRange
+   * @param {number[]} yRange
+   */
+  static generateRandomPos(xRange, yRange) {
+    return [random.int(...xRange), random.int(...yRange)];
+  }
+
+  /**
+   * Returns a random grid position within the given (inclusive) ranges that differs from the
+   * previous position for the same identifier (unless the ranges only contain a single position).
+   *
+   * @param {string} identifier
+   * @param {number[]} xRange
+   * @param {number[]} yRange
+   */
+  generatePosition(identifier, xRange = [2, 5], yRange = [2, 5]) {
+    const previous = this._previousPositions[identifier];
+    const hasAlternatives = xRange[0] !== xRange[1] || yRange[0] !== yRange[1];
+    let pos;
+    do {
+      pos = ConditionGenerator.generateRandomPos(xRange, yRange);
+    } while (hasAlternatives && previous && pos[0] === previous[0] && pos[1] === previous[1]);
+    this._previousPositions[identifier] = pos;
+    return pos;
+  }
+}
+
+/**
+ * A condition generator for pairs of targets (a primary and a secondary target each) in bar grids,
+ * where one target of each pair is shown on the left and the other one on the right. The target
+ * feature (e.g. color or orientation) is chosen by a feature strategy (see `targetFeatures.js`).
+ *
+ * In the `quadrants` layout, each target is shown in its own quadrant (allowing up to two pairs),
+ * in the `sides` layout, a single pair is shown on the left and the right side.
+ *
+ * Conditions are objects of the form `{ targetPairs, rotation, distractorSOA }`, where
+ * `targetPairs` contains `{ pairIndex, primary, secondary, fixationTime }` objects (`primary` and
+ * `secondary` being `TojTarget` objects) and `distractorSOA` is only set if `distractorSoas` is
+ * specified.
+ */
+export class TargetPairConditionGenerator extends ConditionGenerator {
+  /**
+   * @param {object} options
+   * @param {{property: string, generatePairs: (pairCount: number) => any[][]}} options.feature The
+   * feature strategy
+   * @param {number} [options.pairCount] The number of target pairs
+   * @param {"quadrants"|"sides"} [options.layout]
+   * @param {number[]} [options.gridSize] The size ([x, y]) of the grid of a single target
+   * @param {number|{deg: number}} [options.barSize] The size of a bar's box within the grid, in
+   * pixels or degrees of visual angle (see `visualAngle.js`)
+   * @param {object} [options.positionRanges] The (inclusive) ranges of target positions within the
+   * grid, for targets on the left and on the right side, e.g. `{ left: { x: [2, 5], y: [1, 2] },
+   * right: { x: [1, 4], y: [1, 2] } }`
+   * @param {number[]} [options.fixationTimeRange] The (inclusive) range of each pair's fixation
+   * time in milliseconds
+   * @param {number[]} [options.distractorSoas] The SOAs to choose the distractor SOA from
+   */
+  constructor({
+    feature,
+    pairCount = 2,
+    layout = "quadrants",
+    gridSize = [7, 4],
+    barSize = 40,
+    positionRanges = { left: { x: [2, 5], y: [1, 2] }, right: { x: [1, 4], y: [1, 2] } },
+    fixationTimeRange = [300, 500],
+    distractorSoas = null,
+  }) {
+    super();
+
+    if (layout === "quadrants" ? pairCount > 2 : pairCount !== 1) {
+      throw new Error(`The ${layout} layout does not support ${pairCount} target pairs.`);
+    }
+
+    this.feature = feature;
+    this.pairCount = pairCount;
+    this.layout = layout;
+    this.gridSize = gridSize;
+    this.barSize = barSize;
+    this.positionRanges = positionRanges;
+    this.fixationTimeRange = fixationTimeRange;
+    this.distractorSoas = distractorSoas;
+  }
+
+  /**
+   * Returns the `[primary, secondary]` placement (quadrant and side) of each target pair.
+   */
+  _generatePlacements() {
+    if (this.layout === "sides") {
+      const isPrimaryLeft = random.int(0, 1) === 1;
+      return [
+        [
+          { quadrant: null, isLeft: isPrimaryLeft },
+          { quadrant: null, isLeft: !isPrimaryLeft },
+        ],
+      ];
+    }
+    return Quadrant.getRandomMixedSidePairs().map((pair) =>
+      pair.map((quadrant) => ({ quadrant, isLeft: quadrant.isLeft() }))
+    );
+  }
+
+  /**
+   * Generates a condition.
+   *
+   * @param {boolean} probeLeft Whether the probes are shown on the left side
+   */
+  generateCondition(probeLeft) {
+    const placements = this._generatePlacements();
+    const featurePairs = this.feature.generatePairs(this.pairCount);
+
+    const targetPairs = [];
+    for (let pairIndex = 0; pairIndex < this.pairCount; pairIndex++) {
+      const [primary, secondary] = placements[pairIndex].map((placement, targetIndex) => {
+        const target = new TojTarget();
+        Object.assign(target, placement);
+        target[this.feature.property] = featurePairs[pairIndex][targetIndex];
+        target.isProbe = target.isLeft === probeLeft;
+
+        const ranges = this.positionRanges[target.isLeft ? "left" : "right"];
+        target.gridPosition = ConditionGenerator.generateRandomPos(ranges.x, ranges.y);
+        return target;
+      });
+
+      targetPairs.push({
+        pairIndex,
+        primary,
+        secondary,
+        fixationTime: random.int(...this.fixationTimeRange),
+      });
+    }
+
+    const condition = { targetPairs, rotation: this.generateOrientation() };
+    if (this.distractorSoas) {
+      condition.distractorSOA = random.sample(this.distractorSoas);
+    }
+    return condition;
+  }
+
+  /**
+   * Returns the offset ([x, y], in pixels) of a target's grid from the center of the screen
+   *
+   * @param {TojTarget} target
+   */
+  getGridOffset(target) {
+    const halfBarSize = screenCalibration.toPixels(this.barSize) / 2;
+    return [
+      (target.isLeft ? -1 : 1) * this.gridSize[0] * halfBarSize,
+      target.quadrant ? (target.quadrant.isTop() ? -1 : 1) * this.gridSize[1] * halfBarSize : 0,
+    ];
+  }
+}
@@ -0,0 +1,149 @@
+"use strict";
+
+import { hashString } from "./random";
+
+/**
+ * Assigns participants to the cells of a between-subjects design, i.e. to a combination of factor
+ * levels (such as the key mapping or the instruction voice). The cell is chosen by one of the
+ * following methods:
+ *
+ *  * `participantCode`: Derived from a hash of the participant code, so a participant always gets
+ *    the same cell (e.g. across multiple sessions)
+ *  * `counter`: Participants are assigned to the cells in turn, based on a counter in the browser's
+ *    local storage (e.g. for lab computers)
+ *  * `jatos`: Like `counter`, but the counter is stored in the JATOS batch session, so it is shared
+ *    across all participants of a batch
+ *
+ * The assignment takes place the first time the cell is accessed (typically after the
+ * introduction, when the participant code is known), unless a previous assignment is restored with
+ * `restore()` (e.g. when a session is resumed). Then, the cell index and the cell are added to the
+ * data of all trials (as `counterbalancingCell` and `counterbalancing`). If the `jatos` counter can
+ * not be updated, all trials are marked with `counterbalancingCounterFailed: true`.
+ */
+export class Counterbalancing {
+  /**
+   * The index of the assigned cell (`null` until the participant has been assigned)
+   * @type {number}
+   */
+  cellIndex = null;
+
+  /**
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   * @param {Record<string, any[]>} factors The between-subjects factors and their levels
+   * @param {object} [options]
+   * @param {"participantCode"|"counter"|"jatos"} [options.method]
+   * @param {() => string} [options.getParticipantCode] A function returning the participant code
+   * (required for the `participantCode` method)
+   * @param {string} [options.storageKey] The local storage or JATOS batch session key of the
+   * counter
+   */
+  constructor(
+    jsPsych,
+    factors,
+    { method = "participantCode", getParticipantCode, storageKey = "counterbalancingCounter" } = {}
+  ) {
+    if (method === "participantCode" && !getParticipantCode) {
+      throw new Error('The "participantCode" method requires a `getParticipantCode` function.');
+    }
+
+    this._jsPsych = jsPsych;
+    this.method = method;
+    this._getParticipantCode = getParticipantCode;
+    this._storageKey = storageKey;
+    this.cells = Counterbalancing.getCells(factors);
+  }
+
+  /**
+   * Returns all combinations of factor levels in a fixed order (the first factor varying slowest).
+   *
+   * @param {Record<string, any[]>} factors
+   * @returns {object[]}
+   */
+  static getCells(factors) {
+    return Object.entries(factors).reduce(
+      (cells, [name, levels]) =>
+        cells.flatMap((cell) => levels.map((level) => ({ ...cell, [name]: level }))),
+      [{}]
+    );
+  }
+
+  /**
+   * Increments the counter of the `counter` or `jatos` method and returns its previous value.
+   */
+  _incrementCounter() {
+    if (this.method === "jatos") {
+      const batchSession = window.jatos.batchSession;
+      const count = batchSession.get(this._storageKey) ?? 0;
+      batchSession.set(this._storageKey, count + 1).catch(() => {
+        // Another participant may get the same cell then
+        this._jsPsych.data.addProperties({ counterbalancingCounterFailed: true });
+      });
+      return count;
+    }
+
+    const count = Number(window.localStorage.getItem(this._storageKey) ?? 0);
+    window.localStorage.setItem(this._storageKey, String(count + 1));
+    return count;
+  }
+
+  _getCellIndex() {
+    switch (this.method) {
+      case "participantCode":
+        return hashString(this._getParticipantCode().toUpperCase()) % this.cells.length;
+      case "counter":
+      case "jatos":
+        return this._incrementCounter() % this.cells.length;
+      default:
+        throw new Error(`Unknown counterbalancing method "${this.method}"`);
+    }
+  }
+
+  /**
+   * Assigns the participant to a cell (unless this has already happened) and returns the cell.
+   */
+  assign() {
+    if (this.cellIndex === null) {
+      this._setCellIndex(this._getCellIndex());
+    }
+    return this.cell;
+  }
+
+  /**
+   * Assigns the participant to a previously assigned cell (e.g. when a session is resumed) without
+   * updating the counter, and returns the cell.
+   *
+   * @param {number} cellIndex
+   */
+  restore(cellIndex) {
+    if (!Number.isInteger(cellIndex) || cellIndex < 0 || cellIndex >= this.cells.length) {
+      throw new Error(`Invalid counterbalancing cell index ${cellIndex}`);
+    }
+    this._setCellIndex(cellIndex);
+    return this.cell;
+  }
+
+  _setCellIndex(cellIndex) {
+    this.cellIndex = cellIndex;
+    this._jsPsych.data.addProperties({
+      counterbalancingCell: cellIndex,
+      counterbalancing: this.cell,
+    });
+  }
+
+  /**
+   * The assigned cell, i.e. an object with the level of each factor
+   * @type {object}
+   */
+  get cell() {
+    return this.cellIndex === null ? this.assign() : this.cells[this.cellIndex];
+  }
+
+  /**
+   * Returns the assigned level of a factor.
+   *
+   * @param {string} factor
+   */
+  get(factor) {
+    return this.cell[factor];
+  }
+}
@@ -0,0 +1,98 @@
+"use strict";
+
+/**
+ * A scheduler that aligns visual changes to display frames using `requestAnimationFrame()`. Time
+ * spans are snapped to whole frames based on the display's refresh rate (e.g. as measured by
+ * `addIntroduction()`).
+ */
+export class FrameScheduler {
+  /**
+   * The refresh rate (in Hz) that is used to convert between milliseconds and frames
+   * @type {number}
+   */
+  refreshRate;
+
+  /**
+   * @param {number} [refreshRate] The display's refresh rate in Hz (defaults to 60)
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal] A signal that stops the scheduler: Once it is aborted,
+   * the promises of pending and future `nextFrame()` calls never resolve, so code that waits for
+   * frames (like the stimulus modifications of an aborted trial) does not continue.
+   */
+  constructor(refreshRate, { signal } = {}) {
+    this.refreshRate = refreshRate || 60;
+    this._signal = signal;
+  }
+
+  /**
+   * The duration of a single frame in milliseconds
+   */
+  get frameDuration() {
+    return 1000 / this.refreshRate;
+  }
+
+  /**
+   * Converts a duration in milliseconds into the nearest whole number of frames.
+   *
+   * @param {number} milliseconds
+   */
+  msToFrames(milliseconds) {
+    return Math.round(milliseconds / this.frameDuration);
+  }
+
+  /**
+   * Converts a number of frames into milliseconds.
+   *
+   * @param {number} frames
+   */
+  framesToMs(frames) {
+    return frames * this.frameDuration;
+  }
+
+  /**
+   * Returns the number of frames that have elapsed between two frame timestamps.
+   *
+   * @param {number} startTimestamp
+   * @param {number} endTimestamp
+   */
+  countFrames(startTimestamp, endTimestamp) {
+    return this.msToFrames(endTimestamp - startTimestamp);
+  }
+
+  /**
+   * Returns a promise that resolves with the frame's timestamp at the beginning of the next frame.
+   * DOM changes made in a callback of the promise are rendered in that frame. The promise never
+   * resolves if the scheduler's signal has been aborted.
+   *
+   * @returns {Promise<number>}
+   */
+  nextFrame() {
+    return new Promise((resolve) => {
+      const signal = this._signal;
+      if (signal?.aborted) {
+        return;
+      }
+      const requestId = window.requestAnimationFrame((timestamp) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(timestamp);
+      });
+      const onAbort = () => window.cancelAnimationFrame(requestId);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Waits for a given number of frames and resolves with the timestamp of the last frame (or with
+   * `performance.now()` if `frames` is 0).
+   *
+   * @param {number} frames
+   * @returns {Promise<number>}
+   */
+  async waitFrames(frames) {
+    let timestamp = performance.now();
+    for (let i = 0; i < frames; i++) {
+      timestamp = await this.nextFrame();
+    }
+    return timestamp;
+  }
+}
@@ -0,0 +1,112 @@
+"use strict";
+
+/**
+ * Manages a set of independent adaptive procedures (e.g. `Staircase` or `PsiEstimator` objects),
+ * one per condition, so that the procedures can be interleaved within a single TOJ timeline. Each
+ * condition is identified by an explicit id (a string or a number). A procedure is created on
+ * demand the first time its condition id is encountered.
+ *
+ * Procedures are expected to implement `getNextSoa()`, `update(data)`, `isFinished()`, and
+ * `getState()`. Procedures that walk on SOA levels (like `Staircase`) may additionally provide
+ * `level` and a step `history`, which are logged per trial, too.
+ *
+ * Usage in a TojPlugin trial object:
+ * ```
+ * soa: () => procedures.getNextSoa(jsPsych.timelineVariable("probeLeft") ? "left" : "right"),
+ * on_finish: (data) => procedures.update(data.probeLeft ? "left" : "right", data),
+ * ```
+ */
+export class InterleavedProcedures {
+  /**
+   * The procedures by condition id
+   * @type {Map<string, any>}
+   */
+  procedures = new Map();
+
+  /**
+   * @param {(id: string) => any} createProcedure A function that creates a new procedure for a
+   * given condition id
+   * @param {string} dataProperty The name of the trial data property that the procedure's state
+   * is logged to
+   */
+  constructor(createProcedure, dataProperty = "adaptive") {
+    this._createProcedure = createProcedure;
+    this.dataProperty = dataProperty;
+  }
+
+  /**
+   * Validates a condition id and returns it as a string
+   *
+   * @param {string|number} id
+   */
+  static _getKey(id) {
+    if (typeof id !== "string" && typeof id !== "number") {
+      throw new Error(`Condition ids must be strings or numbers, got ${typeof id}.`);
+    }
+    return String(id);
+  }
+
+  /**
+   * Returns the procedure for a given condition id, creating it if necessary.
+   *
+   * @param {string|number} id
+   */
+  get(id) {
+    const key = InterleavedProcedures._getKey(id);
+    if (!this.procedures.has(key)) {
+      this.procedures.set(key, this._createProcedure(key));
+    }
+    return this.procedures.get(key);
+  }
+
+  /**
+   * Returns the SOA for the next trial of a given condition.
+   *
+   * @param {string|number} id The condition id
+   */
+  getNextSoa(id) {
+    return this.get(id).getNextSoa();
+  }
+
+  /**
+   * Updates the procedure of a given condition with the result data of a TojPlugin trial and logs
+   * the procedure's state after the update to the trial data (in the `dataProperty` property).
+   * For procedures with SOA levels, the level that the trial was run at (`trialLevel`) and the
+   * trial's own step history entry (`step`, `null` if the trial was ignored) are logged as well.
+   *
+   * @param {string|number} id The condition id
+   * @param {object} data The result data of the trial (as passed to `on_finish`)
+   */
+  update(id, data) {
+    const procedure = this.get(id);
+    const trialLevel = procedure.level;
+    const historyLength = procedure.history?.length;
+
+    procedure.update(data);
+
+    data[this.dataProperty] = {
+      condition: InterleavedProcedures._getKey(id),
+      ...procedure.getState(),
+      ...(typeof trialLevel !== "undefined" && { trialLevel }),
+      ...(procedure.history && {
+        step: procedure.history.length > historyLength ? procedure.history.at(-1) : null,
+      }),
+    };
+  }
+
+  /**
+   * Whether all procedures created so far are finished
+   */
+  isFinished() {
+    return Array.from(this.procedures.values()).every((procedure) => procedure.isFinished());
+  }
+
+  /**
+   * Returns the states of all procedures by condition id
+   */
+  getStates() {
+    return Object.fromEntries(
+      Array.from(this.procedures.entries()).map(([key, procedure]) => [key, procedure.getState()])
+    );
+  }
+}
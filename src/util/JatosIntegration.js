@@ -0,0 +1,178 @@
+"use strict";
+
+import delay from "delay";
+
+/**
+ * Submits the results of an experiment to JATOS while it runs and ends the JATOS study when the
+ * experiment is finished (or has failed).
+ *
+ * Results are appended in chunks (e.g. after each block, see `submitBlock()`) with
+ * `jatos.appendResultData()`, one JSON object per trial and line (JSON Lines, as read by
+ * `scripts/fit-tva.mjs` and `scripts/export-data.mjs`), so the data of completed blocks is kept
+ * even if a session is not finished. The session state (e.g. the participant code and the number
+ * of completed blocks) is stored in the JATOS study session data, so it is available to later
+ * components of the study.
+ *
+ * For offline testing, a mock of the `jatos` object can be installed with `installJatosMock()`
+ * (see `jatosMock.js`).
+ */
+export class JatosIntegration {
+  /**
+   * The number of trials whose data has been submitted
+   */
+  submittedTrialCount = 0;
+
+  /**
+   * Whether the study has been ended
+   */
+  isEnded = false;
+
+  /**
+   * The number of result submission attempts that failed and were retried
+   */
+  retriedAttemptCount = 0;
+
+  _submission = Promise.resolve();
+  _hasAppendedResults = false;
+
+  /**
+   * @param {object} [jatos] The `jatos` object (defaults to `window.jatos`)
+   * @param {object} [options]
+   * @param {number} [options.attempts] The number of attempts to submit each chunk of results
+   * @param {number} [options.retryDelay] The delay (in milliseconds) before the first retry, which
+   * is doubled with each subsequent retry
+   */
+  constructor(jatos = window.jatos, { attempts = 3, retryDelay = 1000 } = {}) {
+    this._jatos = jatos;
+    this._attempts = attempts;
+    this._retryDelay = retryDelay;
+  }
+
+  /**
+   * Returns whether the `jatos` object is available, i.e. whether the experiment runs in JATOS (or
+   * a JATOS mock has been installed).
+   */
+  static isAvailable() {
+    return typeof window.jatos !== "undefined";
+  }
+
+  /**
+   * The session state stored in the JATOS study session data (`null` if none has been stored)
+   */
+  get sessionState() {
+    return this._jatos.studySessionData?.session ?? null;
+  }
+
+  /**
+   * Appends a chunk of result data, retrying with an exponential backoff if a request fails.
+   *
+   * @param {string} resultData
+   */
+  async _appendResultData(resultData) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await this._jatos.appendResultData(resultData);
+        this._hasAppendedResults = true;
+        return;
+      } catch (error) {
+        if (attempt >= this._attempts) {
+          throw error;
+        }
+        this.retriedAttemptCount++;
+        await delay(this._retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Submits the data of all trials that have not been submitted yet. Submissions are queued, so
+   * the chunks are appended in order. Returns a promise that resolves once the data has been
+   * submitted.
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   */
+  submitResults(jsPsych) {
+    const trials = jsPsych.data.get().values().slice(this.submittedTrialCount);
+    this.submittedTrialCount += trials.length;
+
+    if (trials.length > 0) {
+      const resultData = trials.map((trial) => JSON.stringify(trial) + "\n").join("");
+      this._submission = this._submission.then(() => this._appendResultData(resultData));
+    }
+    return this._submission;
+  }
+
+  /**
+   * Stores the session state in the JATOS study session data (keeping other study session data
+   * properties).
+   *
+   * @param {object} state A JSON-compatible object
+   */
+  async saveSessionState(state) {
+    await this._jatos.setStudySessionData({ ...this._jatos.studySessionData, session: state });
+  }
+
+  /**
+   * Submits the new results and stores the session state at the end of a block. Does not throw;
+   * if the results can not be submitted, the study is ended as failed (see `fail()`).
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   * @param {object} state The session state (see `saveSessionState()`)
+   */
+  async submitBlock(jsPsych, state) {
+    if (this.isEnded) {
+      return;
+    }
+    try {
+      await Promise.all([this.submitResults(jsPsych), this.saveSessionState(state)]);
+    } catch (error) {
+      await this.fail(error);
+    }
+  }
+
+  /**
+   * Submits the remaining results and ends the study successfully. If submission attempts had to be
+   * retried, their number is reported in the end message of the study.
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   */
+  async finish(jsPsych) {
+    if (this.isEnded) {
+      return;
+    }
+    try {
+      await this.submitResults(jsPsych);
+    } catch (error) {
+      await this.fail(error);
+      return;
+    }
+    this.isEnded = true;
+    await this._jatos.endStudy(
+      true,
+      this.retriedAttemptCount > 0
+        ? `${this.retriedAttemptCount} result submission attempt(s) failed and were retried`
+        : undefined
+    );
+  }
+
+  /**
+   * Ends the study as failed due to an error, which is reported in the end message of the study. If
+   * results have been appended before, they are kept (`jatos.endStudy()`), otherwise the study is
+   * aborted (`jatos.abortStudy()`).
+   *
+   * @param {Error} error
+   */
+  async fail(error) {
+    if (this.isEnded) {
+      return;
+    }
+    this.isEnded = true;
+
+    const message = `The experiment failed: ${error?.message ?? error}`;
+    if (this._hasAppendedResults) {
+      await this._jatos.endStudy(false, message);
+    } else {
+      await this._jatos.abortStudy(message);
+    }
+  }
+}
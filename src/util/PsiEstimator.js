@@ -0,0 +1,234 @@
+"use strict";
+
+import {
+  getProbeFirstProbability,
+  linspace,
+  logspace,
+  sigmoids,
+  spreadToJnd,
+} from "./psychometrics";
+
+/**
+ * A Bayesian adaptive procedure (the Psi method by Kontsevich & Tyler, 1999) that estimates the
+ * point of subjective simultaneity (PSS) and the spread (and hence the JND) of a TOJ psychometric
+ * function.
+ *
+ * The estimator holds a posterior distribution over a grid of PSS and spread values. Before each
+ * trial, it chooses the SOA (out of a list of candidate SOAs) that minimizes the expected entropy
+ * of the posterior after the trial. The posterior is updated with the 'probe first' / 'reference
+ * first' responses of TojPlugin trials.
+ *
+ * `PsiEstimator` objects implement the same interface as `Staircase` objects and can hence be
+ * interleaved per condition using `InterleavedProcedures`.
+ */
+export class PsiEstimator {
+  /**
+   * The number of trials the posterior has been updated with
+   * @type {number}
+   */
+  trialCount = 0;
+
+  /**
+   * @param {object} options
+   * @param {number[]} options.soas The candidate SOAs to choose from
+   * @param {number[]} [options.pssRange] The range ([min, max]) of the PSS grid (defaults to the
+   * range of `soas`)
+   * @param {number} [options.pssCount] The number of PSS grid values
+   * @param {number[]} [options.spreadRange] The range ([min, max]) of the (log-spaced) spread grid
+   * @param {number} [options.spreadCount] The number of spread grid values
+   * @param {number} [options.lapseRate] The assumed lapse rate of the psychometric function
+   * @param {"gaussian"|"logistic"} [options.shape] The shape of the psychometric function
+   * @param {number} [options.maxTrials] The number of trials after which the estimator is finished
+   */
+  constructor({
+    soas,
+    pssRange = [Math.min(...soas), Math.max(...soas)],
+    pssCount = 41,
+    spreadRange = [5, 200],
+    spreadCount = 30,
+    lapseRate = 0.02,
+    shape = "gaussian",
+    maxTrials = Infinity,
+  }) {
+    if (!soas || soas.length === 0) {
+      throw new Error("A PsiEstimator requires at least one candidate SOA.");
+    }
+    if (!Object.hasOwn(sigmoids, shape)) {
+      throw new Error(`Unknown psychometric function shape "${shape}".`);
+    }
+
+    this.soas = soas;
+    this.shape = shape;
+    this.lapseRate = lapseRate;
+    this.maxTrials = maxTrials;
+
+    this.pssValues = linspace(pssRange[0], pssRange[1], pssCount);
+    this.spreadValues = logspace(spreadRange[0], spreadRange[1], spreadCount);
+
+    // Parameter grid, flattened (index = pssIndex * spreadCount + spreadIndex)
+    this._parameters = [];
+    for (const pss of this.pssValues) {
+      for (const spread of this.spreadValues) {
+        this._parameters.push({ pss, spread });
+      }
+    }
+
+    // Uniform prior
+    this._posterior = new Float64Array(this._parameters.length).fill(1 / this._parameters.length);
+
+    // Likelihood of a 'probe first' response for each candidate SOA and parameter combination
+    this._likelihoods = soas.map((soa) =>
+      Float64Array.from(this._parameters, (parameters) =>
+        getProbeFirstProbability(soa, { ...parameters, lapseRate, shape })
+      )
+    );
+
+    this._nextSoa = undefined;
+  }
+
+  /**
+   * Whether the estimator has reached its maximum number of trials
+   */
+  isFinished() {
+    return this.trialCount >= this.maxTrials;
+  }
+
+  /**
+   * Returns the posterior that results from a given prior and response, along with the
+   * probability of that response.
+   *
+   * @param {Float64Array} prior
+   * @param {Float64Array} likelihoods The likelihoods of a 'probe first' response
+   * @param {boolean} isProbeFirst
+   */
+  static _getPosterior(prior, likelihoods, isProbeFirst) {
+    const posterior = new Float64Array(prior.length);
+    let responseProbability = 0;
+    for (let i = 0; i < prior.length; i++) {
+      posterior[i] = prior[i] * (isProbeFirst ? likelihoods[i] : 1 - likelihoods[i]);
+      responseProbability += posterior[i];
+    }
+    for (let i = 0; i < posterior.length; i++) {
+      posterior[i] /= responseProbability;
+    }
+    return { posterior, responseProbability };
+  }
+
+  /**
+   * @param {Float64Array} distribution
+   */
+  static _getEntropy(distribution) {
+    let entropy = 0;
+    for (const p of distribution) {
+      if (p > 0) {
+        entropy -= p * Math.log(p);
+      }
+    }
+    return entropy;
+  }
+
+  /**
+   * Returns the candidate SOA that minimizes the expected posterior entropy after the next trial.
+   */
+  getNextSoa() {
+    if (typeof this._nextSoa === "undefined") {
+      let minExpectedEntropy = Infinity;
+      this.soas.forEach((soa, soaIndex) => {
+        const expectedEntropy = [true, false]
+          .map((isProbeFirst) => {
+            const { posterior, responseProbability } = PsiEstimator._getPosterior(
+              this._posterior,
+              this._likelihoods[soaIndex],
+              isProbeFirst
+            );
+            return responseProbability * PsiEstimator._getEntropy(posterior);
+          })
+          .reduce((sum, value) => sum + value, 0);
+
+        if (expectedEntropy < minExpectedEntropy) {
+          minExpectedEntropy = expectedEntropy;
+          this._nextSoa = soa;
+        }
+      });
+    }
+    return this._nextSoa;
+  }
+
+  /**
+   * Updates the posterior with the result data of a TojPlugin trial. Trials without a 'probe' or
+   * 'reference' response are ignored.
+   *
+   * @param {object} data The result data of the trial (`soa` and `response` are used)
+   */
+  update(data) {
+    if (!["probe", "reference"].includes(data.response)) {
+      return;
+    }
+
+    const likelihoods = Float64Array.from(this._parameters, (parameters) =>
+      getProbeFirstProbability(data.soa, {
+        ...parameters,
+        lapseRate: this.lapseRate,
+        shape: this.shape,
+      })
+    );
+
+    this._posterior = PsiEstimator._getPosterior(
+      this._posterior,
+      likelihoods,
+      data.response === "probe"
+    ).posterior;
+    this.trialCount++;
+    this._nextSoa = undefined;
+  }
+
+  /**
+   * Returns the posterior mean and standard deviation of a function of the parameters.
+   *
+   * @param {(parameters: {pss: number, spread: number}) => number} getValue
+   */
+  _getPosteriorMoments(getValue) {
+    let mean = 0;
+    let squareMean = 0;
+    this._parameters.forEach((parameters, i) => {
+      const value = getValue(parameters);
+      mean += this._posterior[i] * value;
+      squareMean += this._posterior[i] * value * value;
+    });
+    return { mean, sd: Math.sqrt(Math.max(squareMean - mean * mean, 0)) };
+  }
+
+  /**
+   * Returns a summary of the posterior distribution: posterior means and standard deviations of
+   * the PSS, the spread, and the JND, as well as the maximum a posteriori (MAP) estimate.
+   */
+  getPosteriorSummary() {
+    let mapIndex = 0;
+    this._posterior.forEach((p, i) => {
+      if (p > this._posterior[mapIndex]) {
+        mapIndex = i;
+      }
+    });
+    const map = this._parameters[mapIndex];
+
+    return {
+      pss: this._getPosteriorMoments(({ pss }) => pss),
+      spread: this._getPosteriorMoments(({ spread }) => spread),
+      jnd: this._getPosteriorMoments(({ spread }) => spreadToJnd(spread, this.shape)),
+      map: { ...map, jnd: spreadToJnd(map.spread, this.shape) },
+    };
+  }
+
+  /**
+   * Returns a serializable representation of the estimator's state
+   */
+  getState() {
+    return {
+      method: "psi",
+      shape: this.shape,
+      trialCount: this.trialCount,
+      finished: this.isFinished(),
+      ...this.getPosteriorSummary(),
+    };
+  }
+}
@@ -1,6 +1,6 @@
 "use strict";
 
-import randomInt from "random-int";
+import { random } from "./random";
 
 /**
  * Represents a quadrant (numbered like in a cartesian coordinate system, but starting with 0)
@@ -60,7 +60,7 @@ export class Quadrant {
    * Returns a random `Quadrant`.
    */
   static getRandom() {
-    return new Quadrant(randomInt(0, 3));
+    return new Quadrant(random.int(0, 3));
   }
 
   /**
@@ -69,7 +69,7 @@ export class Quadrant {
    */
   static getRandomMixedSidePairs() {
     const a = Quadrant.getRandom();
-    const isCross = randomInt(0, 1);
+    const isCross = random.int(0, 1);
     return [
       [a, isCross ? a.getSiblingDiagonal() : a.getSiblingHorizontal()],
       [a.getSiblingVertical(), isCross ? a.getSiblingHorizontal() : a.getSiblingDiagonal()],
@@ -0,0 +1,112 @@
+"use strict";
+
+import delay from "delay";
+
+/**
+ * Uploads the results of an experiment to a results server (see `scripts/results-server.mjs`)
+ * while it runs. Each upload contains all data of the session so far (as a JSON array), replacing
+ * the session's previous upload on the server. If an upload fails (e.g. because the server is
+ * unreachable), all trials are marked with `resultsUploadFailed: true`, and if the final upload
+ * fails, the results are downloaded as a local file instead.
+ */
+export class ResultsUploader {
+  /**
+   * The number of upload attempts that failed and were retried
+   */
+  retriedAttemptCount = 0;
+
+  _upload = Promise.resolve(true);
+
+  /**
+   * @param {string} sessionId An identifier of the session (letters, digits, dashes, and
+   * underscores only) that is unique among the participant's sessions
+   * @param {object} [options]
+   * @param {string} [options.url] The URL of the server's results endpoint
+   * @param {number} [options.attempts] The number of attempts per upload
+   * @param {number} [options.retryDelay] The delay (in milliseconds) before the first retry, which
+   * is doubled with each subsequent retry
+   */
+  constructor(sessionId, { url = "results", attempts = 3, retryDelay = 1000 } = {}) {
+    this.sessionId = sessionId;
+    this._url = url;
+    this._attempts = attempts;
+    this._retryDelay = retryDelay;
+  }
+
+  /**
+   * Returns whether a results server is reachable at the given URL, i.e. whether the experiment is
+   * served by a results server.
+   *
+   * @param {string} [url] The URL of the server's results endpoint
+   */
+  static async isServerAvailable(url = "results") {
+    try {
+      const response = await fetch(url, { headers: { Accept: "application/json" } });
+      return response.ok && Array.isArray(await response.json());
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Sends the data to the server, retrying with an exponential backoff if a request fails.
+   * Returns whether the upload succeeded.
+   *
+   * @param {string} participantCode
+   * @param {string} data
+   */
+  async _send(participantCode, data) {
+    const url = `${this._url}/${encodeURIComponent(participantCode)}/${this.sessionId}`;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = await fetch(url, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: data,
+        });
+        if (!response.ok) {
+          throw new Error(`The server responded with status ${response.status}`);
+        }
+        return true;
+      } catch {
+        if (attempt >= this._attempts) {
+          return false;
+        }
+        this.retriedAttemptCount++;
+        await delay(this._retryDelay * 2 ** (attempt - 1));
+      }
+    }
+  }
+
+  /**
+   * Uploads all data of the session so far. Uploads are queued, so a later upload never gets
+   * replaced by an earlier one. Returns a promise that resolves with whether the upload succeeded.
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   * @param {string} participantCode
+   */
+  upload(jsPsych, participantCode) {
+    const data = jsPsych.data.get().json();
+    this._upload = this._upload.then(async () => {
+      const succeeded = await this._send(participantCode, data);
+      if (!succeeded) {
+        jsPsych.data.addProperties({ resultsUploadFailed: true });
+      }
+      return succeeded;
+    });
+    return this._upload;
+  }
+
+  /**
+   * Uploads all data of the session and, if that fails, saves it as a local file (named
+   * `<participantCode>_<sessionId>.json`) instead.
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   * @param {string} participantCode
+   */
+  async finish(jsPsych, participantCode) {
+    if (!(await this.upload(jsPsych, participantCode))) {
+      jsPsych.data.get().localSave("json", `${participantCode}_${this.sessionId}.json`);
+    }
+  }
+}
@@ -1,19 +1,37 @@
+import { isDegrees, screenCalibration } from "./visualAngle";
+
 /**
  * A class that allows to scale an element (and its children) proportionally to fit the window's
  * size.
+ *
+ * If the element's dimensions are given in degrees of visual angle (see `visualAngle.js`), the
+ * element is expected to be sized in degrees already, so it is only scaled down if it does not fit
+ * the window (which changes its visual angle; the current scale factor is available as `scale`).
  */
 export class Scaler {
+  /**
+   * The current scale factor
+   * @type {number}
+   */
+  scale = 1;
+
   /**
    * Initializes a new Scaler for a given DOM element.
    *
    * @param {Element} element The element to be scaled
-   * @param {number} initialWidth The original with of the given element (in pixels)
-   * @param {number} initialHeight The original height of the given element (in pixels)
+   * @param {number|{deg: number}} initialWidth The original with of the given element (in pixels or
+   * degrees)
+   * @param {number|{deg: number}} initialHeight The original height of the given element (in
+   * pixels or degrees)
    * @param {number} margin The space to leave from the border of each side of the screen (in pixels)
    */
   constructor(element, initialWidth, initialHeight, margin) {
     this._element = element;
-    this._dimensions = { width: initialWidth, height: initialHeight };
+    this._dimensions = {
+      width: screenCalibration.toPixels(initialWidth),
+      height: screenCalibration.toPixels(initialHeight),
+    };
+    this._maxScale = isDegrees(initialWidth) || isDegrees(initialHeight) ? 1 : Infinity;
     this._margin = margin;
     this._resizeToWindowSize();
     this._addEventListeners();
@@ -37,8 +55,12 @@ export class Scaler {
   }
 
   _resize(width, height) {
-    const scale = Math.min(width / this._dimensions.width, height / this._dimensions.height);
-    this._element.style.transform = `scale(${scale})`;
+    this.scale = Math.min(
+      this._maxScale,
+      width / this._dimensions.width,
+      height / this._dimensions.height
+    );
+    this._element.style.transform = `scale(${this.scale})`;
   }
 
   _resizeToWindowSize = (() => {
@@ -0,0 +1,205 @@
+"use strict";
+
+import { initJsPsych } from "jspsych";
+import HtmlKeyboardResponsePlugin from "@jspsych/plugin-html-keyboard-response";
+import SurveyTextPlugin from "@jspsych/plugin-survey-text";
+
+import { getBrowserLanguage } from "./language";
+import { validateParticipantCode } from "./participantCodes";
+
+/**
+ * The texts of the participant identification, by language
+ */
+const texts = {
+  en: {
+    codePrompt:
+      "<p>If you have participated in this experiment before, please enter your participant code.</p><p>Otherwise, leave the field empty.</p>",
+    unknownCode: (code) =>
+      `The participant code <b>${code}</b> is unknown. Please check it and try again.`,
+    allSessionsCompleted: (sessionCount) =>
+      `<p>You have already completed all ${sessionCount} sessions of this experiment.</p><p>Thank you for participating!</p>`,
+  },
+  de: {
+    codePrompt:
+      "<p>Wenn Sie bereits an diesem Experiment teilgenommen haben, geben Sie bitte Ihren Teilnahmecode ein.</p><p>Lassen Sie das Feld andernfalls leer.</p>",
+    unknownCode: (code) =>
+      `Der Teilnahmecode <b>${code}</b> ist unbekannt. Bitte überprüfen Sie ihn und versuchen Sie es erneut.`,
+    allSessionsCompleted: (sessionCount) =>
+      `<p>Sie haben bereits alle ${sessionCount} Sitzungen dieses Experiments abgeschlossen.</p><p>Vielen Dank für Ihre Teilnahme!</p>`,
+  },
+};
+
+/**
+ * Storage backends for participant records. A backend provides `get(code)`, returning the record
+ * of a participant code (or `null`), and `set(code, record)`.
+ */
+const storageBackends = {
+  /**
+   * Stores the records in the browser's local storage, i.e. per device
+   *
+   * @param {string} key
+   */
+  local: (key) => ({
+    get: (code) => JSON.parse(window.localStorage.getItem(key))?.[code] ?? null,
+    set: async (code, record) => {
+      const records = JSON.parse(window.localStorage.getItem(key)) ?? {};
+      records[code] = record;
+      window.localStorage.setItem(key, JSON.stringify(records));
+    },
+  }),
+
+  /**
+   * Stores the records in the JATOS batch session, i.e. shared across all participants of a batch
+   *
+   * @param {string} key
+   */
+  jatos: (key) => {
+    const batchSession = window.jatos.batchSession;
+    return {
+      get: (code) => batchSession.find(`/${key}/${code}`) ?? null,
+      set: (code, record) =>
+        batchSession.defined(`/${key}`)
+          ? batchSession.add(`/${key}/${code}`, record)
+          : batchSession.set(key, { [code]: record }),
+    };
+  },
+};
+
+/**
+ * Manages experiments with multiple sessions per participant. For each participant code, it
+ * records which sessions (and which experiment variants) have been completed, so it can tell
+ * returning participants' codes from unknown ones and pick the configuration of a participant's
+ * next session.
+ *
+ * Participant records are objects of the form `{ sessions: [{ sessionIndex, variant,
+ * completedAt }] }`.
+ */
+export class SessionManager {
+  /**
+   * @param {object} options
+   * @param {any[]} options.sessions The configuration of each session (e.g. experiment definition
+   * overrides)
+   * @param {"local"|"jatos"} [options.storage] Where to store participant records
+   * @param {string} [options.storageKey] The local storage or JATOS batch session key of the
+   * participant records
+   * @param {"de"|"en"} [options.language] The language of the participant identification (which
+   * takes place before the participant chooses the instruction language; defaults to the browser's
+   * language)
+   */
+  constructor({
+    sessions,
+    storage = "local",
+    storageKey = "participants",
+    language = getBrowserLanguage(),
+  }) {
+    if (!storageBackends[storage]) {
+      throw new Error(`Unknown session storage "${storage}"`);
+    }
+    this.sessions = sessions;
+    this._storage = storageBackends[storage](storageKey);
+    this._language = language;
+    this._texts = texts[language] ?? texts.en;
+  }
+
+  /**
+   * Returns the record of a participant code, or `null` if the code is unknown.
+   *
+   * @param {string} participantCode
+   */
+  getRecord(participantCode) {
+    return this._storage.get(participantCode);
+  }
+
+  /**
+   * Returns whether a participant code has completed at least one session.
+   *
+   * @param {string} participantCode
+   */
+  isKnownCode(participantCode) {
+    return this.getRecord(participantCode) !== null;
+  }
+
+  /**
+   * Returns the index of a participant's next session, or `null` if all sessions have been
+   * completed. Unknown codes start with the first session.
+   *
+   * @param {string} participantCode
+   */
+  getNextSessionIndex(participantCode) {
+    const record = this.getRecord(participantCode);
+    const completed = new Set((record?.sessions ?? []).map((session) => session.sessionIndex));
+    const index = this.sessions.findIndex((_, sessionIndex) => !completed.has(sessionIndex));
+    return index === -1 ? null : index;
+  }
+
+  /**
+   * Records that a participant has completed a session.
+   *
+   * @param {string} participantCode
+   * @param {number} sessionIndex
+   * @param {string} [variant] The name of the experiment variant of the session
+   */
+  async completeSession(participantCode, sessionIndex, variant = null) {
+    const record = this.getRecord(participantCode) ?? { sessions: [] };
+    await this._storage.set(participantCode, {
+      ...record,
+      sessions: [...record.sessions, { sessionIndex, variant, completedAt: Date.now() }],
+    });
+  }
+
+  /**
+   * Asks the participant for their participant code (if they participated before) until a known
+   * code (or none) is entered, and returns `{ participantCode, isFirstParticipation,
+   * sessionIndex }`. Uses a separate jsPsych instance, so it has to be awaited before the
+   * experiment's jsPsych instance is initialized.
+   *
+   * If the participant has already completed all sessions, a final message is shown instead and
+   * the returned promise never resolves.
+   */
+  async identifyParticipant() {
+    let participantCode = null;
+    let error = null;
+
+    const jsPsych = initJsPsych();
+    await jsPsych.run([
+      {
+        timeline: [
+          {
+            type: SurveyTextPlugin,
+            preamble: () => (error ? `<p>${error}</p>` : ""),
+            questions: [{ prompt: this._texts.codePrompt }],
+            on_finish: (data) => {
+              // Legacy codes are safe to accept here since unknown codes are rejected below
+              const result = validateParticipantCode(data.response.Q0, {
+                allowLegacyCodes: true,
+                language: this._language,
+              });
+              participantCode = result.code || null;
+              error = participantCode === null ? null : result.error;
+              if (!error && participantCode !== null && !this.isKnownCode(participantCode)) {
+                error = this._texts.unknownCode(participantCode);
+              }
+            },
+          },
+        ],
+        loop_function: () => error !== null,
+      },
+    ]);
+
+    if (participantCode === null) {
+      return { participantCode, isFirstParticipation: true, sessionIndex: 0 };
+    }
+
+    const sessionIndex = this.getNextSessionIndex(participantCode);
+    if (sessionIndex === null) {
+      await initJsPsych().run([
+        {
+          type: HtmlKeyboardResponsePlugin,
+          stimulus: this._texts.allSessionsCompleted(this.sessions.length),
+          choices: "NO_KEYS",
+        },
+      ]);
+    }
+    return { participantCode, isFirstParticipation: false, sessionIndex };
+  }
+}
@@ -0,0 +1,270 @@
+"use strict";
+
+import { initJsPsych } from "jspsych";
+import HtmlButtonResponsePlugin from "@jspsych/plugin-html-button-response";
+import SurveyTextPlugin from "@jspsych/plugin-survey-text";
+
+import { getBrowserLanguage } from "./language";
+import { random } from "./random";
+import { validateParticipantCode } from "./participantCodes";
+
+/**
+ * The texts of the resumption prompts, by language
+ */
+const texts = {
+  en: {
+    codePrompt:
+      "<p>An unfinished session of this experiment was found.</p><p>If you want to continue your unfinished session, please enter your participant code. Otherwise, leave the field empty to start a new session.</p>",
+    unknownCode: (code) =>
+      `No unfinished session was found for the participant code <b>${code}</b>. Please check the code for typos, or leave the field empty to start a new session.`,
+    progress: (completedBlocks, blockCount) =>
+      `<p>You completed ${completedBlocks} of ${blockCount} blocks in your unfinished session.</p>` +
+      `<p>You can resume the session at the start of block ${completedBlocks + 1}.</p>`,
+    choices: ["Resume the session", "Start a new session"],
+  },
+  de: {
+    codePrompt:
+      "<p>Es wurde eine nicht abgeschlossene Sitzung dieses Experiments gefunden.</p><p>Wenn Sie Ihre nicht abgeschlossene Sitzung fortsetzen möchten, geben Sie bitte Ihren Teilnahmecode ein. Lassen Sie das Feld andernfalls leer, um eine neue Sitzung zu beginnen.</p>",
+    unknownCode: (code) =>
+      `Für den Teilnahmecode <b>${code}</b> wurde keine nicht abgeschlossene Sitzung gefunden. Bitte überprüfen Sie den Code auf Tippfehler, oder lassen Sie das Feld leer, um eine neue Sitzung zu beginnen.`,
+    progress: (completedBlocks, blockCount) =>
+      `<p>Sie haben in Ihrer nicht abgeschlossenen Sitzung ${completedBlocks} von ${blockCount} Blöcken abgeschlossen.</p>` +
+      `<p>Sie können die Sitzung am Anfang von Block ${completedBlocks + 1} fortsetzen.</p>`,
+    choices: ["Sitzung fortsetzen", "Neue Sitzung beginnen"],
+  },
+};
+
+/**
+ * Saves the progress of a session to the browser's local storage while it runs, so that a session
+ * that was interrupted (e.g. by a browser crash) can be resumed at the start of the interrupted
+ * block. Sessions are stored per participant code, and a session is only offered for resumption
+ * once its participant code has been entered.
+ *
+ * Usage:
+ *  1. Before initializing jsPsych, call `offerResumption()`. If interrupted sessions exist, the
+ *     participant is asked for their participant code and, if there is an interrupted session for
+ *     it, whether to resume that session. The resumed session (if any) is returned.
+ *  2. Call `save()` in jsPsych's `on_data_update` callback, and seed the random number generator
+ *     with the resumed session's `seed`. This reproduces the random choices made while the
+ *     timeline is built (e.g. the assignment of trials to blocks), but not the ones made while the
+ *     trials run, since the skipped blocks do not consume random numbers.
+ *  3. When resuming, skip the introduction and the completed blocks, and call `restoreData()`.
+ *     Otherwise, call `record()` once there is progress worth resuming (e.g. after the tutorial).
+ *  4. Keep `state.participantCode` (which the session is stored under), `state.completedBlocks`,
+ *     and `state.blockCount` up to date.
+ *  5. Call `finish()` at the end of the session.
+ *
+ * If the session can not be saved (e.g. because the local storage is full), all trials are marked
+ * with `sessionRecoveryFailed: true`.
+ */
+export class SessionRecovery {
+  /**
+   * The interrupted sessions found in the local storage, by participant code
+   * @type {Map<string, {savedAt: number, seed: string, state: object, data: object[]}>}
+   */
+  interruptedSessions = new Map();
+
+  /**
+   * The session that is being resumed (if any)
+   */
+  resumedSession = null;
+
+  /**
+   * Additional properties of the session that are saved along with its data (such as
+   * `participantCode`, `completedBlocks`, and `blockCount`)
+   */
+  state = { completedBlocks: 0 };
+
+  _jsPsych = null;
+
+  /**
+   * @param {string} experimentName The name of the experiment (used for the storage keys)
+   * @param {object} [options]
+   * @param {Storage} [options.storage]
+   * @param {number} [options.maxAge] The maximum age (in milliseconds) of an interrupted session
+   * that is offered for resumption. Older sessions are removed.
+   * @param {"de"|"en"} [options.language] The language of the resumption prompts (which are shown
+   * before the participant chooses the instruction language; defaults to the browser's language)
+   */
+  constructor(
+    experimentName,
+    {
+      storage = window.localStorage,
+      maxAge = 24 * 60 * 60 * 1000,
+      language = getBrowserLanguage(),
+    } = {}
+  ) {
+    this._storage = storage;
+    this._storageKeyPrefix = `sessionRecovery:${experimentName}:`;
+    this._language = language;
+    this._texts = texts[language] ?? texts.en;
+
+    const storageKeys = Array.from({ length: storage.length }, (_, index) => storage.key(index));
+    for (const key of storageKeys.filter((key) => key.startsWith(this._storageKeyPrefix))) {
+      const storedSession = SessionRecovery._parseSession(storage.getItem(key));
+      // Corrupt sessions (e.g. truncated by a crash while saving) can not be resumed either
+      if (storedSession && Date.now() - storedSession.savedAt <= maxAge) {
+        this.interruptedSessions.set(key.slice(this._storageKeyPrefix.length), storedSession);
+      } else {
+        storage.removeItem(key);
+      }
+    }
+  }
+
+  /**
+   * Parses a stored session, returning `null` if it is corrupt.
+   *
+   * @param {string} json
+   */
+  static _parseSession(json) {
+    try {
+      const session = JSON.parse(json);
+      const isValid =
+        typeof session?.savedAt === "number" &&
+        typeof session.state === "object" &&
+        session.state !== null &&
+        Array.isArray(session.data);
+      return isValid ? session : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Returns the storage key of a participant code's session.
+   *
+   * @param {string} participantCode
+   */
+  _getStorageKey(participantCode) {
+    return this._storageKeyPrefix + participantCode;
+  }
+
+  /**
+   * If there are interrupted sessions, asks the participant for their participant code and, if
+   * there is an interrupted session for it, whether to resume that session. Returns the resumed
+   * session, or `null` if no session is resumed. Uses a separate jsPsych instance, so it has to be
+   * awaited before the experiment's jsPsych instance is initialized.
+   */
+  async offerResumption() {
+    if (this.interruptedSessions.size === 0) {
+      return null;
+    }
+
+    let participantCode = null;
+    let error = null;
+    await initJsPsych().run([
+      {
+        timeline: [
+          {
+            type: SurveyTextPlugin,
+            preamble: () => (error ? `<p>${error}</p>` : ""),
+            questions: [{ prompt: this._texts.codePrompt }],
+            on_finish: (data) => {
+              const input = data.response.Q0;
+              if (input.trim() === "") {
+                participantCode = null;
+                error = null;
+                return;
+              }
+
+              // Legacy codes are safe to accept since codes without a session are rejected below
+              ({ code: participantCode, error } = validateParticipantCode(input, {
+                allowLegacyCodes: true,
+                language: this._language,
+              }));
+              if (!error && !this.interruptedSessions.has(participantCode)) {
+                error = this._texts.unknownCode(participantCode);
+              }
+            },
+          },
+        ],
+        loop_function: () => error !== null,
+      },
+    ]);
+
+    if (participantCode === null) {
+      return null;
+    }
+
+    const session = this.interruptedSessions.get(participantCode);
+    const { completedBlocks, blockCount } = session.state;
+    const jsPsych = initJsPsych();
+    await jsPsych.run([
+      {
+        type: HtmlButtonResponsePlugin,
+        stimulus: this._texts.progress(completedBlocks, blockCount),
+        choices: this._texts.choices,
+      },
+    ]);
+
+    if (jsPsych.data.get().values()[0].response === 0) {
+      this.resumedSession = session;
+    } else {
+      this._storage.removeItem(this._getStorageKey(participantCode));
+    }
+    return this.resumedSession;
+  }
+
+  /**
+   * Starts saving the session on every `save()` call.
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   */
+  record(jsPsych) {
+    this._jsPsych = jsPsych;
+  }
+
+  /**
+   * Saves the session data and state to the local storage (if `record()` has been called), under
+   * the session's participant code.
+   */
+  save() {
+    if (!this._jsPsych || !this.state.participantCode) {
+      return;
+    }
+    try {
+      this._storage.setItem(
+        this._getStorageKey(this.state.participantCode),
+        JSON.stringify({
+          savedAt: Date.now(),
+          seed: random.seed,
+          state: this.state,
+          data: this._jsPsych.data.get().values(),
+        })
+      );
+    } catch {
+      this._jsPsych.data.addProperties({ sessionRecoveryFailed: true });
+    }
+  }
+
+  /**
+   * Adds the data of the resumed session's completed blocks (and of the trials before the first
+   * block) to the data of the experiment, logs the resumption (in the `resumedAtBlock` property of
+   * all subsequent trials), and starts recording.
+   *
+   * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+   */
+  restoreData(jsPsych) {
+    const { state, data } = this.resumedSession;
+    Object.assign(this.state, state);
+
+    jsPsych.data.addProperties({ resumedAtBlock: state.completedBlocks + 1 });
+    for (const trial of data) {
+      if (typeof trial.block === "undefined" || trial.block <= state.completedBlocks) {
+        jsPsych.data.get().push(trial);
+      }
+    }
+
+    this.record(jsPsych);
+  }
+
+  /**
+   * Stops recording and removes the saved session from the local storage.
+   */
+  finish() {
+    this._jsPsych = null;
+    if (this.state.participantCode) {
+      this._storage.removeItem(this._getStorageKey(this.state.participantCode));
+    }
+  }
+}
@@ -0,0 +1,216 @@
+"use strict";
+
+import { random } from "./random";
+
+/**
+ * A transformed up/down staircase that chooses the SOA of the next TOJ trial based on the responses
+ * to previous trials.
+ *
+ * The staircase walks on a list of SOA levels. It supports two modes:
+ *  * `magnitude`: The levels are (positive) SOA magnitudes in ascending order. After `nDown`
+ *    consecutive correct responses (`response_correct`), the SOA magnitude is decreased; after
+ *    `nUp` consecutive incorrect responses, it is increased. The sign of each trial's SOA (i.e.
+ *    whether the probe or the reference is modified first) is chosen at random.
+ *  * `signed`: The levels are signed SOAs in ascending order. After `nDown` consecutive 'reference
+ *    first' responses (`response`), the SOA is decreased (i.e. the probe is shown earlier); after
+ *    `nUp` consecutive 'probe first' responses, it is increased. A 1-up/1-down staircase in this
+ *    mode converges to the point of subjective simultaneity.
+ */
+export class Staircase {
+  /**
+   * The list of SOA levels
+   * @type {number[]}
+   */
+  levels;
+
+  /**
+   * The index of the current level in `levels`
+   * @type {number}
+   */
+  levelIndex;
+
+  /**
+   * The steps taken so far, one entry per trial (with the level index and the level that the trial
+   * was run at)
+   * @type {{trial: number, soa: number, response: string, correct: boolean, levelIndex: number, level: number, step: number, reversal: boolean}[]}
+   */
+  history = [];
+
+  /**
+   * The SOA levels at which a reversal occurred
+   * @type {number[]}
+   */
+  reversals = [];
+
+  _upCount = 0;
+  _downCount = 0;
+  _lastDirection = 0;
+
+  /**
+   * @param {object} options
+   * @param {number[]} options.levels The SOA levels in ascending order
+   * @param {"magnitude"|"signed"} [options.mode] The staircase mode (defaults to `magnitude`)
+   * @param {number} [options.startLevelIndex] The index of the starting level (defaults to the last
+   * level in `magnitude` mode and to the middle level in `signed` mode)
+   * @param {number} [options.nUp] The number of consecutive 'up' events required for a step up
+   * @param {number} [options.nDown] The number of consecutive 'down' events required for a step
+   * down
+   * @param {number[]} [options.stepSizes] The step sizes (in levels), indexed by the number of
+   * reversals so far. The last step size is used once there have been more reversals than step
+   * sizes.
+   * @param {number} [options.maxReversals] The number of reversals after which the staircase is
+   * finished
+   * @param {number} [options.maxTrials] The number of trials after which the staircase is finished
+   */
+  constructor({
+    levels,
+    mode = "magnitude",
+    startLevelIndex,
+    nUp = 1,
+    nDown = 2,
+    stepSizes = [1],
+    maxReversals = Infinity,
+    maxTrials = Infinity,
+  }) {
+    if (!["magnitude", "signed"].includes(mode)) {
+      throw new Error(`Unknown staircase mode "${mode}".`);
+    }
+    if (!levels || levels.length === 0) {
+      throw new Error("A staircase requires at least one SOA level.");
+    }
+
+    this.levels = levels;
+    this.mode = mode;
+    this.levelIndex =
+      startLevelIndex ?? (mode === "magnitude" ? levels.length - 1 : Math.floor(levels.length / 2));
+    this.nUp = nUp;
+    this.nDown = nDown;
+    this.stepSizes = stepSizes;
+    this.maxReversals = maxReversals;
+    this.maxTrials = maxTrials;
+  }
+
+  /**
+   * The SOA level the staircase is currently at (unsigned in `magnitude` mode)
+   */
+  get level() {
+    return this.levels[this.levelIndex];
+  }
+
+  /**
+   * Whether the staircase has reached its maximum number of reversals or trials
+   */
+  isFinished() {
+    return this.reversals.length >= this.maxReversals || this.history.length >= this.maxTrials;
+  }
+
+  /**
+   * Returns the SOA for the next trial. In `magnitude` mode, the sign of the SOA is chosen at
+   * random.
+   */
+  getNextSoa() {
+    if (this.mode === "magnitude" && random.next() < 0.5) {
+      return -this.level;
+    }
+    return this.level;
+  }
+
+  /**
+   * Returns whether a trial's result data counts as a 'down' event (`true`), i.e. an event that
+   * makes the next trial harder in `magnitude` mode or moves the SOA towards 'probe first' in
+   * `signed` mode.
+   *
+   * @param {object} data The result data of a TojPlugin trial
+   */
+  _isDownEvent(data) {
+    return this.mode === "magnitude" ? data.response_correct : data.response === "reference";
+  }
+
+  /**
+   * Updates the staircase with the result data of a TojPlugin trial that used an SOA from
+   * `getNextSoa()`. Trials without a response (`response: null`) are ignored.
+   *
+   * @param {object} data The result data of the trial (`soa`, `response`, and `response_correct`
+   * are used)
+   */
+  update(data) {
+    if (data.response === null) {
+      return;
+    }
+
+    let direction = 0;
+    if (this._isDownEvent(data)) {
+      this._upCount = 0;
+      this._downCount++;
+      if (this._downCount >= this.nDown) {
+        direction = -1;
+        this._downCount = 0;
+      }
+    } else {
+      this._downCount = 0;
+      this._upCount++;
+      if (this._upCount >= this.nUp) {
+        direction = 1;
+        this._upCount = 0;
+      }
+    }
+
+    const reversal =
+      direction !== 0 && this._lastDirection !== 0 && direction !== this._lastDirection;
+    if (reversal) {
+      this.reversals.push(this.level);
+    }
+
+    const levelIndexBefore = this.levelIndex;
+    if (direction !== 0) {
+      const stepSize = this.stepSizes[Math.min(this.reversals.length, this.stepSizes.length - 1)];
+      this.levelIndex = Math.min(
+        Math.max(this.levelIndex + direction * stepSize, 0),
+        this.levels.length - 1
+      );
+      this._lastDirection = direction;
+    }
+
+    this.history.push({
+      trial: this.history.length + 1,
+      soa: data.soa,
+      response: data.response,
+      correct: data.response_correct,
+      levelIndex: levelIndexBefore,
+      level: this.levels[levelIndexBefore],
+      step: this.levelIndex - levelIndexBefore,
+      reversal,
+    });
+  }
+
+  /**
+   * Returns the mean of the SOA levels at the last `count` reversals (or `undefined` if no
+   * reversal has occurred so far).
+   *
+   * @param {number} count The number of reversals to average
+   */
+  getThreshold(count = Infinity) {
+    if (this.reversals.length === 0) {
+      return undefined;
+    }
+    const reversals = this.reversals.slice(-Math.min(count, this.reversals.length));
+    return reversals.reduce((sum, level) => sum + level, 0) / reversals.length;
+  }
+
+  /**
+   * Returns a serializable summary of the staircase's current state. The step history is not
+   * included (see `history`), so the state can be logged with every trial (along with the trial's
+   * own step, see `InterleavedProcedures.update()`).
+   */
+  getState() {
+    return {
+      mode: this.mode,
+      trialCount: this.history.length,
+      levelIndex: this.levelIndex,
+      level: this.level,
+      reversalCount: this.reversals.length,
+      threshold: this.getThreshold(),
+      finished: this.isFinished(),
+    };
+  }
+}
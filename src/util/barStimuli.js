@@ -1,14 +1,19 @@
+import { random } from "./random";
+import { screenCalibration } from "./visualAngle";
+import { CanvasBarGrid } from "./CanvasBarGrid";
+
 export function createBarStimulus(
   barScaleFactor,
   barColor,
   barRotation,
-  boxSize = 40,
+  boxSize = 40, // In pixels or degrees of visual angle (`{ deg: number }`, see `visualAngle.js`)
   additionalClassName = ""
 ) {
+  const boxPixels = screenCalibration.toPixels(boxSize);
   const element = document.createElement("div");
   element.className = "bar-stimulus " + additionalClassName;
-  element.setAttribute("width", boxSize);
-  element.setAttribute("height", boxSize);
+  element.style.width = `${boxPixels}px`;
+  element.style.height = `${boxPixels}px`;
 
   const bar = document.createElement("div");
   bar.className = "bar";
@@ -29,13 +34,14 @@ export function createBarStimulusGrid(
   distractorScaleFactorStandardDeviation = 0,
   targetRotation = 0,
   distractorRotation = targetRotation,
-  barBoxSize = 40
+  barBoxSize = 40 // In pixels or degrees of visual angle (`{ deg: number }`)
 ) {
+  const boxPixels = screenCalibration.toPixels(barBoxSize);
   const container = document.createElement("div");
   container.className = "bar-stimulus-grid ";
   container.style.display = "grid";
-  container.style.gridTemplateColumns = `repeat(${gridSize[0]}, ${barBoxSize}px)`;
-  container.style.gridTemplateRows = `repeat(${gridSize[1]}, ${barBoxSize}px)`;
+  container.style.gridTemplateColumns = `repeat(${gridSize[0]}, ${boxPixels}px)`;
+  container.style.gridTemplateRows = `repeat(${gridSize[1]}, ${boxPixels}px)`;
 
   let x, y;
   let target;
@@ -47,18 +53,18 @@ export function createBarStimulusGrid(
           targetScaleFactor,
           targetColor,
           targetRotation,
-          barBoxSize,
+          boxPixels,
           "bar-stimulus-grid-target"
         );
         target = currentBar;
       } else {
         const scaleFactor =
-          distractorScaleFactor + (Math.random() * 2 - 1) * distractorScaleFactorStandardDeviation;
+          distractorScaleFactor + (random.next() * 2 - 1) * distractorScaleFactorStandardDeviation;
         currentBar = createBarStimulus(
           scaleFactor,
           distractorColor,
           distractorRotation,
-          barBoxSize,
+          boxPixels,
           "bar-stimulus-grid-distractor"
         );
       }
@@ -71,3 +77,53 @@ export function createBarStimulusGrid(
 
   return [container, target.querySelector(".bar")];
 }
+
+/**
+ * Like `createBarStimulusGrid()` (with the same parameters and random choices), but draws the grid
+ * on a single canvas (see `CanvasBarGrid`). Returns the canvas element and the target bar, a
+ * `CanvasBar` object that can be used as a TOJ stimulus element (e.g. with
+ * `TojPlugin.flashElement()`).
+ *
+ * @param {object} [gridOptions] Additional `CanvasBarGrid` options (e.g. `roundedBars`)
+ */
+export function createCanvasBarStimulusGrid(
+  gridSize, // [x, y]
+  targetCoordinates, // [x, y] (from 0 to gridSize -1)
+  targetColor,
+  distractorColor,
+  targetScaleFactor,
+  distractorScaleFactor = 0.8,
+  distractorScaleFactorStandardDeviation = 0,
+  targetRotation = 0,
+  distractorRotation = targetRotation,
+  barBoxSize = 40, // In pixels or degrees of visual angle (`{ deg: number }`)
+  gridOptions = {}
+) {
+  const grid = new CanvasBarGrid(gridSize, screenCalibration.toPixels(barBoxSize), gridOptions);
+
+  let target;
+  for (let x = 0; x < gridSize[0]; x++) {
+    for (let y = 0; y < gridSize[1]; y++) {
+      if (x == targetCoordinates[0] && y == targetCoordinates[1]) {
+        target = grid.addBar({
+          position: [x, y],
+          scale: targetScaleFactor,
+          color: targetColor,
+          rotation: targetRotation,
+        });
+      } else {
+        grid.addBar({
+          position: [x, y],
+          scale:
+            distractorScaleFactor +
+            (random.next() * 2 - 1) * distractorScaleFactorStandardDeviation,
+          color: distractorColor,
+          rotation: distractorRotation,
+        });
+      }
+    }
+  }
+  grid.draw();
+
+  return [grid.canvas, target];
+}
@@ -0,0 +1,211 @@
+"use strict";
+
+/**
+ * Helpers to divide the trials of an experiment into blocks.
+ */
+
+import HtmlKeyboardResponsePlugin from "@jspsych/plugin-html-keyboard-response";
+
+import { random } from "./random";
+
+/**
+ * Splits a list of trials (timeline variable sets) into `subsetCount` subsets of equal size (up to
+ * one trial). If `balanceBy` is specified, the trials of each combination of the `balanceBy`
+ * properties' values are distributed evenly across the subsets.
+ *
+ * @param {object[]} trials
+ * @param {number} subsetCount
+ * @param {string[]} [balanceBy] Names of timeline variables to balance the subsets by
+ * @returns {object[][]}
+ */
+export function splitTrials(trials, subsetCount, balanceBy = []) {
+  const groups = new Map();
+  for (const trial of random.shuffle(trials)) {
+    const key = JSON.stringify(balanceBy.map((name) => trial[name]));
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(trial);
+  }
+
+  const subsets = Array.from({ length: subsetCount }, () => []);
+  let subsetIndex = 0;
+  for (const group of groups.values()) {
+    for (const trial of group) {
+      subsets[subsetIndex].push(trial);
+      subsetIndex = (subsetIndex + 1) % subsetCount;
+    }
+  }
+  return subsets;
+}
+
+/**
+ * Returns the number of rows of the balanced Latin square design of size `n` (see
+ * `getLatinSquareRow()`): `n` for even `n` and `2n` for odd `n`.
+ *
+ * @param {number} n
+ */
+export function getLatinSquareRowCount(n) {
+  return n % 2 === 0 ? n : 2 * n;
+}
+
+/**
+ * Returns a row of a balanced (Williams) Latin square design of size `n`, i.e. an order of the
+ * numbers `0` to `n - 1`. Across all rows of the design (see `getLatinSquareRowCount()`), each
+ * number immediately precedes each other number equally often. For even `n`, a single Latin square
+ * is balanced. For odd `n`, it is not, so the rows `n` to `2n - 1` are the reversed rows `0` to
+ * `n - 1`. Row numbers beyond the design wrap around.
+ *
+ * @param {number} n
+ * @param {number} row
+ * @returns {number[]}
+ */
+export function getLatinSquareRow(n, row) {
+  const designRow = row % getLatinSquareRowCount(n);
+  const squareRow = Array.from({ length: n }, (_, index) => {
+    const offset = index % 2 === 0 ? index / 2 : n - (index + 1) / 2;
+    return (offset + designRow) % n;
+  });
+  return designRow < n ? squareRow : squareRow.reverse();
+}
+
+/**
+ * Returns the default block-finished screen trial for a block.
+ *
+ * @param {number} block The (1-based) number of the finished block
+ * @param {number} blockCount
+ */
+export function createBlockFinishedScreen(block, blockCount) {
+  return {
+    type: HtmlKeyboardResponsePlugin,
+    stimulus:
+      block < blockCount
+        ? `<p>You finished block ${block} of ${blockCount}.<p/><p>Press any key to continue.</p>`
+        : "<p>This part of the experiment is finished. Press any key to save the results!</p>",
+  };
+}
+
+/**
+ * Returns a copy of the given timeline nodes (recursively) where each trial adds the provided
+ * properties to its result data.
+ *
+ * @param {any[]} nodes
+ * @param {object} properties
+ */
+function addDataProperties(nodes, properties) {
+  return nodes.map((node) =>
+    node.timeline
+      ? { ...node, timeline: addDataProperties(node.timeline, properties) }
+      : {
+          ...node,
+          on_finish: (data) => {
+            Object.assign(data, properties);
+            return node.on_finish?.(data);
+          },
+        }
+  );
+}
+
+/**
+ * Creates the experiment blocks for a list of trials (timeline variable sets, e.g. as returned by
+ * `jsPsych.randomization.factorial()`). The trials of a block are shown in random order, followed
+ * by a block-finished screen. All trials of a block (including the block-finished screen) have
+ * `block` and `blockCount` properties in their result data.
+ *
+ * The available strategies are:
+ *  * `repeat`: Each block contains all trials.
+ *  * `split`: The trials are split into `blockCount` balanced subsets, one per block, so that each
+ *    trial is shown exactly once.
+ *  * `alternate`: The trials are split into `subsetCount` balanced subsets, and the blocks cycle
+ *    through the subsets.
+ *  * `latinSquare`: Like `alternate`, but the subsets are cycled through in the order of a row of a
+ *    balanced Latin square (see `getLatinSquareRow()`), e.g. to counterbalance the subset order
+ *    across participants.
+ *
+ * @param {object} options
+ * @param {object[]} options.trials The trials to divide into blocks
+ * @param {any[]} options.timeline The timeline to run for each trial of a block
+ * @param {number} options.blockCount
+ * @param {"repeat"|"split"|"alternate"|"latinSquare"} [options.strategy]
+ * @param {number} [options.subsetCount] The number of subsets (for the `alternate` and
+ * `latinSquare` strategies)
+ * @param {string[]} [options.balanceBy] Names of timeline variables to balance the subsets by (see
+ * `splitTrials()`)
+ * @param {number|(() => number)} [options.latinSquareRow] The Latin square row to use (for the
+ * `latinSquare` strategy; chosen at random by default), or a function returning it at runtime
+ * (e.g. to counterbalance the block order). Note that the design has `2 * subsetCount` rows for an
+ * odd `subsetCount` (see `getLatinSquareRow()`).
+ * @param {(block: number, blockCount: number) => object} [options.createBlockFinishedScreen] A
+ * function returning the block-finished screen trial for a block
+ * @param {(procedure: object) => object} [options.wrapProcedure] A function that wraps each trial
+ * procedure (a timeline object with `timeline_variables`) of a block, e.g. to repeat missed trials
+ * using `repeatMissedTrials()`
+ *
+ * @returns {object[]} An array with one timeline object per block
+ */
+export function createBlocks({
+  trials,
+  timeline,
+  blockCount,
+  strategy = "repeat",
+  subsetCount = 2,
+  balanceBy = [],
+  latinSquareRow = random.int(0, getLatinSquareRowCount(subsetCount) - 1),
+  createBlockFinishedScreen: createScreen = createBlockFinishedScreen,
+  wrapProcedure = (procedure) => procedure,
+}) {
+  const createProcedure = (timelineVariables) =>
+    wrapProcedure({
+      timeline,
+      timeline_variables: timelineVariables,
+      randomize_order: true,
+    });
+
+  let getBlockProcedures;
+  switch (strategy) {
+    case "repeat":
+      getBlockProcedures = () => [createProcedure(trials)];
+      break;
+
+    case "split": {
+      const subsets = splitTrials(trials, blockCount, balanceBy);
+      getBlockProcedures = (blockIndex) => [createProcedure(subsets[blockIndex])];
+      break;
+    }
+
+    case "alternate": {
+      const subsets = splitTrials(trials, subsetCount, balanceBy);
+      getBlockProcedures = (blockIndex) => [createProcedure(subsets[blockIndex % subsetCount])];
+      break;
+    }
+
+    case "latinSquare": {
+      // Since the Latin square row may only be known at runtime, each block contains a procedure
+      // for every subset, and only the one matching the row is run.
+      const subsets = splitTrials(trials, subsetCount, balanceBy);
+      const getSubsetIndex = (blockIndex) => {
+        const row = typeof latinSquareRow === "function" ? latinSquareRow() : latinSquareRow;
+        return getLatinSquareRow(subsetCount, row)[blockIndex % subsetCount];
+      };
+      getBlockProcedures = (blockIndex) =>
+        subsets.map((subset, subsetIndex) => ({
+          ...createProcedure(subset),
+          conditional_function: () => getSubsetIndex(blockIndex) === subsetIndex,
+        }));
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown block strategy "${strategy}"`);
+  }
+
+  return Array.from({ length: blockCount }, (_, blockIndex) => {
+    const block = blockIndex + 1;
+    return {
+      timeline: addDataProperties(
+        [...getBlockProcedures(blockIndex), createScreen(block, blockCount)],
+        { block, blockCount }
+      ),
+    };
+  });
+}
@@ -1,7 +1,8 @@
 "use strict";
 
 import { lab } from "d3-color";
-import { sample } from "lodash";
+
+import { random } from "./random";
 
 export class LabColor {
   static L = 50;
@@ -68,6 +69,6 @@ export class LabColor {
    * @param {number[]} deltaDegreeOptions A list of options for the `deltaDegrees` value of the `getRelativeColor()` function
    */
   getRandomRelativeColor(deltaDegreeOptions) {
-    return this.getRelativeColor(sample(deltaDegreeOptions));
+    return this.getRelativeColor(random.sample(deltaDegreeOptions));
   }
 }
@@ -0,0 +1,407 @@
+"use strict";
+
+/**
+ * Helpers to export trial data in a tidy, flat format for analysis. TOJ trial data contains nested
+ * objects (such as the `condition` of `TargetPairConditionGenerator` trials with `LabColor` and
+ * `Quadrant` objects), which `jsPsych.data.get().csv()` can not represent. Here, each trial is
+ * converted to a row of primitive values instead:
+ *
+ *  * The `condition` object is split into columns like `grid_rotation`, `distractor_soa`,
+ *    `pair0_fixation_time`, `pair0_primary_color_deg`, `pair0_primary_quadrant`,
+ *    `pair0_primary_is_probe`, or `pair0_primary_grid_x`.
+ *  * Other nested objects are split into columns named `<property>_<nested property>` (e.g.
+ *    `counterbalancing_keys`), and arrays are serialized as JSON strings.
+ *
+ * The rows can be converted to CSV or JSON Lines, and `createCodebook()` describes every column.
+ *
+ * This module does not depend on the DOM, so it can be used in the browser as well as in Node (see
+ * `scripts/export-data.mjs`).
+ */
+
+/**
+ * Descriptions of the columns that are not derived from a trial's `condition`
+ */
+const columnDescriptions = {
+  // scripts/export-data.mjs
+  file: "The name of the file that the trial data was read from",
+
+  // jsPsych
+  trial_type: "The name of the trial's jsPsych plugin",
+  trial_index: "The index of the trial within the experiment (starting at 0)",
+  time_elapsed: "The time (in milliseconds) since the start of the experiment",
+  internal_node_id: "The jsPsych timeline node ID of the trial",
+  rt: "The response time (in milliseconds)",
+  response: "The response ('probe', 'reference', 'simultaneous', or 'successive' in TOJ trials)",
+
+  // Experiment
+  participantCode: "The participant code",
+  isFirstParticipation: "Whether the participant participated for the first time",
+  instructionLanguage: "The language of the instructions ('de' or 'en')",
+  refreshRate: "The display refresh rate (in Hz) as estimated during the introduction",
+  pixelsPerCm: "The number of CSS pixels per centimeter as measured by the screen calibration",
+  viewingDistance: "The viewing distance (in centimeters) entered during the screen calibration",
+  stimulusScale:
+    "The factor by which the stimuli were scaled to fit the window (stimuli sized in degrees of visual angle are only scaled down)",
+  userAgent: "The browser's user agent string",
+  sessionIndex: "The (0-based) index of the session in a multi-session experiment",
+  resumedAtBlock: "The block at which an interrupted session was resumed",
+  resultsUploadFailed: "Whether an upload of the results to the results server failed",
+  sessionRecoveryFailed:
+    "Whether the session could not be saved to the local storage for a later resumption",
+  counterbalancingCell: "The index of the counterbalancing cell the participant was assigned to",
+  counterbalancingCounterFailed:
+    "Whether the JATOS counterbalancing counter could not be updated after the assignment",
+  probeLeft: "Whether the probe was shown on the left side",
+  isProbeLeft: "Whether the probe was shown on the left side (like `probeLeft`)",
+  block: "The (1-based) number of the block",
+  blockCount: "The number of blocks",
+  is_repetition: "Whether the trial repeated an earlier trial that was missed",
+
+  // TojPlugin
+  soa: "The requested stimulus onset asynchrony (in milliseconds, negative = probe first)",
+  fixation_time:
+    "The time (in milliseconds) between the fixation mark onset and the first stimulus modification",
+  refresh_rate: "The refresh rate (in Hz) that the SOA was snapped to whole frames with",
+  response_mode: "The response mode ('toj', 'sj', or 'ternary')",
+  response_key: "The key that was pressed for the response (`null` for touch responses)",
+  response_correct: "Whether the response was correct (`null` if there was no response)",
+  timed_out: "Whether the response timeout expired",
+  aborted: "Whether the trial was aborted due to an anticipatory response",
+  anticipatory_responses: "The responses given before the stimulus presentation (JSON)",
+  fixation_onset: "The time stamp (in milliseconds) of the fixation mark onset",
+  soa_achieved: "The achieved stimulus onset asynchrony (in milliseconds)",
+  soa_warning: "Whether the achieved SOA differs from the requested one by more than one frame",
+  soa_frames_intended: "The requested SOA in frames",
+  soa_frames_achieved: "The achieved SOA in frames",
+  probe_modification_start: "The time stamp (in milliseconds) of the probe modification start",
+  probe_modification_end: "The time stamp (in milliseconds) of the probe modification end",
+  reference_modification_start:
+    "The time stamp (in milliseconds) of the reference modification start",
+  reference_modification_end: "The time stamp (in milliseconds) of the reference modification end",
+  response_window_start: "The time stamp (in milliseconds) at which responses were enabled",
+  response_window_end: "The time stamp (in milliseconds) of the response",
+  confidence: "The confidence rating (1 = lowest)",
+  confidence_key: "The key that was pressed for the confidence rating",
+  confidence_rt: "The response time (in milliseconds) of the confidence rating",
+
+  // NegationTojPlugin and DualNegationTojPlugin
+  instruction_filename: "The name of the instruction audio file",
+  instruction_negated: "Whether the instruction was negated",
+  instruction_language: "The language of the instruction audio",
+  instruction_voice: "The voice of the instruction audio",
+  distractor_fixation_time:
+    "The time (in milliseconds) before the first distractor stimulus modification",
+};
+
+/**
+ * Descriptions of the columns derived from a `TojTarget` object, by column suffix
+ */
+const targetColumnDescriptions = {
+  color_deg: "The hue (in degrees) of the target's color in the LAB color space",
+  orientation: "The orientation of the target",
+  size: "The scale factor of the target",
+  quadrant: "The quadrant of the target, numbered 0 to 3 counter-clockwise starting top right",
+  is_left: "Whether the target was shown on the left side",
+  is_probe: "Whether the target was the probe (or else the reference)",
+  grid_x: "The horizontal position of the target within its bar grid",
+  grid_y: "The vertical position of the target within its bar grid",
+};
+
+/**
+ * Descriptions of the columns derived from the state of an adaptive procedure (as logged by
+ * `InterleavedProcedures.update()` after each trial), by column suffix
+ */
+const adaptiveColumnDescriptions = {
+  condition: "The condition whose adaptive procedure chose the SOA",
+  trialCount: "The number of trials the adaptive procedure was updated with (including the trial)",
+  finished: "Whether the adaptive procedure was finished after the trial",
+
+  // Staircase
+  mode: "The staircase mode ('magnitude' or 'signed')",
+  levelIndex: "The index of the staircase's SOA level for the next trial",
+  level: "The staircase's SOA level for the next trial",
+  reversalCount: "The number of reversals of the staircase so far",
+  threshold: "The mean SOA level at the reversals of the staircase (`null` without reversals)",
+  trialLevel: "The staircase's SOA level that the trial was run at",
+  step: "The staircase step of the trial (`null` if the trial had no response)",
+  step_trial: "The (1-based) number of the trial within the staircase",
+  step_soa: "The SOA (in milliseconds) of the trial",
+  step_response: "The response of the trial",
+  step_correct: "Whether the response of the trial was correct",
+  step_levelIndex: "The index of the staircase's SOA level that the trial was run at",
+  step_level: "The staircase's SOA level that the trial was run at",
+  step_step: "The number of levels the staircase moved by after the trial",
+  step_reversal: "Whether the staircase reversed its direction after the trial",
+
+  // PsiEstimator
+  method: "The adaptive method ('psi')",
+  shape: "The shape of the psychometric function",
+  pss_mean: "The posterior mean of the PSS (in milliseconds)",
+  pss_sd: "The posterior standard deviation of the PSS (in milliseconds)",
+  spread_mean: "The posterior mean of the psychometric function's spread",
+  spread_sd: "The posterior standard deviation of the psychometric function's spread",
+  jnd_mean: "The posterior mean of the JND (in milliseconds)",
+  jnd_sd: "The posterior standard deviation of the JND (in milliseconds)",
+  map_pss: "The maximum a posteriori estimate of the PSS (in milliseconds)",
+  map_spread: "The maximum a posteriori estimate of the psychometric function's spread",
+  map_jnd: "The maximum a posteriori estimate of the JND (in milliseconds)",
+};
+
+/**
+ * Converts a camel case string to snake case.
+ *
+ * @param {string} string
+ */
+function toSnakeCase(string) {
+  return string.replace(/[A-Z]/g, (character) => "_" + character.toLowerCase());
+}
+
+/**
+ * Returns whether a value is a (non-array) object
+ *
+ * @param {any} value
+ */
+function isObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Returns whether the data of a trial belongs to a TOJ trial (i.e. a trial of a TojPlugin-based
+ * plugin, regardless of its response).
+ *
+ * @param {object} data
+ */
+export function isTojTrial(data) {
+  return typeof data.soa === "number" && "response_correct" in data;
+}
+
+/**
+ * Adds the columns of a `TojTarget` (or its JSON representation) to a row.
+ *
+ * @param {object} row
+ * @param {string} prefix
+ * @param {object} target
+ */
+function addTargetColumns(row, prefix, target) {
+  for (const [key, value] of Object.entries(target)) {
+    if (key === "quadrant") {
+      row[`${prefix}quadrant`] = value?.number ?? null;
+    } else if (key === "gridPosition") {
+      row[`${prefix}grid_x`] = value[0];
+      row[`${prefix}grid_y`] = value[1];
+    } else if (isObject(value) && "degrees" in value) {
+      // A `LabColor` object
+      row[`${prefix}${toSnakeCase(key)}_deg`] = value.degrees;
+    } else {
+      row[`${prefix}${toSnakeCase(key)}`] = value;
+    }
+  }
+}
+
+/**
+ * Adds the columns of a `TargetPairConditionGenerator` condition (or its JSON representation) to a
+ * row.
+ *
+ * @param {object} row
+ * @param {object} condition
+ */
+function addConditionColumns(row, condition) {
+  for (const [key, value] of Object.entries(condition)) {
+    if (key === "targetPairs") {
+      for (const { pairIndex, primary, secondary, fixationTime } of value) {
+        row[`pair${pairIndex}_fixation_time`] = fixationTime;
+        addTargetColumns(row, `pair${pairIndex}_primary_`, primary);
+        addTargetColumns(row, `pair${pairIndex}_secondary_`, secondary);
+      }
+    } else if (key === "rotation") {
+      row.grid_rotation = value;
+    } else if (key === "distractorSOA") {
+      row.distractor_soa = value;
+    } else {
+      addColumns(row, `condition_${toSnakeCase(key)}`, value);
+    }
+  }
+}
+
+/**
+ * Adds a value to a row, splitting objects into multiple columns and serializing arrays as JSON.
+ *
+ * @param {object} row
+ * @param {string} column
+ * @param {any} value
+ */
+function addColumns(row, column, value) {
+  if (isObject(value)) {
+    for (const [key, nestedValue] of Object.entries(value)) {
+      addColumns(row, `${column}_${key}`, nestedValue);
+    }
+  } else if (Array.isArray(value)) {
+    row[column] = JSON.stringify(value);
+  } else {
+    row[column] = value ?? null;
+  }
+}
+
+/**
+ * Converts the data of a trial into a flat object of primitive values (see the module
+ * description).
+ *
+ * @param {object} data
+ * @returns {object}
+ */
+export function flattenTrial(data) {
+  const row = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "condition" && Array.isArray(value?.targetPairs)) {
+      addConditionColumns(row, value);
+    } else {
+      addColumns(row, key, value);
+    }
+  }
+  return row;
+}
+
+/**
+ * Converts the data of multiple trials into flat rows (see `flattenTrial()`).
+ *
+ * @param {object[]|{values: () => object[]}} data An array of trial data or a jsPsych data
+ * collection (e.g. `jsPsych.data.get()`)
+ * @param {object} [options]
+ * @param {boolean} [options.tojTrialsOnly] Whether to omit all trials that are not TOJ trials (see
+ * `isTojTrial()`)
+ * @returns {object[]}
+ */
+export function flattenData(data, { tojTrialsOnly = false } = {}) {
+  const trials = Array.isArray(data) ? data : data.values();
+  return (tojTrialsOnly ? trials.filter(isTojTrial) : trials).map(flattenTrial);
+}
+
+/**
+ * Returns the names of all columns of the given rows, in the order of their first occurrence.
+ *
+ * @param {object[]} rows
+ * @returns {string[]}
+ */
+export function getColumns(rows) {
+  const columns = new Set();
+  for (const row of rows) {
+    for (const column of Object.keys(row)) {
+      columns.add(column);
+    }
+  }
+  return [...columns];
+}
+
+/**
+ * Converts a value into a CSV field.
+ *
+ * @param {any} value
+ */
+function toCsvField(value) {
+  if (value === null || typeof value === "undefined") {
+    return "";
+  }
+  const string = String(value);
+  return /[",\r\n]/.test(string) ? `"${string.replace(/"/g, '""')}"` : string;
+}
+
+/**
+ * Converts flat rows into a CSV string (with a header line). Missing values are left empty.
+ *
+ * @param {object[]} rows
+ * @param {string[]} [columns] The columns to include (defaults to all columns of the rows)
+ */
+export function toCsv(rows, columns = getColumns(rows)) {
+  return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((fields) => fields.map(toCsvField).join(","))
+    .join("\r\n");
+}
+
+/**
+ * Converts rows into a JSON Lines string (one JSON object per line).
+ *
+ * @param {object[]} rows
+ */
+export function toJsonLines(rows) {
+  return rows.map((row) => JSON.stringify(row)).join("\n");
+}
+
+/**
+ * Returns the description of a column.
+ *
+ * @param {string} column
+ */
+export function describeColumn(column) {
+  if (columnDescriptions[column]) {
+    return columnDescriptions[column];
+  }
+
+  const pairMatch = column.match(/^pair(\d+)_(?:(fixation_time)|(primary|secondary)_(.+))$/);
+  if (pairMatch) {
+    const [, pairIndex, fixationTime, target, suffix] = pairMatch;
+    const pair = `pair ${pairIndex}${pairIndex === "0" ? "" : ", the distractor pair"}`;
+    if (fixationTime) {
+      return `The fixation time (in milliseconds) of target ${pair}`;
+    }
+    const description =
+      targetColumnDescriptions[suffix] ?? `The \`${suffix}\` property of the target`;
+    return `${description} (${target} target of ${pair})`;
+  }
+
+  switch (column) {
+    case "grid_rotation":
+      return "The orientation (in degrees) of the bars in the bar grids";
+    case "distractor_soa":
+      return "The stimulus onset asynchrony (in milliseconds) of the distractor pair";
+  }
+
+  if (column.startsWith("distractor_")) {
+    const description = describeColumn(column.slice("distractor_".length));
+    if (description) {
+      return `${description} (distractor pair)`;
+    }
+  }
+  if (column.startsWith("adaptive_")) {
+    return adaptiveColumnDescriptions[column.slice("adaptive_".length)] ?? null;
+  }
+  if (column.startsWith("counterbalancing_")) {
+    return `The counterbalancing factor \`${column.slice("counterbalancing_".length)}\``;
+  }
+  return null;
+}
+
+/**
+ * Returns the type of the values in a column ("number", "boolean", "string", or multiple of them,
+ * separated by "|").
+ *
+ * @param {object[]} rows
+ * @param {string} column
+ */
+function getColumnType(rows, column) {
+  const types = new Set();
+  for (const row of rows) {
+    const value = row[column];
+    if (value !== null && typeof value !== "undefined") {
+      types.add(typeof value);
+    }
+  }
+  return [...types].sort().join("|") || "null";
+}
+
+/**
+ * Returns a codebook for flat rows, i.e. an entry `{ column, type, description }` for every
+ * column. Columns that are not known to this module (such as plugin-specific parameters) are
+ * described by a generic description. A codebook can be converted to CSV with `toCsv()`, too.
+ *
+ * @param {object[]} rows
+ * @returns {{column: string, type: string, description: string}[]}
+ */
+export function createCodebook(rows) {
+  return getColumns(rows).map((column) => ({
+    column,
+    type: getColumnType(rows, column),
+    description:
+      describeColumn(column) ??
+      `The \`${column}\` data property (see the documentation of the trial's plugin)`,
+  }));
+}
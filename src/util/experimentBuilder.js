@@ -0,0 +1,482 @@
+"use strict";
+
+/**
+ * Builds jsPsych timelines from declarative experiment definitions. An experiment definition is a
+ * plain (JSON-compatible) object that is validated against `experimentSchema`:
+ *
+ * ```js
+ * {
+ *   name: "Color TOJ Negation", // The experiment name shown on the welcome page
+ *   plugin: "toj-negation-dual", // The `info.name` of the TOJ plugin ("toj-negation" or "toj-negation-dual")
+ *   skipIntroduction: false, // [optional] Whether to skip the introduction (for development)
+ *   resumable: true, // [optional] Whether interrupted sessions can be resumed (see `SessionRecovery`)
+ *   instructions: { en: "...", de: "..." }, // Markdown instruction strings
+ *   factors: { isInstructionNegated: [true, false], probeLeft: [true, false], soa: [...] },
+ *   repetitions: 1, // [optional] The number of repetitions of the factorial design
+ *   tutorial: {
+ *     trialCount: 30, // The number of tutorial trials
+ *     firstParticipationTrialCount: 30, // [optional] The number of tutorial trials for first-time participants
+ *   },
+ *   blocks: {
+ *     count: 10, // The number of experiment blocks
+ *     strategy: "repeat", // [optional] The block strategy (see `createBlocks()`)
+ *     subsetCount: 2, // [optional] See `createBlocks()`
+ *     balanceBy: [], // [optional] See `createBlocks()`
+ *     latinSquareRow: 0, // [optional] See `createBlocks()`
+ *     repeatMissedTrials: false, // [optional] Whether to repeat TOJ trials without a response at the end of their block (see `repeatMissedTrials()`)
+ *   },
+ *   stimulus: {
+ *     feature: { type: "labHue", ...options }, // The target feature strategy and its options (see `targetFeatures.js`)
+ *     barSize: { deg: 1 }, // [optional] The size of a bar's box in degrees of visual angle (adds screen calibration trials to the introduction, see `visualAngle.js`)
+ *     ...options, // [optional] Other `TargetPairConditionGenerator` options (pairCount, layout, gridSize, ...)
+ *   },
+ *   adaptive: { // [optional] Choose the SOAs of the experiment blocks adaptively (see `createAdaptiveProcedures()`)
+ *     method: "staircase", // The adaptive procedure ("staircase" or "psi")
+ *     conditionBy: ["isInstructionNegated"], // [optional] The factors with one procedure per level combination
+ *     options: { mode: "signed" }, // [optional] Options of the `Staircase` or `PsiEstimator` constructor
+ *   },
+ *   keys: { left: "q", right: "p" }, // [optional] The response keys
+ *   responseMapping: "side", // [optional] See `createNegationTojTrial()`
+ *   renderer: "dom", // [optional] How bar grids are rendered ("dom" or "canvas", see `createNegationTojTrial()`)
+ *   parameters: {}, // [optional] Additional TOJ plugin parameters
+ *   probeLeftDataProperty: "probeLeft", // [optional] The data column of the `probeLeft` factor (see `createNegationTojTrial()`)
+ *   sessionManagement: { // [optional] For experiments with multiple sessions (see `SessionManager`)
+ *     storage: "local", // [optional] Where to store participant records ("local" or "jatos")
+ *     sessions: [{}, { name: "...", ... }], // The definition overrides of each session
+ *   },
+ *   counterbalancing: { // [optional] See `Counterbalancing`
+ *     method: "participantCode", // [optional] The assignment method
+ *     factors: { // The between-subjects factors
+ *       keys: [{ left: "q", right: "p" }, { left: "p", right: "q" }], // Overrides `keys`
+ *       instructionVoice: ["m", "f"], // The voice of the audio instructions (random by default)
+ *       latinSquareRow: [0, 1], // Overrides `blocks.latinSquareRow`
+ *     },
+ *   },
+ * }
+ * ```
+ *
+ * In the instructions, `{{leftKey}}` and `{{rightKey}}` are replaced with the (possibly
+ * counterbalanced) response keys.
+ */
+
+import { initJsPsych } from "jspsych";
+import HtmlKeyboardResponsePlugin from "@jspsych/plugin-html-keyboard-response";
+import PreloadPlugin from "@jspsych/plugin-preload";
+
+import delay from "delay";
+
+import NegationTojPlugin from "../plugins/NegationTojPlugin";
+import DualNegationTojPlugin from "../plugins/DualNegationTojPlugin";
+
+import { TouchAdapter } from "./TouchAdapter";
+import { addIntroduction } from "./introduction";
+import { random, seedRandomness } from "./random";
+import { TargetPairConditionGenerator } from "./ConditionGenerator";
+import { targetFeatures } from "./targetFeatures";
+import { createNegationTojTrial } from "./negationTrial";
+import { experimentSchema, validate } from "./experimentSchema";
+import { createBlockFinishedScreen, createBlocks } from "./blocks";
+import { repeatMissedTrials } from "./missedTrials";
+import { Counterbalancing } from "./Counterbalancing";
+import { SessionRecovery } from "./SessionRecovery";
+import { SessionManager } from "./SessionManager";
+import { JatosIntegration } from "./JatosIntegration";
+import { installJatosMock } from "./jatosMock";
+import { ResultsUploader } from "./ResultsUploader";
+import { getObserverOptionsFromUrl } from "./observers";
+import { isDegrees, screenCalibration } from "./visualAngle";
+import { InterleavedProcedures } from "./InterleavedProcedures";
+import { Staircase } from "./Staircase";
+import { PsiEstimator } from "./PsiEstimator";
+
+const plugins = Object.fromEntries(
+  [NegationTojPlugin, DualNegationTojPlugin].map((plugin) => [plugin.info.name, plugin])
+);
+
+/**
+ * Validates an experiment definition and throws an error listing all schema violations if it is
+ * invalid.
+ *
+ * @param {object} definition
+ */
+export function validateDefinition(definition) {
+  const errors = validate(experimentSchema, definition);
+  if (errors.length > 0) {
+    throw new Error(`Invalid experiment definition:\n${errors.join("\n")}`);
+  }
+}
+
+/**
+ * Returns a `TargetPairConditionGenerator` for the `stimulus` property of an experiment definition.
+ *
+ * @param {object} stimulus
+ */
+export function createConditionGenerator({ feature: { type, ...featureOptions }, ...options }) {
+  return new TargetPairConditionGenerator({
+    ...options,
+    feature: targetFeatures[type](featureOptions),
+  });
+}
+
+const sortedUnique = (values) => [...new Set(values)].sort((a, b) => a - b);
+
+/**
+ * Returns an `InterleavedProcedures` object for the `adaptive` property of an experiment
+ * definition. The procedures choose from the levels of the definition's `soa` factor: A `signed`
+ * staircase and the Psi method use the (signed) SOAs, a `magnitude` staircase uses the distinct
+ * non-zero absolute SOAs.
+ *
+ * @param {{method: "staircase"|"psi", options?: object}} adaptive
+ * @param {number[]} soas The levels of the `soa` factor
+ */
+export function createAdaptiveProcedures({ method, options = {} }, soas) {
+  if (method === "psi") {
+    return new InterleavedProcedures(
+      () => new PsiEstimator({ soas: sortedUnique(soas), ...options })
+    );
+  }
+  const levels =
+    options.mode === "signed"
+      ? sortedUnique(soas)
+      : sortedUnique(soas.map(Math.abs)).filter((level) => level > 0);
+  return new InterleavedProcedures(() => new Staircase({ levels, ...options }));
+}
+
+const isPlainObject = (value) => value?.constructor === Object;
+
+/**
+ * Returns a copy of an experiment definition with the given overrides applied (merging nested
+ * objects).
+ *
+ * @param {object} definition
+ * @param {object} overrides
+ */
+export function mergeDefinition(definition, overrides) {
+  const merged = { ...definition };
+  for (const [key, value] of Object.entries(overrides)) {
+    merged[key] =
+      isPlainObject(value) && isPlainObject(definition[key])
+        ? mergeDefinition(definition[key], value)
+        : value;
+  }
+  return merged;
+}
+
+/**
+ * Validates an experiment definition and returns the jsPsych timeline for it.
+ *
+ * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+ * @param {object} definition The experiment definition
+ * @param {object} options
+ * @param {{audio: string[]}} options.assetPaths The asset paths passed to the experiment's `run()`
+ * function
+ * @param {SessionRecovery} [options.sessionRecovery] A `SessionRecovery` object to save the
+ * progress of the session to (and to resume its `resumedSession` from, if any)
+ * @param {{participantCode: string, isFirstParticipation: boolean, sessionIndex: number}} [options.participant]
+ * The participant as identified by `SessionManager.identifyParticipant()`
+ * @param {JatosIntegration} [options.jatos] A `JatosIntegration` object to submit the results of
+ * each block to
+ * @param {ResultsUploader} [options.resultsUploader] A `ResultsUploader` object to upload the
+ * results after each block with
+ */
+export function buildTimeline(
+  jsPsych,
+  definition,
+  { assetPaths, sessionRecovery = null, participant = null, jatos = null, resultsUploader = null }
+) {
+  validateDefinition(definition);
+
+  const timeline = [{ type: PreloadPlugin, audio: assetPaths.audio }];
+
+  const touchAdapterSpace = new TouchAdapter("space");
+  const bindSpaceTouchAdapterToWindow = async () => {
+    await delay(500); // Prevent touch event from previous touch
+    touchAdapterSpace.bindToElement(window);
+  };
+  const unbindSpaceTouchAdapterFromWindow = () => {
+    touchAdapterSpace.unbindFromElement(window);
+  };
+
+  // Counterbalancing
+  const counterbalancing = definition.counterbalancing
+    ? new Counterbalancing(jsPsych, definition.counterbalancing.factors, {
+        method: definition.counterbalancing.method,
+        getParticipantCode: () => globalProps.participantCode,
+      })
+    : null;
+
+  // Returns a function that yields the participant's level of a between-subjects factor, or the
+  // default value if the factor is not counterbalanced
+  const getCounterbalanced = (factor, defaultValue) =>
+    counterbalancing && factor in definition.counterbalancing.factors
+      ? () => counterbalancing.get(factor)
+      : defaultValue;
+
+  const getKeys = getCounterbalanced("keys", () => definition.keys ?? { left: "q", right: "p" });
+  const fillInKeys = (instructions) => () => {
+    const keys = getKeys();
+    return instructions
+      .replaceAll("{{leftKey}}", keys.left.toUpperCase())
+      .replaceAll("{{rightKey}}", keys.right.toUpperCase());
+  };
+
+  // The introduction and the tutorial are skipped when an interrupted session is resumed
+  const resumedSession = sessionRecovery?.resumedSession;
+  const sessionStart = [];
+  timeline.push({ timeline: sessionStart, conditional_function: () => !resumedSession });
+
+  const globalProps = addIntroduction(jsPsych, sessionStart, {
+    skip: definition.skipIntroduction ?? false,
+    experimentName: definition.name,
+    participant,
+    calibrateScreen: isDegrees(definition.stimulus.barSize),
+    instructions: {
+      en: fillInKeys(definition.instructions.en),
+      de: fillInKeys(definition.instructions.de),
+    },
+  });
+
+  if (participant) {
+    jsPsych.data.addProperties({ sessionIndex: participant.sessionIndex });
+  }
+
+  if (resumedSession) {
+    const { state } = resumedSession;
+    Object.assign(globalProps, state.globalProps);
+    const { instructionLanguage, isFirstParticipation, participantCode } = globalProps;
+    jsPsych.data.addProperties({ instructionLanguage, isFirstParticipation, participantCode });
+    if (globalProps.pixelsPerCm) {
+      const { pixelsPerCm, viewingDistance } = globalProps;
+      screenCalibration.set({ pixelsPerCm, viewingDistance });
+      jsPsych.data.addProperties({ pixelsPerCm, viewingDistance });
+    }
+    if (counterbalancing && state.counterbalancingCell !== null) {
+      counterbalancing.restore(state.counterbalancingCell);
+    }
+    sessionRecovery.restoreData(jsPsych);
+    sessionRecovery.state.globalProps = globalProps;
+  }
+
+  // Generate trials
+  const trials = jsPsych.randomization.factorial(definition.factors, definition.repetitions ?? 1);
+
+  // Create TOJ plugin trial object
+  const toj = createNegationTojTrial(jsPsych, {
+    plugin: plugins[definition.plugin],
+    conditionGenerator: createConditionGenerator(definition.stimulus),
+    globalProps,
+    keys: getKeys,
+    responseMapping: definition.responseMapping,
+    renderer: definition.renderer,
+    probeLeftDataProperty: definition.probeLeftDataProperty,
+    parameters: {
+      ...definition.parameters,
+      instruction_voice: getCounterbalanced(
+        "instructionVoice",
+        definition.parameters?.instruction_voice ?? (() => random.sample(["m", "f"]))
+      ),
+    },
+  });
+
+  // With adaptive SOAs, the experiment blocks use a copy of the TOJ trial that takes its SOA from
+  // the procedure of the trial's condition (the tutorial keeps the SOAs of the `soa` factor). The
+  // procedures are not saved by `SessionRecovery`, so they start over when a session is resumed.
+  let blockToj = toj;
+  if (definition.adaptive) {
+    const procedures = createAdaptiveProcedures(definition.adaptive, definition.factors.soa);
+    const getConditionId = () =>
+      (definition.adaptive.conditionBy ?? [])
+        .map((factor) => `${factor}=${jsPsych.timelineVariable(factor, true)}`)
+        .join(",");
+    blockToj = {
+      ...toj,
+      soa: () => procedures.getNextSoa(getConditionId()),
+      on_finish: (data) => {
+        toj.on_finish(data);
+        procedures.update(getConditionId(), data);
+      },
+    };
+  }
+
+  // Tutorial
+  const { trialCount, firstParticipationTrialCount = trialCount } = definition.tutorial;
+  sessionStart.push({
+    timeline: [toj],
+    timeline_variables: trials.slice(0, trialCount),
+    play_feedback: true,
+    randomize_order: true,
+    // Assign the participant to a cell once the participant code is known
+    on_timeline_start: () => counterbalancing?.assign(),
+  });
+  if (firstParticipationTrialCount > trialCount) {
+    sessionStart.push({
+      timeline: [toj],
+      conditional_function: () => globalProps.isFirstParticipation,
+      timeline_variables: trials.slice(trialCount, firstParticipationTrialCount),
+      play_feedback: true,
+      randomize_order: true,
+    });
+  }
+  const {
+    count: blockCount,
+    repeatMissedTrials: repeatsMissedTrials,
+    ...blockOptions
+  } = definition.blocks;
+  sessionStart.push({
+    type: HtmlKeyboardResponsePlugin,
+    stimulus: "<p>You finished the tutorial.</p><p>Press any key to continue.</p>",
+    on_start: bindSpaceTouchAdapterToWindow,
+    on_finish: () => {
+      unbindSpaceTouchAdapterFromWindow();
+      if (sessionRecovery) {
+        // From now on, the session can be resumed
+        Object.assign(sessionRecovery.state, {
+          globalProps,
+          participant,
+          participantCode: globalProps.participantCode,
+          counterbalancingCell: counterbalancing?.cellIndex ?? null,
+          blockCount,
+        });
+        sessionRecovery.record(jsPsych);
+      }
+    },
+  });
+
+  // Experiment blocks
+  const completedBlocks = resumedSession?.state.completedBlocks ?? 0;
+  const blocks = createBlocks({
+    ...blockOptions,
+    latinSquareRow: getCounterbalanced("latinSquareRow", blockOptions.latinSquareRow),
+    trials,
+    timeline: [blockToj],
+    blockCount,
+    wrapProcedure: repeatsMissedTrials
+      ? (procedure) => repeatMissedTrials(jsPsych, procedure)
+      : undefined,
+    createBlockFinishedScreen: (block) => ({
+      ...createBlockFinishedScreen(block, blockCount),
+      on_start: bindSpaceTouchAdapterToWindow,
+      on_finish: () => {
+        unbindSpaceTouchAdapterFromWindow();
+        if (sessionRecovery) {
+          sessionRecovery.state.completedBlocks = block;
+        }
+        jatos?.submitBlock(jsPsych, {
+          participantCode: globalProps.participantCode,
+          sessionIndex: participant?.sessionIndex ?? null,
+          completedBlocks: block,
+          blockCount,
+        });
+        resultsUploader?.upload(jsPsych, globalProps.participantCode);
+      },
+    }),
+  });
+  timeline.push(
+    ...blocks.map((block, blockIndex) => ({
+      ...block,
+      conditional_function: () => blockIndex >= completedBlocks,
+    }))
+  );
+
+  return timeline;
+}
+
+/**
+ * Runs an experiment from an experiment definition. Meant to be called from an experiment's
+ * `run()` function.
+ *
+ * When the experiment runs in JATOS (or the page URL contains the `jatosMock` query parameter, in
+ * which case a JATOS mock is installed, see `jatosMock.js`; `?jatosMock=debug` logs the mock's
+ * requests to the console), the results are submitted to JATOS
+ * after each block and the study is ended by `JatosIntegration`. Then, the jsPsych instance is not
+ * returned, so that jsPsych Builder does not submit the results a second time. Otherwise, if the
+ * experiment is served by a results server (see `scripts/results-server.mjs`), the results are
+ * uploaded to it after each block and at the end (see `ResultsUploader`).
+ *
+ * If the page URL contains the `simulate` query parameter (e.g. `?simulate=tva&vProbe=60`, see
+ * `getObserverOptionsFromUrl()`), the experiment is run in jsPsych's simulation mode with a
+ * simulated observer answering the TOJ trials. Then, the introduction is skipped, and session
+ * recovery and session management are disabled.
+ *
+ * @param {object} definition The experiment definition
+ * @param {object} options
+ * @param {{audio: string[]}} options.assetPaths The asset paths passed to the experiment's `run()`
+ * function
+ */
+export async function runExperiment(definition, { assetPaths }) {
+  const jatosMockParameter = new URLSearchParams(window.location.search).get("jatosMock");
+  if (jatosMockParameter !== null) {
+    installJatosMock({ debug: jatosMockParameter === "debug" });
+  }
+  const jatos = JatosIntegration.isAvailable() ? new JatosIntegration() : null;
+
+  const observer = getObserverOptionsFromUrl();
+  if (observer) {
+    definition = { ...definition, skipIntroduction: true, resumable: false };
+  }
+
+  let jsPsych;
+  let resultsUploader = null;
+  let participantCode;
+  try {
+    const sessionRecovery =
+      definition.resumable ?? true ? new SessionRecovery(definition.name) : null;
+    const resumedSession = await sessionRecovery?.offerResumption();
+
+    let sessionManager = null;
+    let participant = null;
+    if (definition.sessionManagement && !observer) {
+      const { sessions, storage } = definition.sessionManagement;
+      sessionManager = new SessionManager({ sessions, storage });
+      participant =
+        resumedSession?.state.participant ?? (await sessionManager.identifyParticipant());
+      definition = mergeDefinition(definition, sessions[participant.sessionIndex]);
+    }
+
+    if (!jatos && (await ResultsUploader.isServerAvailable())) {
+      const sessionId =
+        resumedSession?.state.resultsSessionId ??
+        `session${(participant?.sessionIndex ?? 0) + 1}_${Date.now()}`;
+      if (sessionRecovery) {
+        sessionRecovery.state.resultsSessionId = sessionId;
+      }
+      resultsUploader = new ResultsUploader(sessionId);
+    }
+
+    jsPsych = initJsPsych({ on_data_update: () => sessionRecovery?.save() });
+    seedRandomness(jsPsych, resumedSession?.seed);
+
+    const timeline = buildTimeline(jsPsych, definition, {
+      assetPaths,
+      sessionRecovery,
+      participant,
+      jatos,
+      resultsUploader,
+    });
+    await (observer
+      ? jsPsych.simulate(timeline, "data-only", { default: { observer } })
+      : jsPsych.run(timeline));
+
+    participantCode = jsPsych.data.get().last(1).values()[0].participantCode;
+    if (sessionManager) {
+      await sessionManager.completeSession(
+        participantCode,
+        participant.sessionIndex,
+        definition.name
+      );
+    }
+    sessionRecovery?.finish();
+  } catch (error) {
+    if (jatos) {
+      await jatos.fail(error);
+    }
+    throw error;
+  }
+
+  if (jatos) {
+    await jatos.finish(jsPsych);
+    return;
+  }
+  await resultsUploader?.finish(jsPsych, participantCode);
+  return jsPsych;
+}
@@ -0,0 +1,211 @@
+"use strict";
+
+/**
+ * The schema of declarative experiment definitions (see `experimentBuilder.js`), written in a
+ * subset of JSON Schema that is supported by `validate()`.
+ */
+
+const integer = (minimum = 0) => ({ type: "integer", minimum });
+const range = { type: "array", items: integer(), minItems: 2, maxItems: 2 };
+const keys = {
+  type: "object",
+  required: ["left", "right"],
+  additionalProperties: false,
+  properties: { left: { type: "string" }, right: { type: "string" } },
+};
+const levels = (items) => ({ type: "array", items, minItems: 1 });
+
+export const experimentSchema = {
+  type: "object",
+  required: ["name", "plugin", "instructions", "factors", "tutorial", "blocks", "stimulus"],
+  additionalProperties: false,
+  properties: {
+    name: { type: "string" },
+    plugin: { enum: ["toj-negation", "toj-negation-dual"] },
+    skipIntroduction: { type: "boolean" },
+    resumable: { type: "boolean" },
+    instructions: {
+      type: "object",
+      required: ["en", "de"],
+      additionalProperties: false,
+      properties: { en: { type: "string" }, de: { type: "string" } },
+    },
+    factors: {
+      type: "object",
+      required: ["isInstructionNegated", "probeLeft", "soa"],
+      additionalProperties: { type: "array", minItems: 1 },
+    },
+    repetitions: integer(1),
+    tutorial: {
+      type: "object",
+      required: ["trialCount"],
+      additionalProperties: false,
+      properties: {
+        trialCount: integer(),
+        firstParticipationTrialCount: integer(),
+      },
+    },
+    blocks: {
+      type: "object",
+      required: ["count"],
+      additionalProperties: false,
+      properties: {
+        count: integer(1),
+        strategy: { enum: ["repeat", "split", "alternate", "latinSquare"] },
+        subsetCount: integer(1),
+        balanceBy: { type: "array", items: { type: "string" } },
+        latinSquareRow: integer(),
+        repeatMissedTrials: { type: "boolean" },
+      },
+    },
+    stimulus: {
+      type: "object",
+      required: ["feature"],
+      additionalProperties: false,
+      properties: {
+        feature: {
+          type: "object",
+          required: ["type"],
+          properties: { type: { enum: ["labHue", "orientation", "size"] } },
+        },
+        pairCount: integer(1),
+        layout: { enum: ["quadrants", "sides"] },
+        gridSize: { type: "array", items: integer(1), minItems: 2, maxItems: 2 },
+        barSize: {
+          type: "object",
+          required: ["deg"],
+          additionalProperties: false,
+          properties: { deg: { type: "number", exclusiveMinimum: 0 } },
+        },
+        positionRanges: {
+          type: "object",
+          required: ["left", "right"],
+          additionalProperties: {
+            type: "object",
+            required: ["x", "y"],
+            additionalProperties: false,
+            properties: { x: range, y: range },
+          },
+        },
+        fixationTimeRange: range,
+        distractorSoas: { type: "array", items: { type: "number" }, minItems: 1 },
+      },
+    },
+    adaptive: {
+      type: "object",
+      required: ["method"],
+      additionalProperties: false,
+      properties: {
+        method: { enum: ["staircase", "psi"] },
+        conditionBy: { type: "array", items: { type: "string" } },
+        options: { type: "object" },
+      },
+    },
+    keys,
+    responseMapping: { enum: ["side", "order"] },
+    renderer: { enum: ["dom", "canvas"] },
+    parameters: { type: "object" },
+    probeLeftDataProperty: { type: "string" },
+    sessionManagement: {
+      type: "object",
+      required: ["sessions"],
+      additionalProperties: false,
+      properties: {
+        storage: { enum: ["local", "jatos"] },
+        sessions: { type: "array", items: { type: "object" }, minItems: 1 },
+      },
+    },
+    counterbalancing: {
+      type: "object",
+      required: ["factors"],
+      additionalProperties: false,
+      properties: {
+        method: { enum: ["participantCode", "counter", "jatos"] },
+        factors: {
+          type: "object",
+          additionalProperties: levels(),
+          properties: {
+            keys: levels(keys),
+            instructionVoice: levels({ enum: ["m", "f"] }),
+            latinSquareRow: levels(integer()),
+          },
+        },
+      },
+    },
+  },
+};
+
+function getType(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (value === null) {
+    return "null";
+  }
+  return typeof value;
+}
+
+/**
+ * Validates a value against a schema and returns an array of error messages (empty if the value
+ * is valid). The supported schema keywords are `type`, `enum`, `minimum`, `exclusiveMinimum`,
+ * `items`, `minItems`, `maxItems`, `properties`, `required`, and `additionalProperties`.
+ *
+ * @param {object} schema
+ * @param {any} value
+ * @param {string} [path] The name of the value in error messages
+ * @returns {string[]}
+ */
+export function validate(schema, value, path = "definition") {
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${path} must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(", ")}`];
+  }
+
+  if (schema.type) {
+    const type = getType(value);
+    const matches = schema.type === "integer" ? Number.isInteger(value) : schema.type === type;
+    if (!matches) {
+      return [`${path} must be of type ${schema.type}, got ${type}`];
+    }
+  }
+
+  const errors = [];
+
+  if (typeof schema.minimum !== "undefined" && value < schema.minimum) {
+    errors.push(`${path} must be at least ${schema.minimum}`);
+  }
+  if (typeof schema.exclusiveMinimum !== "undefined" && value <= schema.exclusiveMinimum) {
+    errors.push(`${path} must be greater than ${schema.exclusiveMinimum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (typeof schema.minItems !== "undefined" && value.length < schema.minItems) {
+      errors.push(`${path} must have at least ${schema.minItems} items`);
+    }
+    if (typeof schema.maxItems !== "undefined" && value.length > schema.maxItems) {
+      errors.push(`${path} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validate(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getType(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (typeof value[key] === "undefined") {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key] ?? schema.additionalProperties;
+      if (propertySchema === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (propertySchema) {
+        errors.push(...validate(propertySchema, propertyValue, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
@@ -8,23 +8,41 @@ import HtmlButtonResponsePlugin from "@jspsych/plugin-html-button-response";
 import FullscreenPlugin from "@jspsych/plugin-fullscreen";
 
 import estimateVsync from "vsync-estimate";
-import { customAlphabet } from "nanoid";
 import marked from "marked";
 
+import { createParticipantCode, validateParticipantCode } from "./participantCodes";
+import { creditCardHeight, creditCardWidth, screenCalibration } from "./visualAngle";
+
 marked.setOptions({ breaks: true });
 
+/**
+ * Estimates the display's refresh rate and stores it (in Hz, rounded) in the `refreshRate`
+ * property of `globalProps`. Until the estimate is available, `globalProps.refreshRate` keeps its
+ * previous value. Experiments without `addIntroduction()` can use it to provide the TOJ plugin's
+ * `refresh_rate` parameter.
+ *
+ * @param {{refreshRate?: number}} globalProps
+ * @returns {Promise<number>} The estimated refresh rate
+ */
+export async function estimateRefreshRate(globalProps) {
+  globalProps.refreshRate = Math.round(await estimateVsync());
+  return globalProps.refreshRate;
+}
+
 /**
  * Adds introduction trials to a provided jsPsych timeline and returns an object that will be
  * populated with global properties set during the introduction trials (such as language choice and
  * participant code).
  *
  * The trials are:
- *  * A welcome page with radio buttons for first time participation and language selection, including vsync detection and user agent logging in the background
+ *  * A welcome page with radio buttons for first time participation and language selection, including vsync detection (the refresh rate is stored in the `refreshRate` property) and user agent logging in the background
  *  * A declaration of consent page
  *  * A participation code announcement or input page
  *  * An age prompt
  *  * A gender prompt
  *  * A switch-to-fullscreen page
+ *  * Screen calibration pages (only if `options.calibrateScreen` is set, see
+ *    `addScreenCalibration()`)
  *  * A tutorial page
  *
  * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
@@ -34,51 +52,77 @@ marked.setOptions({ breaks: true });
  * @param {boolean} [options.skip] Whether or not to skip the introduction and use default
  * properties; useful for development.
  * @param {string} options.experimentName
- * @param {object} options.instructions Markdown instruction strings
- * @param {string} options.instructions.de
- * @param {string} options.instructions.en
+ * @param {object} options.instructions Markdown instruction strings (or functions returning them)
+ * @param {string|(() => string)} options.instructions.de
+ * @param {string|(() => string)} options.instructions.en
+ * @param {{isFirstParticipation: boolean, participantCode: string}} [options.participant] The
+ * participant, if already identified before the introduction (e.g. by `SessionManager`). Then, the
+ * first participation question and the participant code input page are omitted.
+ * @param {boolean} [options.calibrateScreen] Whether to calibrate the screen for stimulus sizes in
+ * degrees of visual angle (see `visualAngle.js`)
  *
  * @returns {{
  *  instructionLanguage: "de"|"en";
  *  isFirstParticipation: boolean;,
  *  participantCode: string;
+ *  refreshRate: number;
+ *  pixelsPerCm?: number;
+ *  viewingDistance?: number;
  * }}
  */
 export function addIntroduction(jsPsych, timeline, options) {
   if (options.skip) {
-    return {
+    const defaultProps = {
       instructionLanguage: "en",
       isFirstParticipation: false,
       participantCode: "ABCD",
+      refreshRate: 60,
     };
+    estimateRefreshRate(defaultProps);
+    return defaultProps;
   }
 
   const globalProps = {};
+  const participant = options.participant;
+
+  if (participant) {
+    const newProps = { isFirstParticipation: participant.isFirstParticipation };
+    if (participant.participantCode) {
+      newProps.participantCode = participant.participantCode;
+    }
+    Object.assign(globalProps, newProps);
+    jsPsych.data.addProperties(newProps);
+  }
+
+  const languageQuestion = {
+    prompt: `Most parts of this experiment are available in multiple languages. Please select a language.`,
+    options: ["Deutsch", "English"],
+    required: true,
+  };
 
   timeline.push({
     type: SurveyMultiChoicePlugin,
     preamble: `<p>Welcome to the ${options.experimentName} experiment!</p>`,
-    questions: [
-      {
-        prompt: `Is this the first time you participate in this experiment?`,
-        options: ["Yes", "No"],
-        required: true,
-      },
-      {
-        prompt: `Most parts of this experiment are available in multiple languages. Please select a language.`,
-        options: ["Deutsch", "English"],
-        required: true,
-      },
-    ],
+    questions: participant
+      ? [languageQuestion]
+      : [
+          {
+            prompt: `Is this the first time you participate in this experiment?`,
+            options: ["Yes", "No"],
+            required: true,
+          },
+          languageQuestion,
+        ],
     on_start: async (trial) => {
-      const rate = await estimateVsync();
-      trial.data.refreshRate = Math.round(rate);
+      trial.data.refreshRate = await estimateRefreshRate(globalProps);
     },
     on_finish: (trial) => {
-      const newProps = {
-        isFirstParticipation: trial.response.Q0 === "Yes",
-        instructionLanguage: trial.response.Q1 === "Deutsch" ? "de" : "en",
-      };
+      const newProps = participant
+        ? { instructionLanguage: trial.response.Q0 === "Deutsch" ? "de" : "en" }
+        : {
+            isFirstParticipation: trial.response.Q0 === "Yes",
+            instructionLanguage: trial.response.Q1 === "Deutsch" ? "de" : "en",
+          };
       Object.assign(globalProps, newProps);
       jsPsych.data.addProperties(newProps);
     },
@@ -87,26 +131,39 @@ export function addIntroduction(jsPsych, timeline, options) {
     },
   });
 
+  let participantCodeError = null;
   timeline.push({
-    conditional_function: () => !globalProps.isFirstParticipation,
+    conditional_function: () => !participant && !globalProps.isFirstParticipation,
     timeline: [
       {
         type: SurveyTextPlugin,
-        questions: [
+        preamble: () => (participantCodeError ? `<p>${participantCodeError}</p>` : ""),
+        questions: () => [
           {
             prompt:
-              "<p>Please enter your participant code (the one you got the first time you participated in this experiment).</p>",
+              globalProps.instructionLanguage === "en"
+                ? "<p>Please enter your participant code (the one you got the first time you participated in this experiment).</p>"
+                : "<p>Bitte geben Sie Ihren Teilnahmecode ein (den Sie bei Ihrer ersten Teilnahme an diesem Experiment erhalten haben).</p>",
             required: true,
           },
         ],
         on_finish: (trial) => {
-          const newProps = {
-            participantCode: trial.response.Q0,
-          };
-          jsPsych.data.addProperties(newProps);
+          const { code, error } = validateParticipantCode(trial.response.Q0, {
+            language: globalProps.instructionLanguage,
+          });
+          participantCodeError = error;
+          trial.participantCodeError = error;
+          if (!error) {
+            const newProps = {
+              participantCode: code,
+            };
+            Object.assign(globalProps, newProps);
+            jsPsych.data.addProperties(newProps);
+          }
         },
       },
     ],
+    loop_function: () => participantCodeError !== null,
   });
 
   timeline.push({
@@ -124,8 +181,7 @@ export function addIntroduction(jsPsych, timeline, options) {
       {
         type: HtmlButtonResponsePlugin,
         stimulus: () => {
-          const nanoid = customAlphabet("ABCDEFGHJKLMNPQRSTUVWXYZ123456789", 4);
-          const participantCode = nanoid();
+          const participantCode = createParticipantCode();
           const newProps = { participantCode };
           Object.assign(globalProps, newProps);
           jsPsych.data.addProperties(newProps);
@@ -178,13 +234,20 @@ export function addIntroduction(jsPsych, timeline, options) {
     fullscreen_mode: true,
   });
 
+  if (options.calibrateScreen) {
+    addScreenCalibration(jsPsych, timeline, globalProps);
+  }
+
   // Instructions
   timeline.push({
     type: HtmlButtonResponsePlugin,
-    stimulus: () =>
-      marked(
-        globalProps.instructionLanguage === "en" ? options.instructions.en : options.instructions.de
-      ),
+    stimulus: () => {
+      const instructions =
+        globalProps.instructionLanguage === "en"
+          ? options.instructions.en
+          : options.instructions.de;
+      return marked(typeof instructions === "function" ? instructions() : instructions);
+    },
     choices: () =>
       globalProps.instructionLanguage === "en"
         ? ["Got it, start the tutorial"]
@@ -193,3 +256,84 @@ export function addIntroduction(jsPsych, timeline, options) {
 
   return globalProps;
 }
+
+/**
+ * Adds screen calibration trials to a jsPsych timeline: The participant resizes a rectangle on the
+ * screen to match a credit card (or any other ID-1 card) and enters the viewing distance. The
+ * results are stored in the `pixelsPerCm` and `viewingDistance` properties of `globalProps` and of
+ * the experiment data, and they are used to set up the shared `screenCalibration`.
+ *
+ * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+ * @param {any[]} timeline The jsPsych timeline to add the calibration trials to
+ * @param {{instructionLanguage: "de"|"en"}} globalProps The global properties returned by
+ * `addIntroduction()`
+ */
+export function addScreenCalibration(jsPsych, timeline, globalProps) {
+  const isEnglish = () => globalProps.instructionLanguage === "en";
+
+  // Start with the card size for the CSS reference pixel density
+  let cardWidth = Math.round(creditCardWidth * screenCalibration.pixelsPerCm);
+  const getCardStyle = () =>
+    `width: ${cardWidth}px; height: ${(cardWidth * creditCardHeight) / creditCardWidth}px;`;
+
+  timeline.push({
+    type: HtmlButtonResponsePlugin,
+    stimulus: () =>
+      `<div class="screen-calibration"><p>${
+        isEnglish()
+          ? "Please hold a credit card (or any other card of that size, like an ID card) against the screen and move the slider until the rectangle has the same size as the card."
+          : "Bitte halten Sie eine Kreditkarte (oder eine andere Karte dieser Größe, z.B. Ihren Personalausweis) an den Bildschirm und verschieben Sie den Regler, bis das Rechteck so groß ist wie die Karte."
+      }</p><div class="calibration-card" style="${getCardStyle()}"></div>` +
+      `<input class="calibration-slider" type="range" min="100" max="1000" value="${cardWidth}"></div>`,
+    choices: () => (isEnglish() ? ["Done"] : ["Fertig"]),
+    on_load: () => {
+      const display = jsPsych.getDisplayElement();
+      const card = display.querySelector(".calibration-card");
+      display.querySelector(".calibration-slider").addEventListener("input", (event) => {
+        cardWidth = Number(event.target.value);
+        card.style.cssText = getCardStyle();
+      });
+    },
+    on_finish: (trial) => {
+      trial.cardWidth = cardWidth;
+    },
+  });
+
+  let viewingDistanceError = null;
+  timeline.push({
+    timeline: [
+      {
+        type: SurveyTextPlugin,
+        preamble: () => (viewingDistanceError ? `<p>${viewingDistanceError}</p>` : ""),
+        questions: () => [
+          {
+            prompt: isEnglish()
+              ? "<p>Please sit as you will during the experiment. How far (in centimeters) are your eyes away from the screen?</p>"
+              : "<p>Bitte setzen Sie sich so hin wie während des Experiments. Wie weit (in Zentimetern) sind Ihre Augen vom Bildschirm entfernt?</p>",
+            placeholder: "60",
+            required: true,
+          },
+        ],
+        on_finish: (trial) => {
+          const viewingDistance = Number(trial.response.Q0.trim().replace(",", "."));
+          const isValid = viewingDistance >= 20 && viewingDistance <= 200;
+          viewingDistanceError = isValid
+            ? null
+            : isEnglish()
+            ? "Please enter a distance between 20 and 200 centimeters."
+            : "Bitte geben Sie einen Abstand zwischen 20 und 200 Zentimetern ein.";
+          trial.viewingDistanceError = viewingDistanceError;
+          if (!isValid) {
+            return;
+          }
+
+          const newProps = { pixelsPerCm: cardWidth / creditCardWidth, viewingDistance };
+          Object.assign(globalProps, newProps);
+          jsPsych.data.addProperties(newProps);
+          screenCalibration.set(newProps);
+        },
+      },
+    ],
+    loop_function: () => viewingDistanceError !== null,
+  });
+}
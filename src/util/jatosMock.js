@@ -0,0 +1,161 @@
+"use strict";
+
+/**
+ * A local mock of the `jatos` object (jatos.js) for testing the JATOS integration (see
+ * `JatosIntegration`, `SessionManager`, and `Counterbalancing`) offline. It implements the parts
+ * of the jatos.js API that are used by the experiments, keeps everything in memory, and records the
+ * requests (in its `requests` array, and on the console if the `debug` option is set).
+ */
+
+/**
+ * Returns the value at a JSON pointer (e.g. `/participants/ABCD`) within an object, or `undefined`
+ * if there is none.
+ *
+ * @param {object} object
+ * @param {string} pointer
+ */
+function resolvePointer(object, pointer) {
+  return pointer
+    .split("/")
+    .slice(1)
+    .reduce((value, key) => value?.[key], object);
+}
+
+/**
+ * Creates a mock of the `jatos` object.
+ *
+ * @param {object} [options]
+ * @param {object} [options.studySessionData] The initial study session data
+ * @param {object} [options.batchSessionData] The initial batch session data
+ * @param {object} [options.componentJsonInput] The component's JSON input
+ * @param {number} [options.failingRequests] The number of result data requests that fail before
+ * requests succeed (to test error handling)
+ * @param {boolean} [options.debug] Whether to log the requests to the console
+ */
+export function createJatosMock({
+  studySessionData = {},
+  batchSessionData = {},
+  componentJsonInput = {},
+  failingRequests = 0,
+  debug = false,
+} = {}) {
+  const request = async (description, action) => {
+    if (mock.isEnded) {
+      throw new Error(`Request after the study has ended: ${description}`);
+    }
+    mock.requests.push(description);
+    if (debug) {
+      console.log(`[JATOS mock] ${description}`);
+    }
+    return action();
+  };
+
+  const resultDataRequest = (description, action) =>
+    request(description, () => {
+      if (failingRequests > 0) {
+        failingRequests--;
+        throw new Error("JATOS mock: Request failed");
+      }
+      action();
+    });
+
+  const end = (state, message) =>
+    request(`${state}${message ? `: ${message}` : ""}`, () => {
+      mock.isEnded = true;
+      mock.endState = state;
+      mock.endMessage = message ?? null;
+    });
+
+  const batchData = batchSessionData;
+
+  const mock = {
+    /**
+     * The descriptions of the requests made so far
+     */
+    requests: [],
+
+    /**
+     * The result data submitted so far
+     */
+    resultData: "",
+
+    /**
+     * Whether the study has been ended or aborted
+     */
+    isEnded: false,
+
+    /**
+     * How the study was ended ("FINISHED", "FAIL", or "ABORTED")
+     */
+    endState: null,
+
+    /**
+     * The message passed to `endStudy()` or `abortStudy()`
+     */
+    endMessage: null,
+
+    studyResultId: 1,
+    componentJsonInput,
+    studySessionData,
+
+    onLoad: (callback) => setTimeout(callback),
+
+    submitResultData: (resultData) =>
+      resultDataRequest("submitResultData", () => {
+        mock.resultData = resultData;
+      }),
+
+    appendResultData: (resultData) =>
+      resultDataRequest(`appendResultData (${resultData.length} characters)`, () => {
+        mock.resultData += resultData;
+      }),
+
+    setStudySessionData: (data) =>
+      request("setStudySessionData", () => {
+        mock.studySessionData = JSON.parse(JSON.stringify(data));
+      }),
+
+    endStudy: (successful = true, message) => end(successful ? "FINISHED" : "FAIL", message),
+
+    abortStudy: (message) =>
+      request(`ABORTED${message ? `: ${message}` : ""}`, () => {
+        // Like JATOS, delete all result data of the study run
+        mock.resultData = "";
+        mock.isEnded = true;
+        mock.endState = "ABORTED";
+        mock.endMessage = message ?? null;
+      }),
+
+    batchSession: {
+      get: (key) => batchData[key],
+      getAll: () => batchData,
+      set: (key, value) =>
+        request(`batchSession.set ${key}`, () => {
+          batchData[key] = JSON.parse(JSON.stringify(value));
+        }),
+      find: (pointer) => resolvePointer(batchData, pointer),
+      defined: (pointer) => typeof resolvePointer(batchData, pointer) !== "undefined",
+      add: (pointer, value) =>
+        request(`batchSession.add ${pointer}`, () => {
+          const keys = pointer.split("/").slice(1);
+          const parent = keys.slice(0, -1).reduce((object, key) => object[key], batchData);
+          parent[keys[keys.length - 1]] = JSON.parse(JSON.stringify(value));
+        }),
+    },
+  };
+
+  return mock;
+}
+
+/**
+ * Creates a JATOS mock (see `createJatosMock()`) and installs it as `window.jatos`, unless a
+ * `jatos` object exists already. Returns the `jatos` object.
+ *
+ * @param {object} [options] See `createJatosMock()`
+ */
+export function installJatosMock(options) {
+  if (typeof window.jatos === "undefined") {
+    window.jatos = createJatosMock(options);
+  }
+  return window.jatos;
+}
@@ -0,0 +1,18 @@
+"use strict";
+
+/**
+ * The languages that the texts of the experiments are available in
+ */
+export const languages = ["de", "en"];
+
+/**
+ * Returns the language of the browser if the texts of the experiments are available in it, and
+ * English otherwise. Used for the texts that are shown before the participant has chosen the
+ * instruction language in the introduction (see `addIntroduction()`).
+ *
+ * @returns {"de"|"en"}
+ */
+export function getBrowserLanguage() {
+  const language = (window.navigator.language ?? "").slice(0, 2).toLowerCase();
+  return languages.includes(language) ? language : "en";
+}
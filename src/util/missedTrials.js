@@ -0,0 +1,116 @@
+"use strict";
+
+import { TojPlugin } from "../plugins/TojPlugin";
+
+/**
+ * Helpers to repeat TOJ trials without a response (e.g. because the response timeout expired or
+ * the trial was aborted due to a premature response).
+ */
+
+/**
+ * Returns whether the result data of a TojPlugin trial lacks a response (i.e. the trial timed out
+ * or was aborted).
+ *
+ * @param {object} data
+ */
+export function isMissedTrial(data) {
+  return data.response === null;
+}
+
+/**
+ * Returns whether a timeline node is a trial of `TojPlugin` or one of its subclasses.
+ *
+ * @param {object} node
+ */
+function isTojTrial(node) {
+  return node.type === TojPlugin || node.type?.prototype instanceof TojPlugin;
+}
+
+/**
+ * Wraps a timeline (i.e. an object with `timeline` and `timeline_variables` properties, such as a
+ * block of TOJ trials) so that missed TOJ trials are re-queued and repeated at the end of the
+ * timeline, with the same timeline variables, until no missed trials are left. All TOJ trials are
+ * marked with an `is_repetition` data property; other trials (e.g. instructions) are not.
+ *
+ * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+ * @param {object} timeline The timeline object to wrap
+ * @param {object} [options]
+ * @param {(data: object) => boolean} [options.isMissed] A function that decides whether a trial has
+ * to be repeated, given its result data (defaults to `isMissedTrial`)
+ *
+ * @returns {object} A new timeline object that can be used in place of `timeline`
+ */
+export function repeatMissedTrials(jsPsych, timeline, { isMissed = isMissedTrial } = {}) {
+  const queue = [];
+
+  const wrapTimeline = (nodes, isRepetition) =>
+    nodes.map((node) => {
+      if (node.timeline) {
+        return { ...node, timeline: wrapTimeline(node.timeline, isRepetition) };
+      }
+      if (!isTojTrial(node)) {
+        return node;
+      }
+      return {
+        ...node,
+        on_finish: (data) => {
+          data.is_repetition = isRepetition;
+          node.on_finish?.(data);
+          if (isMissed(data)) {
+            queue.push(jsPsych.getAllTimelineVariables());
+          }
+        },
+      };
+    });
+
+  const {
+    timeline: nodes,
+    timeline_variables,
+    randomize_order,
+    sample,
+    repetitions,
+    conditional_function,
+    loop_function,
+    on_timeline_start,
+    on_timeline_finish,
+    ...nodeParameters
+  } = timeline;
+
+  // The repetition timeline runs once per queued trial. Its (only) timeline variable set is
+  // replaced with the next queued set before each run.
+  const repetitionVariables = {};
+  const repetitionTimeline = {
+    ...nodeParameters,
+    timeline: wrapTimeline(nodes, true),
+    timeline_variables: [repetitionVariables],
+    conditional_function: () => {
+      if (queue.length === 0) {
+        return false;
+      }
+      for (const key of Object.keys(repetitionVariables)) {
+        delete repetitionVariables[key];
+      }
+      Object.assign(repetitionVariables, queue.shift());
+      return true;
+    },
+    loop_function: () => queue.length > 0,
+  };
+
+  return {
+    conditional_function,
+    on_timeline_start,
+    on_timeline_finish,
+    timeline: [
+      {
+        ...nodeParameters,
+        timeline: wrapTimeline(nodes, false),
+        timeline_variables,
+        randomize_order,
+        sample,
+        repetitions,
+        loop_function,
+      },
+      repetitionTimeline,
+    ],
+  };
+}
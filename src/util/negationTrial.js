@@ -0,0 +1,171 @@
+"use strict";
+
+import TojPlugin from "../plugins/TojPlugin";
+
+import { TouchAdapter } from "./TouchAdapter";
+import { Scaler } from "./Scaler";
+import { createBarStimulusGrid, createCanvasBarStimulusGrid } from "./barStimuli";
+import { setAbsolutePosition } from "./positioning";
+import { random } from "./random";
+import { isDegrees } from "./visualAngle";
+
+const gridColor = "#777777";
+const defaultTargetColor = "#333333";
+
+/**
+ * Returns a jsPsych trial object for the negation TOJ plugins (`NegationTojPlugin` and
+ * `DualNegationTojPlugin`) that shows the targets of a `TargetPairConditionGenerator` condition in
+ * bar grids. The first target pair is the task-relevant one; a second target pair (only with
+ * `DualNegationTojPlugin`) serves as the distractor pair.
+ *
+ * The trial expects the timeline variables `isInstructionNegated`, `probeLeft`, and `soa`.
+ *
+ * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+ * @param {object} options
+ * @param {any} options.plugin The TOJ plugin class
+ * @param {import("./ConditionGenerator").TargetPairConditionGenerator} options.conditionGenerator
+ * @param {{instructionLanguage: string, refreshRate: number}} options.globalProps The global
+ * properties returned by `addIntroduction()`
+ * @param {{left: string, right: string} | (() => {left: string, right: string})} [options.keys] The
+ * response keys for the left and the right side, or a function returning them (e.g. to
+ * counterbalance them)
+ * @param {"side"|"order"} [options.responseMapping] Whether the response keys refer to the side of
+ * the target that changed first (`side`), or to whether the probe (left key) or the reference
+ * (right key) changed first (`order`)
+ * @param {"dom"|"canvas"} [options.renderer] Whether the bar grids consist of DOM elements (`dom`)
+ * or are drawn on canvases (`canvas`, see `CanvasBarGrid`)
+ * @param {object} [options.parameters] Additional plugin parameters
+ * @param {string} [options.probeLeftDataProperty] The name of the data property that the
+ * `probeLeft` timeline variable is logged as (defaults to `probeLeft`)
+ */
+export function createNegationTojTrial(
+  jsPsych,
+  {
+    plugin,
+    conditionGenerator,
+    globalProps,
+    keys = { left: "q", right: "p" },
+    responseMapping = "side",
+    renderer = "dom",
+    parameters = {},
+    probeLeftDataProperty = "probeLeft",
+  }
+) {
+  const feature = conditionGenerator.feature;
+  const createGrid = renderer === "canvas" ? createCanvasBarStimulusGrid : createBarStimulusGrid;
+  const isDual = conditionGenerator.pairCount > 1;
+
+  const getKeys = () => (typeof keys === "function" ? keys() : keys);
+
+  const touchAdapters = new Map();
+  const getTouchAdapter = (key) => {
+    if (!touchAdapters.has(key)) {
+      touchAdapters.set(key, new TouchAdapter(key));
+    }
+    return touchAdapters.get(key);
+  };
+
+  let scaler; // Will store the Scaler object for the TOJ plugin
+
+  const isProbeKeyLeft = () => responseMapping === "order" || jsPsych.timelineVariable("probeLeft");
+  const getProbeKey = () => getKeys()[isProbeKeyLeft() ? "left" : "right"];
+  const getReferenceKey = () => getKeys()[isProbeKeyLeft() ? "right" : "left"];
+
+  return {
+    type: plugin,
+    modification_function: (element) => TojPlugin.flashElement(element, "toj-flash", 30),
+    soa: jsPsych.timelineVariable("soa"),
+    refresh_rate: () => globalProps.refreshRate,
+    probe_key: getProbeKey,
+    reference_key: getReferenceKey,
+    instruction_negated: jsPsych.timelineVariable("isInstructionNegated"),
+    instruction_voice: () => random.sample(["m", "f"]),
+    ...parameters,
+    on_start: (trial) => {
+      const probeLeft = jsPsych.timelineVariable("probeLeft");
+      const condition = conditionGenerator.generateCondition(probeLeft);
+
+      // Log probeLeft and condition
+      trial.data = {
+        [probeLeftDataProperty]: probeLeft,
+        condition,
+      };
+
+      trial.fixation_time = condition.targetPairs[0].fixationTime;
+      trial.instruction_language = globalProps.instructionLanguage;
+
+      // Set instruction feature
+      if (isDual) {
+        const instructedPair = condition.targetPairs[trial.instruction_negated ? 1 : 0];
+        trial.instruction_filename = feature.toName(instructedPair.primary[feature.property]);
+
+        trial.distractor_fixation_time = condition.targetPairs[1].fixationTime;
+        trial.distractor_soa = condition.distractorSOA;
+      } else {
+        const { primary, secondary } = condition.targetPairs[0];
+        const [probe, reference] = primary.isProbe ? [primary, secondary] : [secondary, primary];
+        trial.instruction_filename = feature.toName(
+          (trial.instruction_negated ? reference : probe)[feature.property]
+        );
+      }
+    },
+    on_load: () => {
+      const trial = jsPsych.getCurrentTrial();
+      const { condition } = trial.data;
+
+      const plugin = TojPlugin.current;
+      const keys = getKeys();
+
+      // Loop over targets, creating them and their grids
+      for (const targetPair of condition.targetPairs) {
+        [targetPair.primary, targetPair.secondary].map((target) => {
+          const bar = {
+            color: defaultTargetColor,
+            rotation: condition.rotation,
+            scale: 1,
+            ...feature.toBarProperties(target[feature.property]),
+          };
+          const [gridElement, targetElement] = createGrid(
+            conditionGenerator.gridSize,
+            target.gridPosition,
+            bar.color,
+            gridColor,
+            bar.scale,
+            0.7,
+            0.1,
+            bar.rotation,
+            condition.rotation,
+            conditionGenerator.barSize
+          );
+          plugin.appendElement(gridElement);
+          getTouchAdapter(target.isLeft ? keys.left : keys.right).bindToElement(gridElement);
+
+          setAbsolutePosition(gridElement, ...conditionGenerator.getGridOffset(target));
+
+          // Specify the elements for TOJ
+          const elementPrefix = targetPair.pairIndex == 0 ? "" : "distractor_";
+          trial[elementPrefix + (target.isProbe ? "probe_element" : "reference_element")] =
+            targetElement;
+        });
+      }
+
+      // Fit to window size (only shrinking the stimuli if their size is given in degrees)
+      const { gridSize, barSize, layout } = conditionGenerator;
+      const getFieldSize = (barCount) =>
+        isDegrees(barSize) ? { deg: barCount * barSize.deg } : barCount * barSize;
+      scaler = new Scaler(
+        plugin.container,
+        getFieldSize(gridSize[0] * 2),
+        getFieldSize(gridSize[1] * (layout === "quadrants" ? 2 : 1)),
+        10
+      );
+      trial.data.stimulusScale = scaler.scale;
+    },
+    on_finish: () => {
+      scaler.destruct();
+      for (const touchAdapter of touchAdapters.values()) {
+        touchAdapter.unbindFromAll();
+      }
+    },
+  };
+}
@@ -0,0 +1,139 @@
+"use strict";
+
+/**
+ * Simulated observers that answer TOJ trials in jsPsych's simulation mode (see
+ * `TojPlugin.simulate()`). An observer is created from plain (JSON-compatible) options, so it can
+ * be passed in jsPsych's `simulation_options`:
+ *
+ * ```js
+ * { type: "psychometric", pss: 10, jnd: 40, shape: "gaussian", lapseRate: 0.02 }
+ * { type: "tva", vProbe: 60, vReference: 40 }
+ * ```
+ *
+ * Both observer types additionally accept `rtMean` and `rtSd` (the mean and the standard deviation
+ * of the normally distributed response times in milliseconds).
+ */
+
+import { getProbeFirstProbability, sigmoids } from "./psychometrics";
+import { getTvaProbeFirstProbability } from "./tva";
+import { random } from "./random";
+
+/**
+ * Functions that return a function mapping an SOA to the probability of a 'probe first' response,
+ * by observer type
+ */
+export const observerModels = {
+  /**
+   * A psychometric function with a given point of subjective simultaneity (PSS) and just
+   * noticeable difference (JND), both in milliseconds
+   */
+  psychometric: ({ pss = 0, jnd = 40, shape = "gaussian", lapseRate = 0 }) => {
+    const spread = jnd / sigmoids[shape].quantile75;
+    return (soa) => getProbeFirstProbability(soa, { pss, spread, lapseRate, shape });
+  },
+
+  /**
+   * The TVA-based TOJ model with given processing rates (in Hz) of the probe and the reference
+   */
+  tva:
+    ({ vProbe = 50, vReference = 50 }) =>
+    (soa) =>
+      getTvaProbeFirstProbability(soa, { vProbe, vReference }),
+};
+
+/**
+ * Returns a normally distributed random number.
+ *
+ * @param {number} mean
+ * @param {number} sd
+ */
+function sampleNormal(mean, sd) {
+  // Box-Muller transform
+  const u = 1 - random.next();
+  const v = random.next();
+  return mean + sd * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Creates a simulated observer.
+ *
+ * The observers are TOJ observers. In the `sj` and `ternary` response modes, they respond
+ * 'simultaneous' with a probability that increases with their uncertainty (`1 - |2p - 1|`, where
+ * `p` is the probability of a 'probe first' response).
+ *
+ * @param {object} [options] The observer options (see the module description)
+ * @param {"psychometric"|"tva"} [options.type]
+ */
+export function createObserver({
+  type = "psychometric",
+  rtMean = 600,
+  rtSd = 150,
+  ...options
+} = {}) {
+  if (!observerModels[type]) {
+    throw new Error(`Unknown observer type "${type}"`);
+  }
+  const getProbeFirstProbability = observerModels[type](options);
+
+  /**
+   * Returns a random response time (in milliseconds, at least 150)
+   */
+  const sampleRt = () => Math.max(150, Math.round(sampleNormal(rtMean, rtSd)));
+
+  return {
+    getProbeFirstProbability,
+    sampleRt,
+
+    /**
+     * Responds to a trial with a given SOA and response mode. Returns the response, the response
+     * time (in milliseconds), and the observer's certainty (between 0 and 1, e.g. to derive a
+     * confidence rating from).
+     *
+     * @param {number} soa
+     * @param {string} [responseMode] The response mode ("toj", "sj", or "ternary")
+     * @returns {{response: string, rt: number, certainty: number}}
+     */
+    respond(soa, responseMode = "toj") {
+      const probeFirst = getProbeFirstProbability(soa);
+      const certainty = Math.abs(2 * probeFirst - 1);
+      const isSimultaneous = responseMode !== "toj" && random.next() >= certainty;
+      const temporalOrder = random.next() < probeFirst ? "probe" : "reference";
+
+      let response;
+      if (responseMode === "sj") {
+        response = isSimultaneous ? "simultaneous" : "successive";
+      } else {
+        response = isSimultaneous ? "simultaneous" : temporalOrder;
+      }
+
+      return { response, rt: sampleRt(), certainty };
+    },
+  };
+}
+
+const numericOptions = ["pss", "jnd", "lapseRate", "vProbe", "vReference", "rtMean", "rtSd"];
+
+/**
+ * Returns the observer options specified in URL query parameters (e.g.
+ * `?simulate=tva&vProbe=60&vReference=40`), or `null` if there is no `simulate` parameter. The
+ * value of the `simulate` parameter is the observer type (defaults to `psychometric`).
+ *
+ * @param {string} [search] The query string (defaults to the one of the current page)
+ */
+export function getObserverOptionsFromUrl(search = window.location.search) {
+  const parameters = new URLSearchParams(search);
+  if (!parameters.has("simulate")) {
+    return null;
+  }
+
+  const options = { type: parameters.get("simulate") || "psychometric" };
+  for (const key of numericOptions) {
+    if (parameters.has(key)) {
+      options[key] = Number(parameters.get(key));
+    }
+  }
+  if (parameters.has("shape")) {
+    options.shape = parameters.get("shape");
+  }
+  return options;
+}
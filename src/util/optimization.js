@@ -0,0 +1,73 @@
+"use strict";
+
+/**
+ * Minimizes a function of several variables using the Nelder–Mead simplex method.
+ *
+ * @param {(x: number[]) => number} f The function to be minimized
+ * @param {number[]} initial The starting point
+ * @param {object} [options]
+ * @param {number[]} [options.stepSizes] The initial simplex size per dimension (defaults to 10 % of
+ * the starting point's coordinates, or 0.1 for zero coordinates)
+ * @param {number} [options.maxIterations]
+ * @param {number} [options.tolerance] The minimal difference between the best and the worst
+ * function value of the simplex for the search to continue
+ *
+ * @returns {{x: number[], value: number, iterations: number}}
+ */
+export function nelderMead(
+  f,
+  initial,
+  { stepSizes = undefined, maxIterations = 1000, tolerance = 1e-10 } = {}
+) {
+  const dimensions = initial.length;
+  const evaluate = (x) => ({ x, value: f(x) });
+  const combine = (a, b, factor) => a.map((value, i) => value + factor * (b[i] - value));
+
+  let simplex = [evaluate(initial)];
+  for (let i = 0; i < dimensions; i++) {
+    const vertex = initial.slice();
+    vertex[i] += stepSizes?.[i] ?? (initial[i] === 0 ? 0.1 : initial[i] * 0.1);
+    simplex.push(evaluate(vertex));
+  }
+
+  let iteration = 0;
+  for (; iteration < maxIterations; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[dimensions];
+    if (Math.abs(worst.value - best.value) < tolerance) {
+      break;
+    }
+
+    // The centroid of all vertices except the worst one
+    const centroid = new Array(dimensions).fill(0);
+    for (const vertex of simplex.slice(0, dimensions)) {
+      vertex.x.forEach((value, i) => (centroid[i] += value / dimensions));
+    }
+
+    const reflected = evaluate(combine(centroid, worst.x, -1));
+    if (reflected.value < best.value) {
+      const expanded = evaluate(combine(centroid, worst.x, -2));
+      simplex[dimensions] = expanded.value < reflected.value ? expanded : reflected;
+    } else if (reflected.value < simplex[dimensions - 1].value) {
+      simplex[dimensions] = reflected;
+    } else {
+      const contracted =
+        reflected.value < worst.value
+          ? evaluate(combine(centroid, reflected.x, 0.5))
+          : evaluate(combine(centroid, worst.x, 0.5));
+      if (contracted.value < Math.min(reflected.value, worst.value)) {
+        simplex[dimensions] = contracted;
+      } else {
+        // Shrink towards the best vertex
+        simplex = [
+          best,
+          ...simplex.slice(1).map((vertex) => evaluate(combine(best.x, vertex.x, 0.5))),
+        ];
+      }
+    }
+  }
+
+  simplex.sort((a, b) => a.value - b.value);
+  return { ...simplex[0], iterations: iteration };
+}
@@ -0,0 +1,128 @@
+"use strict";
+
+/**
+ * Helpers to create and validate participant codes. A participant code consists of random
+ * characters followed by a check character (a weighted checksum of the other characters), so that
+ * typos (any single wrong character or swap of two adjacent characters) are detected when a code
+ * is re-entered.
+ */
+
+import { customAlphabet } from "nanoid";
+
+/**
+ * The characters that participant codes consist of (excluding easily confused ones such as "I",
+ * "O", and "0")
+ */
+export const codeAlphabet = "ABCDEFGHJKLMNPQRSTUVWXYZ123456789";
+
+/**
+ * The number of random characters in a participant code (without the check character)
+ */
+export const codeLength = 4;
+
+/**
+ * Replacements applied when normalizing codes, for characters that are easily confused with
+ * characters of `codeAlphabet`
+ */
+const ambiguousCharacters = { I: "1", "|": "1" };
+
+const generateCodeBody = customAlphabet(codeAlphabet, codeLength);
+
+/**
+ * The validation error messages, by language
+ */
+const errorMessages = {
+  en: {
+    empty: "Please enter your participant code.",
+    invalidCharacters: (code) =>
+      `The participant code <b>${code}</b> contains invalid characters (participant codes consist of letters and digits, but never contain the letter O or the digit 0). Please check it for typos.`,
+    wrongLength: (code) =>
+      `Participant codes consist of ${codeLength + 1} characters, but <b>${code}</b> has ${
+        code.length
+      }. Please check it for typos.`,
+    wrongCheckCharacter: (code) =>
+      `The participant code <b>${code}</b> is invalid. Please check it for typos.`,
+  },
+  de: {
+    empty: "Bitte geben Sie Ihren Teilnahmecode ein.",
+    invalidCharacters: (code) =>
+      `Der Teilnahmecode <b>${code}</b> enthält ungültige Zeichen (Teilnahmecodes bestehen aus Buchstaben und Ziffern, enthalten aber nie den Buchstaben O oder die Ziffer 0). Bitte überprüfen Sie ihn auf Tippfehler.`,
+    wrongLength: (code) =>
+      `Teilnahmecodes bestehen aus ${codeLength + 1} Zeichen, <b>${code}</b> hat aber ${
+        code.length
+      }. Bitte überprüfen Sie ihn auf Tippfehler.`,
+    wrongCheckCharacter: (code) =>
+      `Der Teilnahmecode <b>${code}</b> ist ungültig. Bitte überprüfen Sie ihn auf Tippfehler.`,
+  },
+};
+
+/**
+ * Returns the check character for a string of `codeAlphabet` characters.
+ *
+ * @param {string} body
+ */
+export function getCheckCharacter(body) {
+  const n = codeAlphabet.length;
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    // Alternating weights of 2 and 1, both coprime with `n`
+    const weight = (body.length - i) % 2 === 1 ? 2 : 1;
+    sum += weight * codeAlphabet.indexOf(body[i]);
+  }
+  return codeAlphabet[(n - (sum % n)) % n];
+}
+
+/**
+ * Returns a new random participant code (including its check character).
+ */
+export function createParticipantCode() {
+  const body = generateCodeBody();
+  return body + getCheckCharacter(body);
+}
+
+/**
+ * Normalizes a participant code as entered by a participant: Removes whitespace and dashes,
+ * converts it to upper case, and replaces easily confused characters.
+ *
+ * @param {string} input
+ */
+export function normalizeParticipantCode(input) {
+  return input
+    .replace(/[\s-]/g, "")
+    .toUpperCase()
+    .split("")
+    .map((character) => ambiguousCharacters[character] ?? character)
+    .join("");
+}
+
+/**
+ * Normalizes and validates a participant code as entered by a participant. Returns an object with
+ * the normalized `code` and an `error` message (`null` if the code is valid).
+ *
+ * @param {string} input
+ * @param {object} [options]
+ * @param {boolean} [options.allowLegacyCodes] Whether to accept codes without a check character
+ * (as created before check characters were introduced). Since typos in legacy codes can not be
+ * detected, only enable this if the entered code is subsequently checked against the known codes.
+ * @param {"de"|"en"} [options.language] The language of the error message
+ * @returns {{code: string, error: string}}
+ */
+export function validateParticipantCode(input, { allowLegacyCodes = false, language = "en" } = {}) {
+  const code = normalizeParticipantCode(input);
+  const messages = errorMessages[language] ?? errorMessages.en;
+
+  let error = null;
+  if (code.length === 0) {
+    error = messages.empty;
+  } else if ([...code].some((character) => !codeAlphabet.includes(character))) {
+    error = messages.invalidCharacters(code);
+  } else if (allowLegacyCodes && code.length === codeLength) {
+    // A legacy code without check character
+  } else if (code.length !== codeLength + 1) {
+    error = messages.wrongLength(code);
+  } else if (getCheckCharacter(code.slice(0, -1)) !== code.slice(-1)) {
+    error = messages.wrongCheckCharacter(code);
+  }
+
+  return { code, error };
+}
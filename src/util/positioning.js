@@ -1,3 +1,5 @@
+import { screenCalibration } from "./visualAngle";
+
 /**
  * Sets an absolute position for an element within the TOJ plugin's container. The screen center is
  * specified as x = 0, y = 0.
@@ -6,13 +8,13 @@
  * element.
  *
  * @param {HTMLElement} element The element to be positioned absolutely.
- * @param {number} x The x position in pixels, relative to the screen center (negative values =
- *                   left, positive values = right)
- * @param {number} y The y position in pixels, relative to the screen center (negative values =
- *                   bottom, positive values = top)
+ * @param {number|{deg: number}} x The x position in pixels or degrees (see `visualAngle.js`),
+ *                   relative to the screen center (negative values = left, positive values = right)
+ * @param {number|{deg: number}} y The y position in pixels or degrees (see `visualAngle.js`),
+ *                   relative to the screen center (negative values = bottom, positive values = top)
  */
 export function setAbsolutePosition(element, x = 0, y = 0) {
   element.className += " absolute-position";
-  element.style.marginLeft = x + "px";
-  element.style.marginTop = y + "px";
+  element.style.marginLeft = screenCalibration.toPixels(x) + "px";
+  element.style.marginTop = screenCalibration.toPixels(y) + "px";
 }
@@ -0,0 +1,303 @@
+"use strict";
+
+import { nelderMead } from "./optimization.js";
+
+/**
+ * Psychometric functions for TOJ data.
+ *
+ * All functions describe the probability of a 'probe first' response as a function of the SOA,
+ * following the TojPlugin's SOA convention (negative SOAs = probe modified first). Hence, the
+ * probability decreases with increasing SOA and equals 0.5 at the point of subjective
+ * simultaneity (PSS).
+ */
+
+/**
+ * The cumulative distribution function of the standard normal distribution (Abramowitz & Stegun
+ * approximation, absolute error < 1.5e-7)
+ *
+ * @param {number} x
+ */
+export function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(x) / Math.SQRT2));
+  const erf =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t + 0.254829592) *
+      t *
+      Math.exp(-(x * x) / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * The standard logistic function
+ *
+ * @param {number} x
+ */
+export function logisticCdf(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * The sigmoid shapes that can be used for psychometric functions, each with its cumulative
+ * distribution function and the quantile at 75 % (used to convert a spread into a JND).
+ */
+export const sigmoids = {
+  gaussian: { cdf: normalCdf, quantile75: 0.6744897501960817 },
+  logistic: { cdf: logisticCdf, quantile75: Math.log(3) },
+};
+
+/**
+ * Returns the probability of a 'probe first' response at a given SOA.
+ *
+ * @param {number} soa The SOA (negative values = probe first)
+ * @param {object} parameters
+ * @param {number} parameters.pss The point of subjective simultaneity
+ * @param {number} parameters.spread The spread (standard deviation for `gaussian`, scale for
+ * `logistic`) of the psychometric function
+ * @param {number} [parameters.lapseRate] The probability of a random response error (applied
+ * symmetrically to both response options)
+ * @param {"gaussian"|"logistic"} [parameters.shape]
+ */
+export function getProbeFirstProbability(soa, { pss, spread, lapseRate = 0, shape = "gaussian" }) {
+  return lapseRate + (1 - 2 * lapseRate) * sigmoids[shape].cdf((pss - soa) / spread);
+}
+
+/**
+ * Converts the spread of a psychometric function into the just noticeable difference (JND), i.e.
+ * half the SOA difference between the 25 % and the 75 % points.
+ *
+ * @param {number} spread
+ * @param {"gaussian"|"logistic"} shape
+ */
+export function spreadToJnd(spread, shape = "gaussian") {
+  return spread * sigmoids[shape].quantile75;
+}
+
+/**
+ * Returns `count` values that are evenly spaced between `start` and `end` (inclusive).
+ *
+ * @param {number} start
+ * @param {number} end
+ * @param {number} count
+ */
+export function linspace(start, end, count) {
+  if (count === 1) {
+    return [start];
+  }
+  return Array.from({ length: count }, (_, i) => start + ((end - start) * i) / (count - 1));
+}
+
+/**
+ * Returns `count` values that are evenly spaced on a logarithmic scale between `start` and `end`
+ * (inclusive).
+ *
+ * @param {number} start
+ * @param {number} end
+ * @param {number} count
+ */
+export function logspace(start, end, count) {
+  return linspace(Math.log(start), Math.log(end), count).map(Math.exp);
+}
+
+/**
+ * Returns the natural logarithm of the gamma function (Lanczos approximation).
+ *
+ * @param {number} x A positive number
+ */
+export function logGamma(x) {
+  const coefficients = [
+    76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155,
+    0.1208650973866179e-2, -0.5395239384953e-5,
+  ];
+  let series = 1.000000000190015;
+  coefficients.forEach((coefficient, i) => (series += coefficient / (x + i + 1)));
+  const t = x + 5.5;
+  return (x + 0.5) * Math.log(t) - t + Math.log((2.5066282746310005 * series) / x);
+}
+
+/**
+ * Returns the regularized upper incomplete gamma function Q(a, x), using a series expansion for
+ * x < a + 1 and a continued fraction otherwise.
+ *
+ * @param {number} a
+ * @param {number} x
+ */
+export function regularizedGammaQ(a, x) {
+  if (x <= 0) {
+    return 1;
+  }
+  const logPrefactor = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - sum * Math.exp(logPrefactor);
+  }
+
+  // Lentz's method
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let fraction = d;
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    fraction *= delta;
+    if (Math.abs(delta - 1) < 1e-15) {
+      break;
+    }
+  }
+  return Math.exp(logPrefactor) * fraction;
+}
+
+/**
+ * Returns the probability that a chi-square distributed variable with `df` degrees of freedom
+ * exceeds `x`.
+ *
+ * @param {number} x
+ * @param {number} df
+ */
+export function chiSquareSurvival(x, df) {
+  return regularizedGammaQ(df / 2, x / 2);
+}
+
+/**
+ * Returns whether the data of a trial belongs to a TojPlugin trial (in the `toj` response mode)
+ * with a 'probe first' or 'reference first' response.
+ *
+ * @param {object} data
+ */
+export function isTojResponse(data) {
+  return (
+    typeof data.soa === "number" &&
+    (data.response_mode ?? "toj") === "toj" &&
+    (data.response === "probe" || data.response === "reference")
+  );
+}
+
+/**
+ * Groups trials by the values of some of their data fields.
+ *
+ * @param {object[]} trials The trial data
+ * @param {string[]} groupBy The names of the data fields to group the trials by
+ * @returns {{group: object, trials: object[]}[]} The groups in the order of their first trials,
+ * where `group` maps the `groupBy` fields to the group's values
+ */
+export function groupTrials(trials, groupBy) {
+  const groups = new Map();
+  for (const data of trials) {
+    const group = Object.fromEntries(groupBy.map((field) => [field, data[field]]));
+    const key = JSON.stringify(group);
+    if (!groups.has(key)) {
+      groups.set(key, { group, trials: [] });
+    }
+    groups.get(key).trials.push(data);
+  }
+  return Array.from(groups.values());
+}
+
+/**
+ * Aggregates TOJ responses by SOA. Responses other than `probe` and `reference` are ignored.
+ *
+ * @param {{soa: number, response: string}[]} trials The result data of TojPlugin trials
+ * @returns {{soa: number, trialCount: number, probeFirstCount: number}[]} The aggregated responses,
+ * sorted by SOA
+ */
+export function aggregateResponses(trials) {
+  const levels = new Map();
+  for (const { soa, response } of trials) {
+    if (response !== "probe" && response !== "reference") {
+      continue;
+    }
+    if (!levels.has(soa)) {
+      levels.set(soa, { soa, trialCount: 0, probeFirstCount: 0 });
+    }
+    const level = levels.get(soa);
+    level.trialCount++;
+    if (response === "probe") {
+      level.probeFirstCount++;
+    }
+  }
+  return Array.from(levels.values()).sort((a, b) => a.soa - b.soa);
+}
+
+/**
+ * Fits a psychometric function to aggregated TOJ responses by maximizing the likelihood of the
+ * PSS and the spread (the lapse rate is fixed).
+ *
+ * Goodness of fit is reported as the deviance (compared to the saturated model) along with its
+ * degrees of freedom (the number of SOAs minus 2) and the p value of the corresponding
+ * chi-square test. Small p values indicate that the psychometric function does not describe the
+ * data well.
+ *
+ * Throws an error if there are no responses to fit.
+ *
+ * @param {{soa: number, trialCount: number, probeFirstCount: number}[]} levels The aggregated
+ * responses (see `aggregateResponses()`)
+ * @param {object} [options]
+ * @param {"gaussian"|"logistic"} [options.shape]
+ * @param {number} [options.lapseRate]
+ */
+export function fitPsychometricFunction(levels, { shape = "gaussian", lapseRate = 0 } = {}) {
+  if (!levels.some(({ trialCount }) => trialCount > 0)) {
+    throw new Error("Cannot fit a psychometric function without any responses.");
+  }
+
+  const clamp = (p) => Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+
+  // Binomial log likelihood (without the constant binomial coefficients)
+  const getLogLikelihood = (getProbability) =>
+    levels.reduce((sum, { soa, trialCount, probeFirstCount }) => {
+      const p = clamp(getProbability(soa));
+      return sum + probeFirstCount * Math.log(p) + (trialCount - probeFirstCount) * Math.log(1 - p);
+    }, 0);
+
+  const getParameters = ([pss, logSpread]) => ({
+    pss,
+    spread: Math.exp(logSpread),
+    lapseRate,
+    shape,
+  });
+
+  const soas = levels.map(({ soa }) => soa);
+  const soaRange = Math.max(...soas) - Math.min(...soas) || 100;
+  const trialCount = levels.reduce((sum, level) => sum + level.trialCount, 0);
+  const probeFirstCount = levels.reduce((sum, level) => sum + level.probeFirstCount, 0);
+
+  const { x } = nelderMead(
+    (parameters) =>
+      -getLogLikelihood((soa) => getProbeFirstProbability(soa, getParameters(parameters))),
+    [soas.reduce((sum, soa) => sum + soa, 0) / soas.length, Math.log(soaRange / 4)],
+    { stepSizes: [soaRange / 4, 0.5] }
+  );
+  const parameters = getParameters(x);
+
+  const logLikelihood = getLogLikelihood((soa) => getProbeFirstProbability(soa, parameters));
+  const saturatedLogLikelihood = getLogLikelihood((soa) => {
+    const level = levels.find((level) => level.soa === soa);
+    return level.probeFirstCount / level.trialCount;
+  });
+  const deviance = 2 * (saturatedLogLikelihood - logLikelihood);
+  const df = levels.length - 2;
+
+  return {
+    ...parameters,
+    jnd: spreadToJnd(parameters.spread, shape),
+    trialCount,
+    probeFirstCount,
+    logLikelihood,
+    deviance,
+    df,
+    pValue: df > 0 ? chiSquareSurvival(deviance, df) : null,
+  };
+}
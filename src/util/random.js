@@ -0,0 +1,146 @@
+"use strict";
+
+/**
+ * A seedable pseudo-random number generator service. All random choices of the experiments (such
+ * as condition generation and stimulus jitter) should be made via the shared `random` instance, so
+ * that a session can be regenerated exactly from its seed.
+ */
+
+const seedAlphabet = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+/**
+ * Returns a new random seed string (based on `crypto.getRandomValues()` if available)
+ */
+export function createSeed() {
+  const values = new Uint32Array(8);
+  if (globalThis.crypto?.getRandomValues) {
+    globalThis.crypto.getRandomValues(values);
+  } else {
+    values.forEach((_, i) => (values[i] = Math.floor(Math.random() * 2 ** 32)));
+  }
+  return Array.from(values, (value) => seedAlphabet[value % seedAlphabet.length]).join("");
+}
+
+/**
+ * Hashes a string into a 32-bit unsigned integer (FNV-1a followed by a murmur3 finalizer)
+ *
+ * @param {string} string
+ */
+export function hashString(string) {
+  let hash = 2166136261;
+  for (let i = 0; i < string.length; i++) {
+    hash = Math.imul(hash ^ string.charCodeAt(i), 16777619);
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+  hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+  return (hash ^ (hash >>> 16)) >>> 0;
+}
+
+/**
+ * A seedable pseudo-random number generator (Mulberry32) with helpers for common random choices
+ */
+export class RandomGenerator {
+  /**
+   * The seed that the generator has been initialized with
+   * @type {string}
+   */
+  seed;
+
+  /**
+   * @param {string} [seed] The seed (a new random seed is created if omitted)
+   */
+  constructor(seed = createSeed()) {
+    this.setSeed(seed);
+  }
+
+  /**
+   * Resets the generator to the beginning of the sequence for a given seed.
+   *
+   * @param {string|number} seed
+   */
+  setSeed(seed) {
+    this.seed = String(seed);
+    this._state = hashString(this.seed);
+  }
+
+  /**
+   * Returns a pseudo-random float in [0, 1) (like `Math.random()`)
+   */
+  next() {
+    this._state = (this._state + 0x6d2b79f5) >>> 0;
+    let t = this._state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Returns a pseudo-random integer between `min` and `max` (inclusive), like `random-int`
+   *
+   * @param {number} min
+   * @param {number} max
+   */
+  int(min, max) {
+    return Math.floor(min + this.next() * (max - min + 1));
+  }
+
+  /**
+   * Returns a pseudo-random element of an array, like lodash's `sample()`
+   *
+   * @template T
+   * @param {T[]} array
+   * @returns {T}
+   */
+  sample(array) {
+    return array[this.int(0, array.length - 1)];
+  }
+
+  /**
+   * Returns a shuffled copy of an array (Fisher–Yates), like lodash's `shuffle()`
+   *
+   * @template T
+   * @param {T[]} array
+   * @returns {T[]}
+   */
+  shuffle(array) {
+    const result = array.slice();
+    for (let i = result.length - 1; i > 0; i--) {
+      const j = this.int(0, i);
+      [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+  }
+}
+
+/**
+ * The shared random number generator of the experiment
+ */
+export const random = new RandomGenerator();
+
+/**
+ * Seeds the shared random number generator and logs the seed as the `randomSeed` data property
+ * (next to the participant code). The seed is taken from the `seed` URL parameter if present (to
+ * regenerate a previous session), and a new seed is created otherwise.
+ *
+ * Since jsPsych (7.1) can not be seeded, `Math.random()` is replaced by the shared generator, too,
+ * which makes jsPsych's randomization (e.g. `randomize_order` and `jsPsych.randomization`)
+ * reproducible. This has to be called at the beginning of an experiment, before any random choice
+ * is made.
+ *
+ * Note that the replacement is global: Every library on the page that uses `Math.random()` draws
+ * from the shared generator from then on. Such libraries become deterministic for a given seed
+ * (which matters if they use `Math.random()` for ids or tokens), and each of their calls advances
+ * the shared sequence, so the experiment's random choices are only reproducible if those calls
+ * happen in the same order, too. The experiments' own code hence does not use `Math.random()` but
+ * the `random` instance directly.
+ *
+ * @param {import("jspsych").JsPsych} jsPsych The jsPsych instance of the experiment
+ * @param {string} [seed] An explicit seed that takes precedence over the URL parameter
+ * @returns {string} The seed
+ */
+export function seedRandomness(jsPsych, seed = jsPsych.data.getURLVariable("seed")) {
+  random.setSeed(seed || createSeed());
+  Math.random = () => random.next();
+  jsPsych.data.addProperties({ randomSeed: random.seed });
+  return random.seed;
+}
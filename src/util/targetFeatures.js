@@ -0,0 +1,149 @@
+"use strict";
+
+import { LabColor } from "./colors";
+import { random } from "./random";
+
+/**
+ * Feature strategies for `TargetPairConditionGenerator`. A feature strategy decides which feature
+ * value (e.g. a color) each target of a condition gets. It is an object with the following
+ * properties:
+ *
+ *  * `property`: The name of the `TojTarget` property that the feature values are assigned to
+ *  * `generatePairs(pairCount)`: A function that returns a `[primary, secondary]` feature value
+ *    array for each target pair of a condition
+ *  * `toName(value)`: A function that returns the name of a feature value (as used for the
+ *    instruction audio files)
+ *  * `toBarProperties(value)`: A function that returns the bar properties (`color`, `rotation`,
+ *    and/or `scale`) that represent a feature value in a bar grid
+ */
+
+/**
+ * Returns the angular distance (0 to 180) between two hue angles in degrees.
+ *
+ * @param {number} a
+ * @param {number} b
+ */
+function getHueDistance(a, b) {
+  const distance = (((a - b) % 360) + 360) % 360;
+  return Math.min(distance, 360 - distance);
+}
+
+/**
+ * Returns a feature strategy that assigns `LabColor` objects (in the `color` property).
+ *
+ * The primary target of the first pair gets one of `primaryHues`, the primary targets of the other
+ * pairs get the first pair's primary hue plus one of `pairOffsets` (each offset is used once per
+ * condition as long as there are enough offsets). A secondary target's hue differs from its primary
+ * target's hue by one of `secondaryOffsets`. For pairs other than the first one, only those
+ * secondary offsets are used that do not move the secondary hue closer to the first pair's primary
+ * hue (unless all of them do).
+ *
+ * @param {object} [options]
+ * @param {number[]} [options.primaryHues] The hues (LAB degrees) to choose the first pair's primary
+ * hue from
+ * @param {number} [options.alpha] The hue variation (LAB degrees) between targets of a pair
+ * @param {number[]} [options.secondaryOffsets] The hue offsets of secondary targets relative to
+ * their primary targets (defaults to `[alpha, -alpha]`)
+ * @param {number[]} [options.pairOffsets] The hue offsets of the other pairs' primary targets
+ * relative to the first pair's primary target
+ */
+export function labHueFeature({
+  primaryHues = [0, 90, 180, 270],
+  alpha = 20,
+  secondaryOffsets = [alpha, -alpha],
+  pairOffsets = [-90, 90, 180],
+} = {}) {
+  return {
+    property: "color",
+    toName: (color) => color.toName(),
+    toBarProperties: (color) => ({ color: color.toRgb() }),
+    generatePairs: (pairCount) => {
+      const basePrimary = new LabColor(random.sample(primaryHues));
+      const shuffledPairOffsets = random.shuffle(pairOffsets);
+
+      return Array.from({ length: pairCount }, (_, pairIndex) => {
+        if (pairIndex === 0) {
+          return [basePrimary, basePrimary.getRandomRelativeColor(secondaryOffsets)];
+        }
+
+        const primary = basePrimary.getRelativeColor(
+          shuffledPairOffsets[(pairIndex - 1) % shuffledPairOffsets.length]
+        );
+        const primaryDistance = getHueDistance(primary.degrees, basePrimary.degrees);
+        const distinctOffsets = secondaryOffsets.filter(
+          (offset) =>
+            getHueDistance(primary.degrees + offset, basePrimary.degrees) >= primaryDistance
+        );
+        return [
+          primary,
+          primary.getRandomRelativeColor(
+            distinctOffsets.length > 0 ? distinctOffsets : secondaryOffsets
+          ),
+        ];
+      });
+    },
+  };
+}
+
+/**
+ * Returns a feature strategy that assigns orientation names (in the `orientation` property). Each
+ * pair gets another orientation (in random order, repeating if there are more pairs than
+ * orientations), and both targets of a pair share their orientation.
+ *
+ * @param {object} [options]
+ * @param {string[]} [options.orientations]
+ */
+export function orientationFeature({ orientations = ["horizontal", "vertical"] } = {}) {
+  return {
+    property: "orientation",
+    toName: (orientation) => orientation,
+    toBarProperties: (orientation) => ({ rotation: orientation === "horizontal" ? 0 : 90 }),
+    generatePairs: (pairCount) => {
+      const shuffledOrientations = random.shuffle(orientations);
+      return Array.from({ length: pairCount }, (_, pairIndex) => {
+        const orientation = shuffledOrientations[pairIndex % shuffledOrientations.length];
+        return [orientation, orientation];
+      });
+    },
+  };
+}
+
+/**
+ * Returns a feature strategy that assigns bar scale factors (in the `size` property). Each pair's
+ * primary target gets another one of `sizes` (in random order, repeating if there are more pairs
+ * than sizes), and a secondary target's size differs from its primary target's size by one of
+ * `secondaryOffsets`.
+ *
+ * @param {object} [options]
+ * @param {number[]} [options.sizes] The scale factors of the primary targets
+ * @param {number} [options.alpha] The size variation between targets of a pair
+ * @param {number[]} [options.secondaryOffsets] The scale factor offsets of secondary targets
+ * relative to their primary targets (defaults to `[alpha, -alpha]`)
+ */
+export function sizeFeature({
+  sizes = [0.8, 1.2],
+  alpha = 0.1,
+  secondaryOffsets = [alpha, -alpha],
+} = {}) {
+  return {
+    property: "size",
+    toName: (size) => String(size),
+    toBarProperties: (size) => ({ scale: size }),
+    generatePairs: (pairCount) => {
+      const shuffledSizes = random.shuffle(sizes);
+      return Array.from({ length: pairCount }, (_, pairIndex) => {
+        const size = shuffledSizes[pairIndex % shuffledSizes.length];
+        return [size, size + random.sample(secondaryOffsets)];
+      });
+    },
+  };
+}
+
+/**
+ * The feature strategy factories by name (as used in experiment definitions)
+ */
+export const targetFeatures = {
+  labHue: labHueFeature,
+  orientation: orientationFeature,
+  size: sizeFeature,
+};
@@ -0,0 +1,130 @@
+"use strict";
+
+/**
+ * The TVA-based TOJ model (Tünnermann, Petersen & Scharlau, 2015). According to the Theory of
+ * Visual Attention (TVA), the probe and the reference are encoded independently with exponentially
+ * distributed latencies, with processing rates `vProbe = C * wProbe` and
+ * `vReference = C * wReference`, where `C` is the overall processing capacity and the attentional
+ * weights `wProbe` and `wReference` sum up to 1. The stimulus that is encoded first is judged to
+ * have been modified first.
+ *
+ * Processing rates and the capacity are given in Hz (items per second), SOAs follow the TojPlugin's
+ * convention (negative SOAs = probe modified first).
+ *
+ * This module does not depend on the DOM (and imports its dependencies with file extensions), so
+ * it can be used in the browser as well as in Node (see `scripts/fit-tva.mjs`).
+ */
+
+import { aggregateResponses, groupTrials, isTojResponse } from "./psychometrics.js";
+import { nelderMead } from "./optimization.js";
+
+/**
+ * Returns the probability of a 'probe first' response at a given SOA according to the TVA-based
+ * TOJ model.
+ *
+ * @param {number} soa The SOA in milliseconds (negative values = probe first)
+ * @param {object} parameters
+ * @param {number} parameters.vProbe The processing rate of the probe (in Hz)
+ * @param {number} parameters.vReference The processing rate of the reference (in Hz)
+ */
+export function getTvaProbeFirstProbability(soa, { vProbe, vReference }) {
+  const [vp, vr] = [vProbe / 1000, vReference / 1000]; // per millisecond
+  const probeWinsRace = vp / (vp + vr);
+
+  if (soa <= 0) {
+    // The probe leads by -soa milliseconds: It is either encoded before the reference is modified,
+    // or it wins the race that starts with the reference modification.
+    const probeNotEncoded = Math.exp(vp * soa);
+    return 1 - probeNotEncoded + probeNotEncoded * probeWinsRace;
+  }
+
+  // The reference leads by soa milliseconds: It must not have been encoded before the probe is
+  // modified, and the probe has to win the subsequent race.
+  return Math.exp(-vr * soa) * probeWinsRace;
+}
+
+/**
+ * Fits the TVA-based TOJ model to aggregated TOJ responses by maximizing the likelihood of the
+ * probe and reference processing rates.
+ *
+ * The rates are bounded by `rateBounds`. With degenerate data (e.g. only 'probe first' responses),
+ * the likelihood does not decrease towards a bound, so there is no finite maximum likelihood
+ * estimate. In that case, `converged` is `false` and the rates do not describe the participant's
+ * performance.
+ *
+ * @param {{soa: number, trialCount: number, probeFirstCount: number}[]} levels The aggregated
+ * responses (see `aggregateResponses()` in `psychometrics.js`)
+ * @param {object} [options]
+ * @param {number} [options.initialRate] The initial processing rate (in Hz) for both stimuli
+ * @param {number[]} [options.rateBounds] The minimum and the maximum processing rate (in Hz)
+ *
+ * @returns {{vProbe: number, vReference: number, C: number, wProbe: number, wReference: number,
+ * trialCount: number, logLikelihood: number, converged: boolean}}
+ */
+export function fitTvaModel(levels, { initialRate = 50, rateBounds = [1, 1000] } = {}) {
+  const clamp = (p) => Math.min(Math.max(p, 1e-12), 1 - 1e-12);
+  const [minRate, maxRate] = rateBounds;
+  const clampRate = (rate) => Math.min(Math.max(rate, minRate), maxRate);
+
+  const getParameters = ([logVProbe, logVReference]) => ({
+    vProbe: clampRate(Math.exp(logVProbe)),
+    vReference: clampRate(Math.exp(logVReference)),
+  });
+
+  const getLogLikelihood = (parameters) =>
+    levels.reduce((sum, { soa, trialCount, probeFirstCount }) => {
+      const p = clamp(getTvaProbeFirstProbability(soa, parameters));
+      return sum + probeFirstCount * Math.log(p) + (trialCount - probeFirstCount) * Math.log(1 - p);
+    }, 0);
+
+  const { x } = nelderMead(
+    (logRates) => -getLogLikelihood(getParameters(logRates)),
+    [Math.log(initialRate), Math.log(initialRate)],
+    { stepSizes: [0.5, 0.5] }
+  );
+  const { vProbe, vReference } = getParameters(x);
+  const C = vProbe + vReference;
+  const logLikelihood = getLogLikelihood({ vProbe, vReference });
+
+  // The estimate is only valid if moving any rate to a bound makes the data less likely
+  const boundLogLikelihoods = rateBounds.flatMap((rate) => [
+    getLogLikelihood({ vProbe: rate, vReference }),
+    getLogLikelihood({ vProbe, vReference: rate }),
+  ]);
+  const converged = boundLogLikelihoods.every((value) => value < logLikelihood - 1e-3);
+
+  return {
+    vProbe,
+    vReference,
+    C,
+    wProbe: vProbe / C,
+    wReference: vReference / C,
+    trialCount: levels.reduce((sum, level) => sum + level.trialCount, 0),
+    logLikelihood,
+    converged,
+  };
+}
+
+/**
+ * Fits the TVA-based TOJ model to the TojPlugin trials of each condition.
+ *
+ * Usage after a session:
+ * ```
+ * fitTvaModelByCondition(jsPsych.data.get().values(), ["instruction_negated"])
+ * ```
+ *
+ * @param {object[]} trials The trial data (e.g. from `jsPsych.data` or an exported file). Trials
+ * that do not satisfy `filter` are ignored.
+ * @param {string[]} [groupBy] The names of the data fields that define a condition
+ * @param {object} [options]
+ * @param {(data: object) => boolean} [options.filter] Defaults to `isTojResponse()` from
+ * `psychometrics.js`
+ *
+ * @returns {{condition: object, fit: object}[]}
+ */
+export function fitTvaModelByCondition(trials, groupBy = [], { filter = isTojResponse } = {}) {
+  return groupTrials(trials.filter(filter), groupBy).map(({ group, trials }) => ({
+    condition: group,
+    fit: fitTvaModel(aggregateResponses(trials)),
+  }));
+}
@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * Sizing of stimuli in degrees of visual angle. Sizes (and positions) that are passed to the
+ * stimulus helpers (`createBarStimulusGrid()`, `setAbsolutePosition()`, `Scaler`) are either
+ * numbers (in CSS pixels) or objects of the form `{ deg: 1.5 }` (in degrees of visual angle). The
+ * latter are converted to pixels via the shared `screenCalibration`, which is set up by the
+ * screen calibration trials of `addIntroduction()`.
+ */
+
+/**
+ * The width of a credit card (ISO/IEC 7810 ID-1) in centimeters
+ */
+export const creditCardWidth = 8.56;
+
+/**
+ * The height of a credit card (ISO/IEC 7810 ID-1) in centimeters
+ */
+export const creditCardHeight = 5.398;
+
+/**
+ * Returns whether a size is given in degrees of visual angle (as opposed to pixels).
+ *
+ * @param {number|{deg: number}} size
+ */
+export function isDegrees(size) {
+  return typeof size?.deg === "number";
+}
+
+/**
+ * The relation between CSS pixels and degrees of visual angle, given by the screen's pixel density
+ * and the participant's viewing distance
+ */
+export class ScreenCalibration {
+  /**
+   * The number of CSS pixels per centimeter on the screen
+   * @type {number}
+   */
+  pixelsPerCm;
+
+  /**
+   * The distance between the participant's eyes and the screen in centimeters
+   * @type {number}
+   */
+  viewingDistance;
+
+  /**
+   * Whether the calibration has been measured (as opposed to the default calibration)
+   * @type {boolean}
+   */
+  isMeasured = false;
+
+  /**
+   * The default calibration assumes the CSS reference pixel density (96 pixels per inch) and a
+   * viewing distance of 57 cm (where 1 cm on the screen spans about 1 degree).
+   */
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Sets the measured calibration.
+   *
+   * @param {object} calibration
+   * @param {number} calibration.pixelsPerCm
+   * @param {number} calibration.viewingDistance
+   */
+  set({ pixelsPerCm, viewingDistance }) {
+    this.pixelsPerCm = pixelsPerCm;
+    this.viewingDistance = viewingDistance;
+    this.isMeasured = true;
+  }
+
+  /**
+   * Resets the calibration to the default one.
+   */
+  reset() {
+    this.pixelsPerCm = 96 / 2.54;
+    this.viewingDistance = 57;
+    this.isMeasured = false;
+  }
+
+  /**
+   * The number of CSS pixels that span one degree of visual angle at the screen center. Sizes in
+   * degrees are converted linearly with this factor, so that sizes and positions add up.
+   */
+  get pixelsPerDegree() {
+    const cmPerDegree = 2 * this.viewingDistance * Math.tan(Math.PI / 360); // tan(0.5°)
+    return cmPerDegree * this.pixelsPerCm;
+  }
+
+  /**
+   * Converts a size to CSS pixels.
+   *
+   * @param {number|{deg: number}} size A size in pixels (number) or degrees (`{ deg: number }`)
+   */
+  toPixels(size) {
+    return isDegrees(size) ? size.deg * this.pixelsPerDegree : size;
+  }
+
+  /**
+   * Converts a size in CSS pixels to degrees of visual angle.
+   *
+   * @param {number} pixels
+   */
+  toDegrees(pixels) {
+    return pixels / this.pixelsPerDegree;
+  }
+}
+
+/**
+ * The shared screen calibration of the experiment
+ */
+export const screenCalibration = new ScreenCalibration();
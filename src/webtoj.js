@@ -17,8 +17,15 @@ import HtmlKeyboardResponsePlugin from "@jspsych/plugin-html-keyboard-response";
 import TojPlugin from "./plugins/TojPlugin";
 import ImageTojPlugin from "./plugins/ImageTojPlugin";
 
+import { seedRandomness } from "./util/random";
+import { estimateRefreshRate } from "./util/introduction";
+
 export async function run() {
   const jsPsych = initJsPsych();
+  seedRandomness(jsPsych);
+
+  const globalProps = { refreshRate: 60 };
+  estimateRefreshRate(globalProps);
   const timeline = [];
 
   // Welcome screen
@@ -59,6 +66,7 @@ export async function run() {
     probe_image: jsPsych.timelineVariable("probe_image"),
     reference_image: jsPsych.timelineVariable("reference_image"),
     soa: jsPsych.timelineVariable("soa"),
+    refresh_rate: () => globalProps.refreshRate,
     probe_properties: {
       width: 100,
       height: 100,
@@ -0,0 +1,114 @@
+import { TojPlugin } from "../src/plugins/TojPlugin";
+import { createBarStimulusGrid, createCanvasBarStimulusGrid } from "../src/util/barStimuli";
+import { random } from "../src/util/random";
+import { advanceTime } from "./helpers";
+
+jest.mock("../src/util/audio", () => ({ playAudio: jest.fn(() => Promise.resolve()) }));
+
+/**
+ * Returns a fake 2D canvas context (jsdom does not implement canvas drawing) that records the
+ * color of each stroke in its `strokes` array, which is cleared by `clearRect()`.
+ */
+function createContextMock() {
+  const context = {
+    strokes: [],
+    strokeStyle: null,
+    clearRect: () => {
+      context.strokes = [];
+    },
+    stroke: () => {
+      context.strokes.push(context.strokeStyle);
+    },
+  };
+  for (const method of ["scale", "save", "restore", "translate", "rotate", "beginPath"]) {
+    context[method] = () => {};
+  }
+  context.moveTo = context.lineTo = () => {};
+  return context;
+}
+
+let context;
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  context = createContextMock();
+  jest.spyOn(HTMLCanvasElement.prototype, "getContext").mockImplementation(() => context);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const createGrid = (renderer = createCanvasBarStimulusGrid) =>
+  renderer([7, 4], [2, 1], "red", "gray", 1, 0.7, 0.1, 30, 60, 40);
+
+describe("createCanvasBarStimulusGrid()", () => {
+  it("draws all bars on a single canvas", () => {
+    const [canvas, target] = createGrid();
+
+    expect(canvas.tagName).toBe("CANVAS");
+    expect(canvas.style.width).toBe("280px");
+    expect(canvas.style.height).toBe("160px");
+    expect(context.strokes).toHaveLength(28);
+    expect(context.strokes.filter((color) => color === "red")).toHaveLength(1);
+
+    expect(target.position).toEqual([2, 1]);
+    expect(target.rotation).toBe(30);
+  });
+
+  it("makes the same random choices as the DOM-based grid", () => {
+    random.setSeed("grid");
+    const [grid] = createGrid(createBarStimulusGrid);
+    const domScales = Array.from(
+      grid.querySelectorAll(".bar-stimulus-grid-distractor .bar"),
+      (bar) => Number(bar.style.transform.match(/scale\((.*)\)/)[1])
+    );
+
+    random.setSeed("grid");
+    const [canvas, target] = createGrid();
+    const canvasScales = target.grid.bars.filter((bar) => bar !== target).map((bar) => bar.scale);
+
+    expect(canvas).toBe(target.grid.canvas);
+    expect(canvasScales).toEqual(domScales);
+  });
+
+  it("does not draw hidden bars", () => {
+    const [, target] = createGrid();
+
+    TojPlugin.hideElement(target);
+    expect(context.strokes).toHaveLength(27);
+    expect(context.strokes).not.toContain("red");
+
+    TojPlugin.showElement(target);
+    expect(context.strokes).toContain("red");
+  });
+
+  it("redraws a flashing target immediately and for whole frames", async () => {
+    const [, target] = createGrid();
+
+    const flash = TojPlugin.flashElement(target, "toj-flash", 30);
+    expect(context.strokes).not.toContain("red");
+    expect(context.strokes).toContain("rgb(191, 191, 191)");
+
+    // 30 ms are two frames at 60 Hz
+    await advanceTime(20);
+    expect(context.strokes).not.toContain("red");
+
+    await advanceTime(20);
+    await flash;
+    expect(context.strokes).toContain("red");
+    expect(context.strokes).not.toContain("rgb(191, 191, 191)");
+  });
+
+  it("ignores classes other than the flash class", () => {
+    const [, target] = createGrid();
+
+    target.classList.add("foo");
+    expect(target.classList.contains("foo")).toBe(true);
+    expect(context.strokes).toContain("red");
+
+    expect(target.classList.toggle("toj-flash")).toBe(true);
+    expect(context.strokes).not.toContain("red");
+  });
+});
@@ -0,0 +1,265 @@
+import { ConditionGenerator, TargetPairConditionGenerator } from "../src/util/ConditionGenerator";
+import { Quadrant } from "../src/util/Quadrant";
+import { random } from "../src/util/random";
+import { labHueFeature, orientationFeature, sizeFeature } from "../src/util/targetFeatures";
+
+const sampleCount = 1000;
+
+/**
+ * Returns the angular distance (0 to 180) between two hue angles in degrees.
+ */
+const getHueDistance = (a, b) => {
+  const distance = (((a - b) % 360) + 360) % 360;
+  return Math.min(distance, 360 - distance);
+};
+
+const isInRange = (value, [min, max]) => value >= min && value <= max;
+
+/**
+ * Generates `sampleCount` conditions, alternating the probe side, and calls `check` with each
+ * condition and its `probeLeft` value.
+ */
+const forEachCondition = (generator, check) => {
+  for (let i = 0; i < sampleCount; i++) {
+    const probeLeft = i % 2 === 0;
+    check(generator.generateCondition(probeLeft), probeLeft);
+  }
+};
+
+beforeEach(() => {
+  random.setSeed("condition-generator-tests");
+});
+
+describe("Quadrant", () => {
+  it("returns pairs of quadrants on different sides that cover all quadrants", () => {
+    for (let i = 0; i < sampleCount; i++) {
+      const pairs = Quadrant.getRandomMixedSidePairs();
+
+      expect(pairs).toHaveLength(2);
+      for (const [a, b] of pairs) {
+        expect(a.isLeft()).not.toBe(b.isLeft());
+      }
+      const numbers = pairs.flat().map((quadrant) => quadrant.number);
+      expect(numbers.sort()).toEqual([0, 1, 2, 3]);
+    }
+  });
+});
+
+describe("ConditionGenerator", () => {
+  it("generates orientations that are multiples of 10 degrees between 0 and 170", () => {
+    const generator = new ConditionGenerator();
+    const orientations = new Set();
+    for (let i = 0; i < sampleCount; i++) {
+      const orientation = generator.generateOrientation();
+      expect(orientation % 10).toBe(0);
+      expect(isInRange(orientation, [0, 170])).toBe(true);
+      orientations.add(orientation);
+    }
+    expect(orientations.size).toBe(18);
+  });
+
+  it("does not repeat orientations and positions for the same identifier", () => {
+    const generator = new ConditionGenerator();
+    let previousOrientation = null;
+    let previousPosition = null;
+    for (let i = 0; i < sampleCount; i++) {
+      const orientation = generator.generateOrientation("grid");
+      const position = generator.generatePosition("target", [1, 2], [1, 2]);
+
+      expect(orientation).not.toBe(previousOrientation);
+      expect(position).not.toEqual(previousPosition);
+      expect(isInRange(position[0], [1, 2]) && isInRange(position[1], [1, 2])).toBe(true);
+
+      previousOrientation = orientation;
+      previousPosition = position;
+    }
+  });
+
+  it("repeats the position if the ranges contain a single position only", () => {
+    const generator = new ConditionGenerator();
+    expect(generator.generatePosition("target", [3, 3], [4, 4])).toEqual([3, 4]);
+    expect(generator.generatePosition("target", [3, 3], [4, 4])).toEqual([3, 4]);
+  });
+});
+
+describe("TargetPairConditionGenerator", () => {
+  it("rejects unsupported pair counts", () => {
+    const feature = labHueFeature();
+    expect(() => new TargetPairConditionGenerator({ feature, pairCount: 3 })).toThrow();
+    expect(
+      () => new TargetPairConditionGenerator({ feature, pairCount: 2, layout: "sides" })
+    ).toThrow();
+    expect(
+      () => new TargetPairConditionGenerator({ feature, pairCount: 1, layout: "sides" })
+    ).not.toThrow();
+  });
+
+  describe("in the quadrants layout", () => {
+    const positionRanges = { left: { x: [2, 5], y: [1, 2] }, right: { x: [1, 4], y: [0, 3] } };
+    const fixationTimeRange = [300, 500];
+    const distractorSoas = [-100, 0, 100];
+
+    const generator = new TargetPairConditionGenerator({
+      feature: labHueFeature(),
+      positionRanges,
+      fixationTimeRange,
+      distractorSoas,
+    });
+
+    it("places the targets of each pair in quadrants on different sides", () => {
+      forEachCondition(generator, ({ targetPairs }) => {
+        expect(targetPairs).toHaveLength(2);
+        for (const { primary, secondary } of targetPairs) {
+          expect(primary.isLeft).not.toBe(secondary.isLeft);
+          for (const target of [primary, secondary]) {
+            expect(target.isLeft).toBe(target.quadrant.isLeft());
+          }
+        }
+
+        const quadrants = targetPairs.flatMap(({ primary, secondary }) => [
+          primary.quadrant.number,
+          secondary.quadrant.number,
+        ]);
+        expect(new Set(quadrants).size).toBe(4);
+      });
+    });
+
+    it("makes the targets on the probe side the probes", () => {
+      forEachCondition(generator, ({ targetPairs }, probeLeft) => {
+        for (const { primary, secondary } of targetPairs) {
+          expect(primary.isProbe).toBe(primary.isLeft === probeLeft);
+          expect(secondary.isProbe).toBe(secondary.isLeft === probeLeft);
+          expect(primary.isProbe).not.toBe(secondary.isProbe);
+        }
+      });
+    });
+
+    it("gives each pair distinct colors", () => {
+      forEachCondition(generator, ({ targetPairs }) => {
+        const [first, second] = targetPairs;
+        expect(
+          getHueDistance(first.primary.color.degrees, second.primary.color.degrees)
+        ).toBeGreaterThanOrEqual(90);
+
+        for (const { primary, secondary } of targetPairs) {
+          expect(getHueDistance(primary.color.degrees, secondary.color.degrees)).toBe(20);
+        }
+
+        // The other pair's secondary hue does not move towards the first pair's primary hue
+        // (unless the other pair's primary hue is opposite to it)
+        const primaryDistance = getHueDistance(
+          second.primary.color.degrees,
+          first.primary.color.degrees
+        );
+        if (primaryDistance < 180) {
+          expect(
+            getHueDistance(second.secondary.color.degrees, first.primary.color.degrees)
+          ).toBeGreaterThanOrEqual(primaryDistance);
+        }
+
+        const hues = targetPairs.flatMap(({ primary, secondary }) => [
+          primary.color.degrees,
+          secondary.color.degrees,
+        ]);
+        expect(new Set(hues.map((hue) => ((hue % 360) + 360) % 360)).size).toBe(4);
+      });
+    });
+
+    it("chooses the first pair's primary hue out of the primary hues", () => {
+      const primaryHues = new Set();
+      forEachCondition(generator, ({ targetPairs }) => {
+        primaryHues.add(targetPairs[0].primary.color.degrees);
+      });
+      expect([...primaryHues].sort((a, b) => a - b)).toEqual([0, 90, 180, 270]);
+    });
+
+    it("generates positions, fixation times, rotations, and distractor SOAs within range", () => {
+      forEachCondition(generator, ({ targetPairs, rotation, distractorSOA }) => {
+        for (const { primary, secondary, fixationTime } of targetPairs) {
+          for (const target of [primary, secondary]) {
+            const ranges = positionRanges[target.isLeft ? "left" : "right"];
+            expect(isInRange(target.gridPosition[0], ranges.x)).toBe(true);
+            expect(isInRange(target.gridPosition[1], ranges.y)).toBe(true);
+          }
+          expect(Number.isInteger(fixationTime)).toBe(true);
+          expect(isInRange(fixationTime, fixationTimeRange)).toBe(true);
+        }
+        expect(isInRange(rotation, [0, 170]) && rotation % 10 === 0).toBe(true);
+        expect(distractorSoas).toContain(distractorSOA);
+      });
+    });
+
+    it("numbers the target pairs", () => {
+      const { targetPairs } = generator.generateCondition(true);
+      expect(targetPairs.map(({ pairIndex }) => pairIndex)).toEqual([0, 1]);
+    });
+
+    it("omits the distractor SOA if no distractor SOAs are given", () => {
+      const { distractorSOA } = new TargetPairConditionGenerator({
+        feature: labHueFeature(),
+      }).generateCondition(true);
+      expect(distractorSOA).toBeUndefined();
+    });
+
+    it("offsets the grids of the targets according to their quadrants", () => {
+      forEachCondition(generator, ({ targetPairs }) => {
+        for (const target of targetPairs.flatMap(({ primary, secondary }) => [
+          primary,
+          secondary,
+        ])) {
+          const [x, y] = generator.getGridOffset(target);
+          expect(x < 0).toBe(target.quadrant.isLeft());
+          expect(y < 0).toBe(target.quadrant.isTop());
+        }
+      });
+    });
+  });
+
+  describe("in the sides layout", () => {
+    const generator = new TargetPairConditionGenerator({
+      feature: sizeFeature(),
+      pairCount: 1,
+      layout: "sides",
+    });
+
+    it("places a single pair on the left and the right side", () => {
+      let primaryLeftCount = 0;
+      forEachCondition(generator, ({ targetPairs }, probeLeft) => {
+        expect(targetPairs).toHaveLength(1);
+        const [{ primary, secondary }] = targetPairs;
+
+        expect(primary.quadrant).toBeNull();
+        expect(secondary.quadrant).toBeNull();
+        expect(primary.isLeft).not.toBe(secondary.isLeft);
+        expect(primary.isProbe).toBe(primary.isLeft === probeLeft);
+        expect(generator.getGridOffset(primary)[1]).toBe(0);
+
+        if (primary.isLeft) {
+          primaryLeftCount++;
+        }
+      });
+
+      // Both sides should occur for the primary target
+      expect(primaryLeftCount).toBeGreaterThan(sampleCount * 0.4);
+      expect(primaryLeftCount).toBeLessThan(sampleCount * 0.6);
+    });
+
+    it("varies the size of the secondary target relative to the primary target", () => {
+      forEachCondition(generator, ({ targetPairs }) => {
+        const [{ primary, secondary }] = targetPairs;
+        expect([0.8, 1.2]).toContain(primary.size);
+        expect(Math.abs(secondary.size - primary.size)).toBeCloseTo(0.1);
+      });
+    });
+  });
+
+  it("gives each pair another orientation with the orientation feature", () => {
+    const generator = new TargetPairConditionGenerator({ feature: orientationFeature() });
+    forEachCondition(generator, ({ targetPairs }) => {
+      const [first, second] = targetPairs;
+      expect(first.primary.orientation).toBe(first.secondary.orientation);
+      expect(second.primary.orientation).toBe(second.secondary.orientation);
+      expect(first.primary.orientation).not.toBe(second.primary.orientation);
+    });
+  });
+});
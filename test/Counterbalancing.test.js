@@ -0,0 +1,93 @@
+import { Counterbalancing } from "../src/util/Counterbalancing";
+
+const factors = { keys: ["qp", "pq"], instructionVoice: ["m", "f"] };
+
+/**
+ * Returns a stub of the jsPsych instance that records the added data properties
+ */
+const createJsPsych = () => {
+  const properties = {};
+  return {
+    properties,
+    data: { addProperties: (newProperties) => Object.assign(properties, newProperties) },
+  };
+};
+
+afterEach(() => {
+  window.localStorage.clear();
+  delete window.jatos;
+});
+
+describe("Counterbalancing", () => {
+  it("combines the factor levels to cells", () => {
+    expect(Counterbalancing.getCells(factors)).toEqual([
+      { keys: "qp", instructionVoice: "m" },
+      { keys: "qp", instructionVoice: "f" },
+      { keys: "pq", instructionVoice: "m" },
+      { keys: "pq", instructionVoice: "f" },
+    ]);
+  });
+
+  it("assigns the same cell to the same participant code", () => {
+    const assign = (participantCode) =>
+      new Counterbalancing(createJsPsych(), factors, {
+        getParticipantCode: () => participantCode,
+      }).assign();
+
+    expect(assign("ABCDE")).toEqual(assign("abcde"));
+  });
+
+  it("assigns participants in turn with the counter method", () => {
+    const cellIndices = Array.from({ length: 5 }, () => {
+      const counterbalancing = new Counterbalancing(createJsPsych(), factors, {
+        method: "counter",
+      });
+      counterbalancing.assign();
+      return counterbalancing.cellIndex;
+    });
+
+    expect(cellIndices).toEqual([0, 1, 2, 3, 0]);
+  });
+
+  it("assigns the participant once and logs the cell", () => {
+    const jsPsych = createJsPsych();
+    const counterbalancing = new Counterbalancing(jsPsych, factors, { method: "counter" });
+
+    expect(counterbalancing.get("keys")).toBe("qp");
+    counterbalancing.assign();
+    expect(window.localStorage.getItem("counterbalancingCounter")).toBe("1");
+    expect(jsPsych.properties).toEqual({
+      counterbalancingCell: 0,
+      counterbalancing: { keys: "qp", instructionVoice: "m" },
+    });
+  });
+
+  it("restores a previous assignment without updating the counter", () => {
+    const jsPsych = createJsPsych();
+    const counterbalancing = new Counterbalancing(jsPsych, factors, { method: "counter" });
+
+    expect(counterbalancing.restore(3)).toEqual({ keys: "pq", instructionVoice: "f" });
+    expect(counterbalancing.assign()).toEqual({ keys: "pq", instructionVoice: "f" });
+    expect(window.localStorage.getItem("counterbalancingCounter")).toBeNull();
+    expect(jsPsych.properties).toEqual({
+      counterbalancingCell: 3,
+      counterbalancing: { keys: "pq", instructionVoice: "f" },
+    });
+    expect(() => counterbalancing.restore(4)).toThrow("Invalid counterbalancing cell index 4");
+  });
+
+  it("marks the data if the JATOS counter can not be updated", async () => {
+    window.jatos = {
+      batchSession: {
+        get: () => 2,
+        set: () => Promise.reject(new Error("Network error")),
+      },
+    };
+    const jsPsych = createJsPsych();
+    const counterbalancing = new Counterbalancing(jsPsych, factors, { method: "jatos" });
+
+    expect(counterbalancing.assign()).toEqual({ keys: "pq", instructionVoice: "m" });
+    await Promise.resolve();
+    expect(jsPsych.properties.counterbalancingCounterFailed).toBe(true);
+  });
+});
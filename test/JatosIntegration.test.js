@@ -0,0 +1,64 @@
+import { JatosIntegration } from "../src/util/JatosIntegration";
+import { createJatosMock } from "../src/util/jatosMock";
+
+/**
+ * Returns a stub of the jsPsych instance with the given trial data
+ */
+const createJsPsych = (trials) => ({ data: { get: () => ({ values: () => trials }) } });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("JatosIntegration", () => {
+  it("retries failed submissions and reports the retries when the study is finished", async () => {
+    const jatos = createJatosMock({ failingRequests: 2 });
+    const integration = new JatosIntegration(jatos, { retryDelay: 0 });
+
+    await integration.finish(createJsPsych([{ trial: 1 }, { trial: 2 }]));
+
+    expect(jatos.resultData).toBe('{"trial":1}\n{"trial":2}\n');
+    expect(jatos.endState).toBe("FINISHED");
+    expect(jatos.endMessage).toBe("2 result submission attempt(s) failed and were retried");
+  });
+
+  it("aborts the study if no results could be submitted", async () => {
+    const jatos = createJatosMock({ failingRequests: 3 });
+    const integration = new JatosIntegration(jatos, { retryDelay: 0 });
+
+    await integration.submitBlock(createJsPsych([{ trial: 1 }]), { completedBlocks: 1 });
+
+    expect(integration.isEnded).toBe(true);
+    expect(jatos.endState).toBe("ABORTED");
+    expect(jatos.endMessage).toBe("The experiment failed: JATOS mock: Request failed");
+  });
+
+  it("keeps the submitted results if a later submission fails", async () => {
+    const jatos = createJatosMock();
+    const integration = new JatosIntegration(jatos, { attempts: 1 });
+    const trials = [{ trial: 1 }];
+
+    await integration.submitBlock(createJsPsych(trials), { completedBlocks: 1 });
+    jatos.appendResultData = () => Promise.reject(new Error("Network error"));
+    trials.push({ trial: 2 });
+    await integration.finish(createJsPsych(trials));
+
+    expect(jatos.resultData).toBe('{"trial":1}\n');
+    expect(jatos.studySessionData).toEqual({ session: { completedBlocks: 1 } });
+    expect(jatos.endState).toBe("FAIL");
+  });
+});
+
+describe("createJatosMock()", () => {
+  it("records the requests and only logs them in debug mode", async () => {
+    const log = jest.spyOn(console, "log").mockImplementation(() => {});
+
+    const jatos = createJatosMock();
+    await jatos.batchSession.set("counter", 1);
+    expect(jatos.requests).toEqual(["batchSession.set counter"]);
+    expect(log).not.toHaveBeenCalled();
+
+    await createJatosMock({ debug: true }).endStudy();
+    expect(log).toHaveBeenCalledWith("[JATOS mock] FINISHED");
+  });
+});
@@ -0,0 +1,79 @@
+import { PsiEstimator } from "../src/util/PsiEstimator";
+import { getProbeFirstProbability, spreadToJnd } from "../src/util/psychometrics";
+import { random } from "../src/util/random";
+
+beforeEach(() => {
+  random.setSeed("psi-estimator-tests");
+});
+
+const soas = [-150, -100, -60, -30, -15, 0, 15, 30, 60, 100, 150];
+
+/**
+ * Runs `trialCount` trials of a simulated observer with the given psychometric function
+ * parameters on an estimator and returns the SOAs chosen by the estimator
+ */
+const simulate = (estimator, parameters, trialCount) =>
+  Array.from({ length: trialCount }, () => {
+    const soa = estimator.getNextSoa();
+    const isProbeFirst = random.next() < getProbeFirstProbability(soa, parameters);
+    estimator.update({ soa, response: isProbeFirst ? "probe" : "reference" });
+    return soa;
+  });
+
+describe("PsiEstimator", () => {
+  it("rejects missing SOAs and unknown shapes", () => {
+    expect(() => new PsiEstimator({ soas: [] })).toThrow(/candidate SOA/);
+    expect(() => new PsiEstimator({ soas, shape: "weibull" })).toThrow(/shape "weibull"/);
+  });
+
+  it("starts with a uniform posterior", () => {
+    const estimator = new PsiEstimator({ soas, pssCount: 5, spreadCount: 3 });
+    const summary = estimator.getPosteriorSummary();
+
+    expect(summary.pss.mean).toBeCloseTo(0);
+    expect(summary.pss.sd).toBeCloseTo(Math.sqrt((150 ** 2 + 75 ** 2) * (2 / 5)));
+    const spreadMean = estimator.spreadValues.reduce((sum, spread) => sum + spread, 0) / 3;
+    expect(summary.spread.mean).toBeCloseTo(spreadMean);
+    expect(summary.jnd.mean).toBeCloseTo(spreadToJnd(spreadMean));
+    expect(summary.map).toEqual({
+      pss: -150,
+      spread: estimator.spreadValues[0],
+      jnd: spreadToJnd(estimator.spreadValues[0]),
+    });
+  });
+
+  it("converges on the PSS and the JND of a simulated observer", () => {
+    const observer = { pss: 20, spread: 40, lapseRate: 0.02 };
+    const estimator = new PsiEstimator({ soas, maxTrials: 200 });
+    simulate(estimator, observer, 200);
+
+    const state = estimator.getState();
+    expect(state).toMatchObject({ method: "psi", shape: "gaussian", trialCount: 200 });
+    expect(state.finished).toBe(true);
+    expect(Math.abs(state.pss.mean - observer.pss)).toBeLessThan(2 * state.pss.sd);
+    expect(state.pss.sd).toBeLessThan(10);
+    expect(Math.abs(state.jnd.mean - spreadToJnd(observer.spread))).toBeLessThan(2 * state.jnd.sd);
+    expect(Math.abs(state.map.pss - observer.pss)).toBeLessThan(15);
+  });
+
+  it("ignores trials without a 'probe' or 'reference' response", () => {
+    const estimator = new PsiEstimator({ soas });
+    const summary = estimator.getPosteriorSummary();
+    const nextSoa = estimator.getNextSoa();
+
+    for (const response of [null, "same", undefined]) {
+      estimator.update({ soa: nextSoa, response });
+    }
+
+    expect(estimator.trialCount).toBe(0);
+    expect(estimator.getPosteriorSummary()).toEqual(summary);
+    expect(estimator.getNextSoa()).toBe(nextSoa);
+  });
+
+  it("chooses the SOAs near the PSS more often than the extreme SOAs", () => {
+    const chosenSoas = simulate(new PsiEstimator({ soas }), { pss: 0, spread: 30 }, 60);
+
+    const count = (predicate) => chosenSoas.filter(predicate).length;
+    expect(count((soa) => Math.abs(soa) <= 60)).toBeGreaterThan(count((soa) => Math.abs(soa) > 60));
+  });
+});
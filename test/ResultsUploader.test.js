@@ -0,0 +1,71 @@
+import { ResultsUploader } from "../src/util/ResultsUploader";
+
+/**
+ * Returns a stub of the jsPsych instance with the given trial data that records the added data
+ * properties and local saves
+ */
+const createJsPsych = (trials) => {
+  const properties = {};
+  const localSave = jest.fn();
+  return {
+    properties,
+    localSave,
+    data: {
+      get: () => ({ json: () => JSON.stringify(trials), localSave }),
+      addProperties: (newProperties) => Object.assign(properties, newProperties),
+    },
+  };
+};
+
+/**
+ * Mocks `fetch()` to respond with the given status codes in turn
+ */
+const mockFetch = (...statuses) => {
+  window.fetch = jest.fn();
+  for (const status of statuses) {
+    window.fetch.mockResolvedValueOnce({ ok: status >= 200 && status < 300, status });
+  }
+};
+
+afterEach(() => {
+  delete window.fetch;
+});
+
+describe("ResultsUploader", () => {
+  it("uploads the data and retries failed uploads", async () => {
+    mockFetch(500, 204);
+    const uploader = new ResultsUploader("session1", { retryDelay: 0 });
+    const jsPsych = createJsPsych([{ trial: 1 }]);
+
+    expect(await uploader.upload(jsPsych, "ABCDE")).toBe(true);
+    expect(window.fetch).toHaveBeenCalledTimes(2);
+    expect(window.fetch).toHaveBeenLastCalledWith("results/ABCDE/session1", {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: '[{"trial":1}]',
+    });
+    expect(uploader.retriedAttemptCount).toBe(1);
+    expect(jsPsych.properties).toEqual({});
+  });
+
+  it("marks the data if an upload fails", async () => {
+    mockFetch(500, 500, 204);
+    const uploader = new ResultsUploader("session1", { attempts: 2, retryDelay: 0 });
+    const jsPsych = createJsPsych([{ trial: 1 }]);
+
+    expect(await uploader.upload(jsPsych, "ABCDE")).toBe(false);
+    expect(jsPsych.properties).toEqual({ resultsUploadFailed: true });
+
+    await uploader.finish(jsPsych, "ABCDE");
+    expect(jsPsych.localSave).not.toHaveBeenCalled();
+  });
+
+  it("saves the data locally if the final upload fails", async () => {
+    mockFetch(500);
+    const uploader = new ResultsUploader("session1", { attempts: 1 });
+    const jsPsych = createJsPsych([{ trial: 1 }]);
+
+    await uploader.finish(jsPsych, "ABCDE");
+    expect(jsPsych.localSave).toHaveBeenCalledWith("json", "ABCDE_session1.json");
+  });
+});
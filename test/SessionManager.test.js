@@ -0,0 +1,149 @@
+import { SessionManager } from "../src/util/SessionManager";
+import { createJatosMock } from "../src/util/jatosMock";
+import { createParticipantCode } from "../src/util/participantCodes";
+import { advanceTime } from "./helpers";
+
+const sessions = [{ name: "first" }, { name: "second" }, { name: "third" }];
+
+/**
+ * Enters `input` into the participant code prompt and submits it.
+ */
+const enterParticipantCode = async (input) => {
+  document.querySelector("#input-0").value = input;
+  document.querySelector("#jspsych-survey-text-next").click();
+  await advanceTime(0);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  window.localStorage.clear();
+  delete window.jatos;
+  document.body.innerHTML = "";
+});
+
+describe("SessionManager", () => {
+  it("rejects unknown storage backends", () => {
+    expect(() => new SessionManager({ sessions, storage: "foo" })).toThrow(
+      'Unknown session storage "foo"'
+    );
+  });
+
+  it("stores the participant records in the local storage", async () => {
+    const code = createParticipantCode();
+    const sessionManager = new SessionManager({ sessions, storageKey: "records" });
+    expect(sessionManager.isKnownCode(code)).toBe(false);
+
+    await sessionManager.completeSession(code, 0, "variantA");
+    await sessionManager.completeSession(code, 1);
+
+    const record = {
+      sessions: [
+        { sessionIndex: 0, variant: "variantA", completedAt: Date.now() },
+        { sessionIndex: 1, variant: null, completedAt: Date.now() },
+      ],
+    };
+    expect(JSON.parse(window.localStorage.getItem("records"))).toEqual({ [code]: record });
+    expect(new SessionManager({ sessions, storageKey: "records" }).getRecord(code)).toEqual(record);
+  });
+
+  it("stores the participant records in the JATOS batch session", async () => {
+    const jatos = createJatosMock({ batchSessionData: { other: 1 } });
+    window.jatos = jatos;
+    const [code1, code2] = [createParticipantCode(), createParticipantCode()];
+    const sessionManager = new SessionManager({ sessions, storage: "jatos" });
+    expect(sessionManager.getRecord(code1)).toBeNull();
+
+    await sessionManager.completeSession(code1, 0);
+    await sessionManager.completeSession(code2, 0);
+    await sessionManager.completeSession(code1, 1);
+
+    expect(jatos.requests).toEqual([
+      "batchSession.set participants",
+      `batchSession.add /participants/${code2}`,
+      `batchSession.add /participants/${code1}`,
+    ]);
+    expect(jatos.batchSession.get("participants")[code1].sessions).toHaveLength(2);
+    expect(jatos.batchSession.get("other")).toBe(1);
+    expect(sessionManager.isKnownCode(code2)).toBe(true);
+  });
+
+  it("returns the index of the first session that has not been completed", async () => {
+    const code = createParticipantCode();
+    const sessionManager = new SessionManager({ sessions });
+    expect(sessionManager.getNextSessionIndex(code)).toBe(0);
+
+    await sessionManager.completeSession(code, 1);
+    expect(sessionManager.getNextSessionIndex(code)).toBe(0);
+    await sessionManager.completeSession(code, 0);
+    expect(sessionManager.getNextSessionIndex(code)).toBe(2);
+    await sessionManager.completeSession(code, 2);
+    expect(sessionManager.getNextSessionIndex(code)).toBeNull();
+  });
+
+  describe("identifyParticipant()", () => {
+    it("treats participants without a code as new participants", async () => {
+      const identification = new SessionManager({ sessions }).identifyParticipant();
+      await advanceTime(0);
+      await enterParticipantCode("");
+
+      expect(await identification).toEqual({
+        participantCode: null,
+        isFirstParticipation: true,
+        sessionIndex: 0,
+      });
+    });
+
+    it("asks again until a known code is entered", async () => {
+      const [knownCode, unknownCode] = [createParticipantCode(), createParticipantCode()];
+      const sessionManager = new SessionManager({ sessions });
+      await sessionManager.completeSession(knownCode, 0);
+
+      const identification = sessionManager.identifyParticipant();
+      await advanceTime(0);
+      await enterParticipantCode(unknownCode);
+      expect(document.body.innerHTML).toContain(
+        `The participant code <b>${unknownCode}</b> is unknown.`
+      );
+
+      await enterParticipantCode(knownCode.toLowerCase());
+      expect(await identification).toEqual({
+        participantCode: knownCode,
+        isFirstParticipation: false,
+        sessionIndex: 1,
+      });
+    });
+
+    it("shows a final message if all sessions have been completed", async () => {
+      const code = createParticipantCode();
+      const sessionManager = new SessionManager({ sessions: [{}] });
+      await sessionManager.completeSession(code, 0);
+
+      const onIdentified = jest.fn();
+      sessionManager.identifyParticipant().then(onIdentified);
+      await advanceTime(0);
+      await enterParticipantCode(code);
+
+      expect(document.body.innerHTML).toContain("You have already completed all 1 sessions");
+      await advanceTime(10000);
+      expect(onIdentified).not.toHaveBeenCalled();
+    });
+
+    it("shows the prompts in the given language", async () => {
+      const unknownCode = createParticipantCode();
+      new SessionManager({ sessions, language: "de" }).identifyParticipant();
+      await advanceTime(0);
+      expect(document.body.innerHTML).toContain("Teilnahmecode ein");
+
+      await enterParticipantCode("AB0DE");
+      expect(document.body.innerHTML).toContain("enthält ungültige Zeichen");
+      await enterParticipantCode(unknownCode);
+      expect(document.body.innerHTML).toContain(
+        `Der Teilnahmecode <b>${unknownCode}</b> ist unbekannt.`
+      );
+    });
+  });
+});
@@ -0,0 +1,194 @@
+import { SessionRecovery } from "../src/util/SessionRecovery";
+import { createParticipantCode } from "../src/util/participantCodes";
+import { advanceTime } from "./helpers";
+
+const experimentName = "test";
+
+/**
+ * Returns a stub of the jsPsych instance with the given trial data that records the added data
+ * properties
+ */
+const createJsPsych = (trials = []) => {
+  const properties = {};
+  return {
+    properties,
+    data: {
+      get: () => ({ values: () => trials, push: (trial) => trials.push(trial) }),
+      addProperties: (newProperties) => Object.assign(properties, newProperties),
+    },
+  };
+};
+
+/**
+ * Saves a session of a participant with two of four blocks completed to the local storage.
+ */
+const saveSession = (participantCode, trials = [{ block: 1 }, { block: 2 }, { block: 3 }]) => {
+  const sessionRecovery = new SessionRecovery(experimentName);
+  Object.assign(sessionRecovery.state, { participantCode, completedBlocks: 2, blockCount: 4 });
+  sessionRecovery.record(createJsPsych(trials));
+  sessionRecovery.save();
+};
+
+/**
+ * Enters `input` into the participant code prompt and submits it.
+ */
+const enterParticipantCode = async (input) => {
+  document.querySelector("#input-0").value = input;
+  document.querySelector("#jspsych-survey-text-next").click();
+  await advanceTime(0);
+};
+
+/**
+ * Clicks a choice button of an HtmlButtonResponsePlugin trial.
+ */
+const clickChoice = async (index) => {
+  document.querySelector(`#jspsych-html-button-response-button-${index}`).click();
+  await advanceTime(0);
+};
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+  window.localStorage.clear();
+  document.body.innerHTML = "";
+});
+
+describe("SessionRecovery", () => {
+  it("stores sessions by participant code", () => {
+    const [code1, code2] = [createParticipantCode(), createParticipantCode()];
+    saveSession(code1);
+    saveSession(code2);
+
+    const sessionRecovery = new SessionRecovery(experimentName);
+    expect([...sessionRecovery.interruptedSessions.keys()].sort()).toEqual([code1, code2].sort());
+
+    Object.assign(sessionRecovery.state, { participantCode: code1 });
+    sessionRecovery.finish();
+    expect([...new SessionRecovery(experimentName).interruptedSessions.keys()]).toEqual([code2]);
+  });
+
+  it("removes expired sessions", () => {
+    saveSession(createParticipantCode());
+    jest.advanceTimersByTime(2000);
+
+    expect(new SessionRecovery(experimentName, { maxAge: 1000 }).interruptedSessions.size).toBe(0);
+    expect(window.localStorage.length).toBe(0);
+  });
+
+  it("removes corrupt sessions", () => {
+    const code = createParticipantCode();
+    saveSession(code);
+    window.localStorage.setItem(`sessionRecovery:${experimentName}:ABCDE`, '{"savedAt": 1');
+    window.localStorage.setItem(`sessionRecovery:${experimentName}:FGHJK`, "null");
+    window.localStorage.setItem(`sessionRecovery:${experimentName}:LMNPQ`, '{"savedAt": "x"}');
+
+    const sessionRecovery = new SessionRecovery(experimentName);
+    expect([...sessionRecovery.interruptedSessions.keys()]).toEqual([code]);
+    expect(window.localStorage.length).toBe(1);
+  });
+
+  it("does not prompt if there is no interrupted session", async () => {
+    const sessionRecovery = new SessionRecovery(experimentName);
+
+    expect(await sessionRecovery.offerResumption()).toBeNull();
+    expect(document.body.innerHTML).toBe("");
+  });
+
+  it("offers resumption only after the participant code has been entered", async () => {
+    const code = createParticipantCode();
+    saveSession(code);
+    const sessionRecovery = new SessionRecovery(experimentName);
+
+    const resumption = sessionRecovery.offerResumption();
+    await advanceTime(0);
+    expect(document.body.innerHTML).not.toContain(code);
+
+    await enterParticipantCode(code.toLowerCase());
+    expect(document.body.innerHTML).toContain("You completed 2 of 4 blocks");
+    await clickChoice(0);
+
+    const resumedSession = await resumption;
+    expect(resumedSession).toBe(sessionRecovery.interruptedSessions.get(code));
+
+    const jsPsych = createJsPsych();
+    sessionRecovery.restoreData(jsPsych);
+    expect(jsPsych.data.get().values()).toEqual([{ block: 1 }, { block: 2 }]);
+    expect(jsPsych.properties).toEqual({ resumedAtBlock: 3 });
+  });
+
+  it("asks again if there is no interrupted session for the entered code", async () => {
+    saveSession(createParticipantCode());
+    const otherCode = createParticipantCode();
+    const sessionRecovery = new SessionRecovery(experimentName);
+
+    const resumption = sessionRecovery.offerResumption();
+    await advanceTime(0);
+    await enterParticipantCode(otherCode);
+    expect(document.body.innerHTML).toContain(
+      `No unfinished session was found for the participant code <b>${otherCode}</b>`
+    );
+
+    await enterParticipantCode("");
+    expect(await resumption).toBeNull();
+  });
+
+  it("shows the prompts in the given language", async () => {
+    const code = createParticipantCode();
+    saveSession(code);
+    const sessionRecovery = new SessionRecovery(experimentName, { language: "de" });
+
+    const resumption = sessionRecovery.offerResumption();
+    await advanceTime(0);
+    expect(document.body.innerHTML).toContain("nicht abgeschlossene Sitzung");
+
+    await enterParticipantCode(code);
+    expect(document.body.innerHTML).toContain("2 von 4 Blöcken");
+    expect(document.body.innerHTML).toContain("Sitzung fortsetzen");
+    await clickChoice(0);
+    expect(await resumption).not.toBeNull();
+  });
+
+  it("defaults to the browser's language", async () => {
+    jest.spyOn(window.navigator, "language", "get").mockReturnValue("de-AT");
+    saveSession(createParticipantCode());
+
+    new SessionRecovery(experimentName).offerResumption();
+    await advanceTime(0);
+    expect(document.body.innerHTML).toContain("nicht abgeschlossene Sitzung");
+  });
+
+  it("removes only the participant's session when a new session is started", async () => {
+    const [code1, code2] = [createParticipantCode(), createParticipantCode()];
+    saveSession(code1);
+    saveSession(code2);
+    const sessionRecovery = new SessionRecovery(experimentName);
+
+    const resumption = sessionRecovery.offerResumption();
+    await advanceTime(0);
+    await enterParticipantCode(code1);
+    await clickChoice(1);
+
+    expect(await resumption).toBeNull();
+    expect([...new SessionRecovery(experimentName).interruptedSessions.keys()]).toEqual([code2]);
+  });
+
+  it("marks the data if the session can not be saved", () => {
+    const storage = {
+      length: 0,
+      setItem: () => {
+        throw new Error("QuotaExceededError");
+      },
+    };
+    const sessionRecovery = new SessionRecovery(experimentName, { storage });
+    sessionRecovery.state.participantCode = createParticipantCode();
+    const jsPsych = createJsPsych();
+    sessionRecovery.record(jsPsych);
+
+    sessionRecovery.save();
+    expect(jsPsych.properties).toEqual({ sessionRecoveryFailed: true });
+  });
+});
@@ -0,0 +1,197 @@
+import { InterleavedProcedures } from "../src/util/InterleavedProcedures";
+import { random } from "../src/util/random";
+import { Staircase } from "../src/util/Staircase";
+
+beforeEach(() => {
+  random.setSeed("staircase-tests");
+});
+
+/**
+ * Updates a staircase with a sequence of correct (`true`) and incorrect (`false`) responses at
+ * its current level and returns the SOA levels before each update.
+ */
+const respond = (staircase, responses) =>
+  responses.map((correct) => {
+    const level = staircase.level;
+    staircase.update({
+      soa: level,
+      response: correct ? "probe" : "reference",
+      response_correct: correct,
+    });
+    return level;
+  });
+
+describe("Staircase", () => {
+  const levels = [10, 20, 30, 40, 50];
+
+  it("rejects unknown modes and empty levels", () => {
+    expect(() => new Staircase({ levels, mode: "foo" })).toThrow(/mode/);
+    expect(() => new Staircase({ levels: [] })).toThrow(/level/);
+  });
+
+  it("starts at the largest magnitude or the middle signed level", () => {
+    expect(new Staircase({ levels }).level).toBe(50);
+    expect(new Staircase({ levels, mode: "signed" }).level).toBe(30);
+    expect(new Staircase({ levels, startLevelIndex: 1 }).level).toBe(20);
+  });
+
+  it("steps down after nDown correct and up after nUp incorrect responses", () => {
+    const staircase = new Staircase({ levels, nDown: 2, nUp: 1 });
+
+    expect(respond(staircase, [true, true, true, true, false, true, true])).toEqual([
+      50, 50, 40, 40, 30, 40, 40,
+    ]);
+    expect(staircase.level).toBe(30);
+  });
+
+  it("records reversals and uses the step sizes by reversal count", () => {
+    const staircase = new Staircase({
+      levels: [10, 20, 30, 40, 50, 60, 70, 80, 90],
+      nDown: 1,
+      stepSizes: [2, 1],
+    });
+
+    respond(staircase, [true, true, false, true]);
+
+    expect(staircase.reversals).toEqual([50, 60]);
+    expect(staircase.level).toBe(50);
+    expect(staircase.getThreshold()).toBe(55);
+    expect(staircase.getThreshold(1)).toBe(60);
+  });
+
+  it("does not leave the range of levels", () => {
+    const staircase = new Staircase({ levels, nDown: 1 });
+    respond(staircase, Array(10).fill(true));
+    expect(staircase.level).toBe(10);
+
+    respond(staircase, Array(10).fill(false));
+    expect(staircase.level).toBe(50);
+  });
+
+  it("moves towards 'probe first' after 'reference first' responses in signed mode", () => {
+    const staircase = new Staircase({ levels: [-20, -10, 0, 10, 20], mode: "signed", nDown: 1 });
+
+    staircase.update({ soa: 0, response: "reference", response_correct: false });
+    expect(staircase.level).toBe(-10);
+
+    staircase.update({ soa: -10, response: "probe", response_correct: true });
+    expect(staircase.level).toBe(0);
+  });
+
+  it("randomizes the SOA sign in magnitude mode only", () => {
+    const magnitudeSoas = new Set();
+    const signedSoas = new Set();
+    const signedStaircase = new Staircase({ levels, mode: "signed" });
+    for (let i = 0; i < 100; i++) {
+      magnitudeSoas.add(new Staircase({ levels }).getNextSoa());
+      signedSoas.add(signedStaircase.getNextSoa());
+    }
+    expect([...magnitudeSoas].sort()).toEqual([-50, 50]);
+    expect([...signedSoas]).toEqual([30]);
+  });
+
+  it("ignores trials without a response", () => {
+    const staircase = new Staircase({ levels, nDown: 1 });
+    staircase.update({ soa: 50, response: null, response_correct: null });
+    expect(staircase.history).toHaveLength(0);
+    expect(staircase.level).toBe(50);
+  });
+
+  it("finishes after the maximum number of reversals or trials", () => {
+    const byTrials = new Staircase({ levels, maxTrials: 3 });
+    respond(byTrials, [true, true]);
+    expect(byTrials.isFinished()).toBe(false);
+    respond(byTrials, [true]);
+    expect(byTrials.isFinished()).toBe(true);
+
+    const byReversals = new Staircase({ levels, nDown: 1, maxReversals: 1 });
+    respond(byReversals, [true, true]);
+    expect(byReversals.isFinished()).toBe(false);
+    respond(byReversals, [false]);
+    expect(byReversals.isFinished()).toBe(true);
+  });
+
+  it("logs a state of constant size", () => {
+    const staircase = new Staircase({ levels, nDown: 1 });
+    respond(staircase, [true, false, true, true]);
+
+    expect(staircase.history).toHaveLength(4);
+    expect(staircase.getState()).toEqual({
+      mode: "magnitude",
+      trialCount: 4,
+      levelIndex: 2,
+      level: 30,
+      reversalCount: 2,
+      threshold: 45,
+      finished: false,
+    });
+  });
+});
+
+describe("InterleavedProcedures", () => {
+  const createProcedures = () =>
+    new InterleavedProcedures(() => new Staircase({ levels: [10, 20, 30], nDown: 1 }));
+
+  it("creates one procedure per condition id", () => {
+    const procedures = createProcedures();
+
+    expect(procedures.get("left")).toBe(procedures.get("left"));
+    expect(procedures.get("left")).not.toBe(procedures.get("right"));
+    expect(procedures.get(1)).toBe(procedures.get("1"));
+  });
+
+  it("passes the condition id to the procedure factory", () => {
+    const createProcedure = jest.fn(() => new Staircase({ levels: [10] }));
+    new InterleavedProcedures(createProcedure).get("left");
+    expect(createProcedure).toHaveBeenCalledWith("left");
+  });
+
+  it("rejects condition ids that are not strings or numbers", () => {
+    expect(() => createProcedures().get({ probeLeft: true })).toThrow(/Condition ids/);
+  });
+
+  it("updates the procedure of the given condition and logs its state", () => {
+    const procedures = createProcedures();
+    const data = { soa: 30, response: "probe", response_correct: true };
+    procedures.update("left", data);
+
+    expect(procedures.get("left").level).toBe(20);
+    expect(procedures.get("right").level).toBe(30);
+    expect(data.adaptive).toEqual({
+      condition: "left",
+      ...procedures.get("left").getState(),
+      trialLevel: 30,
+      step: {
+        trial: 1,
+        soa: 30,
+        response: "probe",
+        correct: true,
+        levelIndex: 2,
+        level: 30,
+        step: -1,
+        reversal: false,
+      },
+    });
+  });
+
+  it("logs no step for trials that the procedure ignores", () => {
+    const procedures = createProcedures();
+    const data = { soa: 30, response: null, response_correct: false };
+    procedures.update("left", data);
+
+    expect(data.adaptive).toMatchObject({ trialCount: 0, level: 30, trialLevel: 30, step: null });
+  });
+
+  it("is finished when all procedures are finished", () => {
+    const procedures = new InterleavedProcedures(
+      () => new Staircase({ levels: [10, 20], maxTrials: 1 })
+    );
+    procedures.update("left", { soa: 20, response: "probe", response_correct: true });
+    procedures.get("right");
+    expect(procedures.isFinished()).toBe(false);
+
+    procedures.update("right", { soa: 20, response: "probe", response_correct: true });
+    expect(procedures.isFinished()).toBe(true);
+    expect(Object.keys(procedures.getStates())).toEqual(["left", "right"]);
+  });
+});
@@ -0,0 +1,447 @@
+import { initJsPsych } from "jspsych";
+
+import { TojPlugin } from "../src/plugins/TojPlugin";
+import { FrameScheduler } from "../src/util/FrameScheduler";
+import { random } from "../src/util/random";
+import {
+  advanceTime,
+  createElement,
+  createModificationRecorder,
+  pressKey,
+  startTrial,
+  touch,
+} from "./helpers";
+
+jest.mock("../src/util/audio", () => ({ playAudio: jest.fn(() => Promise.resolve()) }));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  document.body.innerHTML = "";
+});
+
+/**
+ * Returns the parameters of a `TojPlugin` trial with recorded modifications
+ */
+function createTrial(parameters = {}) {
+  const { modifications, modificationFunction } = createModificationRecorder();
+  const trial = {
+    type: TojPlugin,
+    probe_element: createElement("probe"),
+    reference_element: createElement("reference"),
+    modification_function: modificationFunction,
+    fixation_time: 500,
+    soa: 0,
+    probe_key: "q",
+    reference_key: "p",
+    ...parameters,
+  };
+  return { trial, modifications };
+}
+
+/**
+ * Runs a trial until the stimulus modifications have happened
+ */
+async function runUntilResponseWindow(parameters) {
+  const { trial, modifications } = createTrial(parameters);
+  const run = await startTrial(trial);
+  await advanceTime(trial.fixation_time + 500);
+  return { ...run, trial, modifications };
+}
+
+describe("TojPlugin", () => {
+  describe("modification order", () => {
+    it("modifies the probe first if the SOA is negative", async () => {
+      const { modifications, getData } = await runUntilResponseWindow({ soa: -50 });
+
+      expect(modifications.map(({ id }) => id)).toEqual(["probe", "reference"]);
+      expect(modifications[1].time - modifications[0].time).toBeGreaterThan(0);
+
+      const frameScheduler = new FrameScheduler(60);
+      expect(getData()).toBeUndefined();
+      expect(frameScheduler.msToFrames(modifications[1].time - modifications[0].time)).toBe(3);
+    });
+
+    it("modifies the reference first if the SOA is positive", async () => {
+      const { modifications } = await runUntilResponseWindow({ soa: 50 });
+
+      expect(modifications.map(({ id }) => id)).toEqual(["reference", "probe"]);
+      expect(modifications[1].time - modifications[0].time).toBeGreaterThan(0);
+    });
+
+    it("modifies both stimuli in the same frame if the SOA is 0", async () => {
+      const { modifications } = await runUntilResponseWindow({ soa: 0 });
+
+      expect(modifications).toHaveLength(2);
+      expect(modifications.map(({ id }) => id).sort()).toEqual(["probe", "reference"]);
+      expect(modifications[0].time).toBe(modifications[1].time);
+    });
+
+    it("does not modify the stimuli before the fixation time has passed", async () => {
+      const { trial, modifications } = createTrial({ fixation_time: 1000, soa: -50 });
+      await startTrial(trial);
+
+      await advanceTime(900);
+      expect(modifications).toHaveLength(0);
+
+      await advanceTime(500);
+      expect(modifications).toHaveLength(2);
+    });
+
+    it("logs the intended and the achieved SOA in frames", async () => {
+      for (const [soa, frames] of [
+        [-50, -3],
+        [50, 3],
+        [0, 0],
+      ]) {
+        const { jsPsych, getData } = await runUntilResponseWindow({ soa });
+        await pressKey(jsPsych, "q");
+
+        const data = getData();
+        expect(data.soa_frames_intended).toBe(frames);
+        expect(data.soa_frames_achieved).toBe(frames);
+        expect(Math.sign(data.soa_achieved)).toBe(Math.sign(soa));
+        expect(data.soa_warning).toBe(false);
+
+        document.body.innerHTML = "";
+      }
+    });
+
+    it("shows the stimuli by default", async () => {
+      const { trial } = createTrial({ soa: -50 });
+      delete trial.modification_function;
+      trial.probe_element.style.visibility = "hidden";
+      trial.reference_element.style.visibility = "hidden";
+      await startTrial(trial);
+
+      await advanceTime(trial.fixation_time + 20);
+      expect(trial.probe_element.style.visibility).toBe("visible");
+      expect(trial.reference_element.style.visibility).toBe("hidden");
+
+      await advanceTime(100);
+      expect(trial.reference_element.style.visibility).toBe("visible");
+    });
+  });
+
+  describe("response scoring", () => {
+    it.each([
+      ["toj", -50, "probe", true],
+      ["toj", -50, "reference", false],
+      ["toj", 50, "reference", true],
+      ["toj", 50, "probe", false],
+      ["toj", 0, "probe", true],
+      ["toj", 0, "reference", true],
+      ["sj", 0, "simultaneous", true],
+      ["sj", 0, "successive", false],
+      ["sj", -50, "successive", true],
+      ["sj", 50, "simultaneous", false],
+      ["ternary", -50, "probe", true],
+      ["ternary", 50, "reference", true],
+      ["ternary", 0, "simultaneous", true],
+      ["ternary", 0, "probe", false],
+      ["ternary", 50, "simultaneous", false],
+    ])("scores a %s response at SOA %d as %s: %s", (responseMode, soa, response, correct) => {
+      expect(TojPlugin.isResponseCorrect(responseMode, soa, response)).toBe(correct);
+    });
+
+    it("throws for unknown response modes", () => {
+      expect(() => TojPlugin.isResponseCorrect("foo", 0, "probe")).toThrow(/response mode/);
+    });
+
+    it.each([
+      ["toj", "q", "probe", -50, true],
+      ["toj", "p", "reference", -50, false],
+      ["sj", "s", "simultaneous", 50, false],
+      ["sj", "d", "successive", 50, true],
+      ["ternary", "s", "simultaneous", 0, true],
+      ["ternary", "p", "reference", 0, false],
+    ])(
+      "records a %s response via the %s key as %s (SOA %d)",
+      async (responseMode, key, response, soa, correct) => {
+        const { jsPsych, getData } = await runUntilResponseWindow({
+          soa,
+          response_mode: responseMode,
+          simultaneous_key: "s",
+          successive_key: "d",
+        });
+        await advanceTime(300);
+        await pressKey(jsPsych, key);
+
+        const data = getData();
+        expect(data.response).toBe(response);
+        expect(data.response_key).toBe(key);
+        expect(data.response_correct).toBe(correct);
+        expect(data.timed_out).toBe(false);
+        expect(data.rt).toBeGreaterThanOrEqual(300);
+      }
+    );
+
+    it("ignores keys that are not response keys", async () => {
+      const { jsPsych, getData } = await runUntilResponseWindow({ soa: -50 });
+
+      await pressKey(jsPsych, "x");
+      expect(getData()).toBeUndefined();
+
+      await pressKey(jsPsych, "p");
+      expect(getData().response).toBe("reference");
+    });
+
+    it("ends the trial with a null response when the response timeout expires", async () => {
+      const { getData } = await runUntilResponseWindow({
+        soa: 50,
+        response_timeout: 1000,
+        timeout_feedback_html: "<p>Too slow!</p>",
+        timeout_feedback_duration: 500,
+      });
+
+      await advanceTime(1000);
+      expect(document.body.innerHTML).toContain("Too slow!");
+      expect(getData()).toBeUndefined();
+
+      await advanceTime(500);
+      const data = getData();
+      expect(data.timed_out).toBe(true);
+      expect(data.response).toBeNull();
+      expect(data.response_key).toBeNull();
+      expect(data.response_correct).toBeNull();
+      expect(data.rt).toBeNull();
+    });
+
+    it("clears the response timeout once a response is given", async () => {
+      const setTimeout = jest.spyOn(window, "setTimeout");
+      const clearTimeout = jest.spyOn(window, "clearTimeout");
+      const { jsPsych } = await runUntilResponseWindow({
+        soa: 50,
+        response_timeout: 1234,
+        confidence_rating: true,
+      });
+      const timeoutIndex = setTimeout.mock.calls.findIndex(([, delay]) => delay === 1234);
+      const timeoutHandle = setTimeout.mock.results[timeoutIndex].value;
+
+      await pressKey(jsPsych, "p");
+      // The trial continues with the confidence rating
+      expect(document.body.innerHTML).toContain("How confident are you");
+      expect(clearTimeout).toHaveBeenCalledWith(timeoutHandle);
+    });
+  });
+
+  describe("touch handling", () => {
+    it("counts a touch on a touch element as the corresponding response", async () => {
+      const probeTouchElement = createElement("probe-touch");
+      const referenceTouchElement = createElement("reference-touch");
+      const { getData } = await runUntilResponseWindow({
+        soa: 50,
+        probe_touch_element: probeTouchElement,
+        reference_touch_element: referenceTouchElement,
+      });
+
+      await touch(referenceTouchElement);
+
+      const data = getData();
+      expect(data.response).toBe("reference");
+      expect(data.response_correct).toBe(true);
+    });
+
+    it("removes the touch listeners when the response is given", async () => {
+      const probeTouchElement = createElement("probe-touch");
+      const removeEventListener = jest.spyOn(probeTouchElement, "removeEventListener");
+      const { jsPsych } = await runUntilResponseWindow({
+        soa: 50,
+        probe_touch_element: probeTouchElement,
+      });
+
+      await pressKey(jsPsych, "p");
+      expect(removeEventListener).toHaveBeenCalledWith("touchstart", expect.any(Function));
+    });
+
+    it("supports touch elements in the sj response mode", async () => {
+      const successiveTouchElement = createElement("successive-touch");
+      const { getData } = await runUntilResponseWindow({
+        soa: 0,
+        response_mode: "sj",
+        simultaneous_key: "s",
+        successive_key: "d",
+        successive_touch_element: successiveTouchElement,
+      });
+
+      await touch(successiveTouchElement);
+
+      expect(getData().response).toBe("successive");
+      expect(getData().response_correct).toBe(false);
+    });
+
+    it("logs touches before the response window as anticipatory responses", async () => {
+      const { trial } = createTrial({ soa: -50 });
+      const { jsPsych, getData } = await startTrial(trial);
+
+      await touch(jsPsych.getDisplayElement());
+      await advanceTime(trial.fixation_time + 500);
+      await pressKey(jsPsych, "q");
+
+      const data = getData();
+      expect(data.aborted).toBe(false);
+      expect(data.anticipatory_responses).toEqual([
+        { type: "touch", key: null, time: expect.any(Number), phase: "fixation" },
+      ]);
+    });
+  });
+
+  describe("premature responses", () => {
+    it("aborts the trial on a premature key press if requested", async () => {
+      const { trial, modifications } = createTrial({
+        soa: -50,
+        abort_on_anticipation: true,
+        anticipation_warning_duration: 1000,
+      });
+      const { jsPsych, getData } = await startTrial(trial);
+
+      await advanceTime(100);
+      await pressKey(jsPsych, "q");
+      expect(document.body.innerHTML).toContain("Please wait");
+
+      await advanceTime(1000);
+      const data = getData();
+      expect(data.aborted).toBe(true);
+      expect(data.response).toBeNull();
+      expect(data.anticipatory_responses).toEqual([
+        { type: "key", key: "q", time: expect.any(Number), phase: "fixation" },
+      ]);
+      expect(data).not.toHaveProperty("soa_achieved");
+      expect(modifications).toHaveLength(0);
+    });
+
+    it("stops the stimulus modifications when the trial is aborted", async () => {
+      const { trial, modifications } = createTrial({
+        soa: -200,
+        abort_on_anticipation: true,
+        anticipation_warning_duration: 0,
+      });
+      const { jsPsych, getData } = await startTrial(trial);
+
+      await advanceTime(trial.fixation_time + 50);
+      expect(modifications.map(({ id }) => id)).toEqual(["probe"]);
+
+      await pressKey(jsPsych, "q");
+      await advanceTime(1000);
+      expect(getData().aborted).toBe(true);
+      expect(modifications.map(({ id }) => id)).toEqual(["probe"]);
+    });
+  });
+
+  describe("result data", () => {
+    it("contains the trial parameters, the response, and the timing", async () => {
+      const { jsPsych, getData } = await runUntilResponseWindow({ soa: -50 });
+      await pressKey(jsPsych, "q");
+
+      const data = getData();
+      expect(data).toEqual(
+        expect.objectContaining({
+          soa: -50,
+          fixation_time: 500,
+          response_mode: "toj",
+          probe_key: "q",
+          reference_key: "p",
+          fixation_onset: expect.any(Number),
+          anticipatory_responses: [],
+          response_key: "q",
+          response: "probe",
+          response_correct: true,
+          timed_out: false,
+          aborted: false,
+          rt: expect.any(Number),
+          soa_achieved: expect.any(Number),
+          soa_warning: false,
+          soa_frames_intended: -3,
+          soa_frames_achieved: -3,
+          probe_modification_start: expect.any(Number),
+          probe_modification_end: expect.any(Number),
+          reference_modification_start: expect.any(Number),
+          reference_modification_end: expect.any(Number),
+          response_window_start: expect.any(Number),
+          response_window_end: expect.any(Number),
+        })
+      );
+      expect(data.probe_modification_start).toBeLessThan(data.reference_modification_start);
+      expect(data.response_window_start).toBeGreaterThanOrEqual(data.reference_modification_start);
+      expect(data.response_window_end - data.response_window_start).toBe(data.rt);
+    });
+
+    it("does not contain the stimulus elements and the fixation mark", async () => {
+      const { jsPsych, getData } = await runUntilResponseWindow({ soa: 0 });
+      await pressKey(jsPsych, "p");
+
+      const data = getData();
+      for (const key of ["probe_element", "reference_element", "fixation_mark_html"]) {
+        expect(data).not.toHaveProperty(key);
+      }
+    });
+
+    it("contains the confidence rating if requested", async () => {
+      const { jsPsych, getData } = await runUntilResponseWindow({
+        soa: 50,
+        confidence_rating: true,
+      });
+      await pressKey(jsPsych, "p");
+      expect(document.body.innerHTML).toContain("How confident are you");
+
+      await advanceTime(400);
+      await pressKey(jsPsych, "3");
+
+      const data = getData();
+      expect(data.confidence).toBe(3);
+      expect(data.confidence_key).toBe("3");
+      expect(data.confidence_rt).toBeGreaterThanOrEqual(400);
+    });
+
+    it("requires as many confidence keys as confidence labels", () => {
+      const { trial } = createTrial({
+        confidence_rating: true,
+        confidence_labels: ["Unsure", "Sure"],
+        confidence_keys: ["1", "2", "3"],
+      });
+      expect(() => TojPlugin.validateConfidenceOptions(trial)).toThrow(
+        "The numbers of confidence labels (2) and confidence keys (3) differ."
+      );
+      expect(() =>
+        TojPlugin.validateConfidenceOptions({ ...trial, confidence_rating: false })
+      ).not.toThrow();
+    });
+
+    it("only samples a response time for the simulated confidence rating", async () => {
+      // Returns the number of random numbers drawn for a simulated trial
+      const countRandomNumbers = async (parameters) => {
+        const next = jest.spyOn(random, "next");
+        initJsPsych().simulate([createTrial(parameters).trial], "data-only");
+        await advanceTime(0);
+        const count = next.mock.calls.length;
+        next.mockRestore();
+        return count;
+      };
+
+      // A response time is sampled from two random numbers (Box-Muller transform)
+      expect(await countRandomNumbers({ soa: 50, confidence_rating: true })).toBe(
+        (await countRandomNumbers({ soa: 50 })) + 2
+      );
+    });
+
+    it("has the same properties in simulation mode", async () => {
+      const { jsPsych, getData } = await runUntilResponseWindow({ soa: 50 });
+      await pressKey(jsPsych, "p");
+      const realData = getData();
+      document.body.innerHTML = "";
+
+      const { trial } = createTrial({ soa: 50 });
+      const simulatedJsPsych = initJsPsych();
+      simulatedJsPsych.simulate([trial], "data-only", { default: { observer: { jnd: 20 } } });
+      await advanceTime(0);
+
+      const simulatedData = simulatedJsPsych.data.get().values()[0];
+      // `on_start` is added by `startTrial()`
+      const realKeys = Object.keys(realData).filter((key) => key !== "on_start");
+      expect(Object.keys(simulatedData).sort()).toEqual(realKeys.sort());
+    });
+  });
+});
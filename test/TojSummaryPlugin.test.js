@@ -0,0 +1,100 @@
+import { initJsPsych } from "jspsych";
+
+import { TojSummaryPlugin } from "../src/plugins/TojSummaryPlugin";
+import { getProbeFirstProbability } from "../src/util/psychometrics";
+import { advanceTime, pressKey } from "./helpers";
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  document.body.innerHTML = "";
+});
+
+const soas = [-100, -50, -20, 0, 20, 50, 100];
+
+/**
+ * Returns the data of `trialCount` TOJ trials per SOA whose 'probe first' proportions follow a
+ * psychometric function with the given parameters
+ */
+const createTrials = (parameters, properties = {}, trialCount = 20) =>
+  soas.flatMap((soa) => {
+    const probeFirstCount = Math.round(trialCount * getProbeFirstProbability(soa, parameters));
+    return Array.from({ length: trialCount }, (_, i) => ({
+      ...properties,
+      soa,
+      response: i < probeFirstCount ? "probe" : "reference",
+    }));
+  });
+
+describe("TojSummaryPlugin", () => {
+  describe("fitGroups()", () => {
+    it("fits a psychometric function per group", () => {
+      const trials = [
+        ...createTrials({ pss: -20, spread: 30 }, { salient: true }),
+        ...createTrials({ pss: 20, spread: 30 }, { salient: false }),
+      ];
+      const results = TojSummaryPlugin.fitGroups(trials, ["salient"], {});
+
+      expect(results.map(({ group }) => group)).toEqual([{ salient: true }, { salient: false }]);
+      expect(results[0].fit.pss).toBeCloseTo(-20, -1);
+      expect(results[1].fit.pss).toBeCloseTo(20, -1);
+      expect(results[0].levels).toHaveLength(soas.length);
+      expect(results[0]).not.toHaveProperty("tvaFit");
+    });
+
+    it("skips groups without responses or with responses at a single SOA", () => {
+      const trials = [
+        ...createTrials({ pss: 0, spread: 30 }, { salient: true }),
+        { salient: false, soa: 50, response: "probe" },
+        { salient: false, soa: 50, response: "reference" },
+        { salient: null, soa: 50, response: null },
+      ];
+      const results = TojSummaryPlugin.fitGroups(trials, ["salient"], {}, true);
+
+      expect(results[0].fit).not.toBeNull();
+      expect(results[0].tvaFit).toBeDefined();
+      expect(results.slice(1)).toEqual([
+        {
+          group: { salient: false },
+          levels: [{ soa: 50, trialCount: 2, probeFirstCount: 1 }],
+          fit: null,
+          skipReason: "All responses are at a single SOA",
+        },
+        { group: { salient: null }, levels: [], fit: null, skipReason: "There are no responses" },
+      ]);
+    });
+  });
+
+  it("logs and shows the fits and flags the skipped groups", async () => {
+    const jsPsych = initJsPsych();
+    for (const data of [
+      ...createTrials({ pss: 10, spread: 30 }, { salient: true }),
+      { salient: false, soa: 20, response: "probe" },
+    ]) {
+      jsPsych.data.get().push(data);
+    }
+    jsPsych.run([
+      { type: TojSummaryPlugin, group_by: ["salient"], show_summary: true, show_plot: true },
+    ]);
+    await advanceTime(0);
+
+    const html = document.body.innerHTML;
+    expect(html).toContain("salient: true");
+    expect(html).toContain("<svg");
+    expect(html).toContain("Not fit: All responses are at a single SOA (1 trials)");
+    expect(html).not.toContain("NaN");
+
+    await pressKey(jsPsych, " ");
+    const { fits } = jsPsych.data.get().last(1).values()[0];
+    expect(fits[0]).toMatchObject({ group: { salient: true }, trial_count: soas.length * 20 });
+    expect(fits[0].pss).toBeCloseTo(10, -1);
+    expect(fits[1]).toEqual({
+      group: { salient: false },
+      trial_count: 1,
+      skip_reason: "All responses are at a single SOA",
+    });
+  });
+});
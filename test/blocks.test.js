@@ -0,0 +1,219 @@
+import {
+  createBlocks,
+  getLatinSquareRow,
+  getLatinSquareRowCount,
+  splitTrials,
+} from "../src/util/blocks";
+import { random } from "../src/util/random";
+
+beforeEach(() => {
+  random.setSeed("blocks-tests");
+});
+
+const trials = Array.from({ length: 12 }, (_, index) => ({
+  index,
+  probeLeft: index % 2 === 0,
+  salient: index % 3 === 0,
+}));
+
+const sortByIndex = (trials) => [...trials].sort((a, b) => a.index - b.index);
+
+/**
+ * Returns the trial procedures of a block created by `createBlocks()` (i.e. all nodes except the
+ * block-finished screen)
+ */
+const getProcedures = (block) => block.timeline.slice(0, -1);
+
+describe("splitTrials()", () => {
+  it("splits the trials into subsets of equal size that are balanced by the given variables", () => {
+    const subsets = splitTrials(trials, 3, ["probeLeft"]);
+
+    expect(subsets).toHaveLength(3);
+    expect(sortByIndex(subsets.flat())).toEqual(trials);
+    for (const subset of subsets) {
+      expect(subset).toHaveLength(4);
+      expect(subset.filter(({ probeLeft }) => probeLeft)).toHaveLength(2);
+    }
+  });
+});
+
+describe("getLatinSquareRow()", () => {
+  /**
+   * Returns how often each number immediately precedes each other number across the given rows
+   */
+  const countSuccessions = (rows) => {
+    const counts = new Map();
+    for (const row of rows) {
+      for (let i = 1; i < row.length; i++) {
+        const key = `${row[i - 1]}-${row[i]}`;
+        counts.set(key, (counts.get(key) ?? 0) + 1);
+      }
+    }
+    return counts;
+  };
+
+  const getRows = (n, rowCount = getLatinSquareRowCount(n)) =>
+    Array.from({ length: rowCount }, (_, row) => getLatinSquareRow(n, row));
+
+  it.each([2, 3, 4, 5])("returns a balanced Latin square design for n = %i", (n) => {
+    const rows = getRows(n);
+    expect(rows).toHaveLength(n % 2 === 0 ? n : 2 * n);
+
+    const numbers = Array.from({ length: n }, (_, i) => i);
+    for (const row of rows) {
+      expect([...row].sort()).toEqual(numbers);
+    }
+    // Each position holds each number equally often
+    for (let position = 0; position < n; position++) {
+      const column = rows.map((row) => row[position]);
+      for (const number of numbers) {
+        expect(column.filter((value) => value === number)).toHaveLength(rows.length / n);
+      }
+    }
+
+    const successions = countSuccessions(rows);
+    expect(successions.size).toBe(n * (n - 1));
+    for (const count of successions.values()) {
+      expect(count).toBe(rows.length / n);
+    }
+  });
+
+  it("is not balanced by a single Latin square for odd n", () => {
+    const successions = countSuccessions(getRows(3, 3));
+    expect(successions.size).toBeLessThan(3 * 2);
+  });
+
+  it("wraps around row numbers beyond the design", () => {
+    expect(getLatinSquareRow(4, 5)).toEqual(getLatinSquareRow(4, 1));
+    expect(getLatinSquareRow(3, 7)).toEqual(getLatinSquareRow(3, 1));
+    expect(getLatinSquareRow(3, 4)).toEqual([...getLatinSquareRow(3, 1)].reverse());
+  });
+});
+
+describe("createBlocks()", () => {
+  const timeline = [{ type: "toj" }];
+
+  it("repeats all trials in each block with the `repeat` strategy", () => {
+    const blocks = createBlocks({ trials, timeline, blockCount: 3, strategy: "repeat" });
+
+    expect(blocks).toHaveLength(3);
+    for (const block of blocks) {
+      const [procedure] = getProcedures(block);
+      expect(procedure.timeline_variables).toEqual(trials);
+      expect(procedure.randomize_order).toBe(true);
+    }
+  });
+
+  it("shows each trial once with the `split` strategy", () => {
+    const blocks = createBlocks({
+      trials,
+      timeline,
+      blockCount: 4,
+      strategy: "split",
+      balanceBy: ["salient"],
+    });
+
+    const subsets = blocks.map((block) => getProcedures(block)[0].timeline_variables);
+    expect(sortByIndex(subsets.flat())).toEqual(trials);
+    for (const subset of subsets) {
+      expect(subset).toHaveLength(3);
+      expect(subset.filter(({ salient }) => salient)).toHaveLength(1);
+    }
+  });
+
+  it("cycles through the subsets with the `alternate` strategy", () => {
+    const blocks = createBlocks({
+      trials,
+      timeline,
+      blockCount: 5,
+      strategy: "alternate",
+      subsetCount: 2,
+    });
+
+    const subsets = blocks.map((block) => getProcedures(block)[0].timeline_variables);
+    expect(subsets[0]).not.toEqual(subsets[1]);
+    expect(subsets[2]).toEqual(subsets[0]);
+    expect(subsets[3]).toEqual(subsets[1]);
+    expect(subsets[4]).toEqual(subsets[0]);
+    expect(sortByIndex([...subsets[0], ...subsets[1]])).toEqual(trials);
+  });
+
+  it.each([2, 3])(
+    "runs the subsets in the order of a Latin square row with the `latinSquare` strategy (%i subsets)",
+    (subsetCount) => {
+      let row = 1;
+      const blocks = createBlocks({
+        trials,
+        timeline,
+        blockCount: 2 * subsetCount,
+        strategy: "latinSquare",
+        subsetCount,
+        latinSquareRow: () => row,
+      });
+
+      // Returns the index of the subset that is run in each block
+      const getSubsetOrder = () =>
+        blocks.map((block) => {
+          const procedures = getProcedures(block);
+          expect(procedures).toHaveLength(subsetCount);
+          const runs = procedures.map((procedure) => procedure.conditional_function());
+          expect(runs.filter(Boolean)).toHaveLength(1);
+          return runs.indexOf(true);
+        });
+
+      const latinSquareRow = getLatinSquareRow(subsetCount, 1);
+      expect(getSubsetOrder()).toEqual([...latinSquareRow, ...latinSquareRow]);
+
+      // The row is evaluated at runtime
+      row = subsetCount + 1;
+      const nextRow = getLatinSquareRow(subsetCount, row);
+      expect(getSubsetOrder()).toEqual([...nextRow, ...nextRow]);
+    }
+  );
+
+  it("rejects unknown strategies", () => {
+    expect(() => createBlocks({ trials, timeline, blockCount: 1, strategy: "foo" })).toThrow(
+      'Unknown block strategy "foo"'
+    );
+  });
+
+  it("adds the block number to the data of all trials and keeps their `on_finish` callbacks", () => {
+    const onFinish = jest.fn();
+    const onScreenFinish = jest.fn();
+    const blocks = createBlocks({
+      trials,
+      timeline: [{ timeline: [{ type: "toj", on_finish: onFinish }] }],
+      blockCount: 2,
+      createBlockFinishedScreen: (block, blockCount) => ({
+        type: "screen",
+        stimulus: `${block}/${blockCount}`,
+        on_finish: onScreenFinish,
+      }),
+    });
+
+    const [procedure, screen] = blocks[1].timeline;
+    const tojData = { response: "probe" };
+    procedure.timeline[0].timeline[0].on_finish(tojData);
+    expect(tojData).toEqual({ response: "probe", block: 2, blockCount: 2 });
+    expect(onFinish).toHaveBeenCalledWith(tojData);
+
+    expect(screen.stimulus).toBe("2/2");
+    const screenData = {};
+    screen.on_finish(screenData);
+    expect(screenData).toEqual({ block: 2, blockCount: 2 });
+    expect(onScreenFinish).toHaveBeenCalledWith(screenData);
+  });
+
+  it("wraps the trial procedures if requested", () => {
+    const blocks = createBlocks({
+      trials,
+      timeline,
+      blockCount: 1,
+      wrapProcedure: (procedure) => ({ timeline: [procedure], wrapped: true }),
+    });
+
+    const [wrapper] = getProcedures(blocks[0]);
+    expect(wrapper.wrapped).toBe(true);
+    expect(wrapper.timeline[0].timeline_variables).toEqual(trials);
+  });
+});
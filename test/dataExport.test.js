@@ -0,0 +1,173 @@
+import { initJsPsych } from "jspsych";
+
+import { NegationTojPlugin } from "../src/plugins/NegationTojPlugin";
+import { TargetPairConditionGenerator } from "../src/util/ConditionGenerator";
+import {
+  createCodebook,
+  describeColumn,
+  flattenData,
+  flattenTrial,
+  getColumns,
+  toCsv,
+  toJsonLines,
+} from "../src/util/dataExport";
+import { buildTimeline } from "../src/util/experimentBuilder";
+import { random } from "../src/util/random";
+import { labHueFeature } from "../src/util/targetFeatures";
+
+beforeEach(() => {
+  random.setSeed("data-export-tests");
+});
+
+afterEach(() => {
+  document.body.innerHTML = "";
+});
+
+describe("flattenTrial()", () => {
+  it("splits a target pair condition into columns per pair and target", () => {
+    const generator = new TargetPairConditionGenerator({
+      feature: labHueFeature(),
+      pairCount: 2,
+      distractorSoas: [30],
+    });
+    const condition = generator.generateCondition(true);
+    const row = flattenTrial({ soa: 20, condition });
+
+    expect(row).not.toHaveProperty("condition");
+    expect(row.soa).toBe(20);
+    expect(row.grid_rotation).toBe(condition.rotation);
+    expect(row.distractor_soa).toBe(30);
+    for (const { pairIndex, primary, secondary, fixationTime } of condition.targetPairs) {
+      expect(row[`pair${pairIndex}_fixation_time`]).toBe(fixationTime);
+      for (const [name, target] of [
+        ["primary", primary],
+        ["secondary", secondary],
+      ]) {
+        const prefix = `pair${pairIndex}_${name}_`;
+        expect(row[`${prefix}color_deg`]).toBe(target.color.degrees);
+        expect(row[`${prefix}quadrant`]).toBe(target.quadrant.number);
+        expect(row[`${prefix}is_left`]).toBe(target.isLeft);
+        expect(row[`${prefix}is_probe`]).toBe(target.isProbe);
+        expect([row[`${prefix}grid_x`], row[`${prefix}grid_y`]]).toEqual(target.gridPosition);
+      }
+    }
+
+    // The JSON representation of the condition (as in saved results) results in the same row
+    expect(flattenTrial(JSON.parse(JSON.stringify({ soa: 20, condition })))).toEqual(row);
+
+    for (const column of Object.keys(row)) {
+      expect(describeColumn(column)).not.toBeNull();
+    }
+  });
+
+  it("splits other nested objects and serializes arrays as JSON", () => {
+    expect(
+      flattenTrial({
+        counterbalancing: { keys: "qp", voice: { gender: "m" } },
+        anticipatory_responses: ["q", "p"],
+        rt: undefined,
+      })
+    ).toEqual({
+      counterbalancing_keys: "qp",
+      counterbalancing_voice_gender: "m",
+      anticipatory_responses: '["q","p"]',
+      rt: null,
+    });
+  });
+});
+
+describe("flattenData()", () => {
+  const trials = [
+    { trial_type: "html-keyboard-response", response: " " },
+    { trial_type: "toj", soa: 20, response: "probe", response_correct: false },
+    { trial_type: "toj", soa: -20, response: null, response_correct: null },
+    { trial_type: "toj-summary", soa: 20 },
+  ];
+
+  it("keeps all trials by default", () => {
+    expect(flattenData(trials).map(({ trial_type }) => trial_type)).toEqual(
+      trials.map(({ trial_type }) => trial_type)
+    );
+  });
+
+  it("drops all trials that are not TOJ trials with `tojTrialsOnly`", () => {
+    const rows = flattenData({ values: () => trials }, { tojTrialsOnly: true });
+    expect(rows).toEqual([trials[1], trials[2]]);
+  });
+});
+
+describe("toCsv()", () => {
+  const rows = [
+    { a: 1, b: 'say "hi"', c: "x,y" },
+    { a: null, c: "line\nbreak", d: true },
+  ];
+
+  it("quotes and escapes fields with commas, quotes, and line breaks", () => {
+    expect(toCsv(rows)).toBe(
+      ["a,b,c,d", '1,"say ""hi""","x,y",', ',,"line\nbreak",true'].join("\r\n")
+    );
+  });
+
+  it("includes the given columns only", () => {
+    expect(toCsv(rows, ["d", "a"])).toBe(["d,a", ",1", "true,"].join("\r\n"));
+  });
+});
+
+describe("toJsonLines()", () => {
+  it("serializes each row on its own line", () => {
+    expect(toJsonLines([{ a: 1 }, { b: "x\ny" }])).toBe('{"a":1}\n{"b":"x\\ny"}');
+  });
+});
+
+describe("createCodebook()", () => {
+  it.each(["staircase", "psi"])(
+    "describes every column of an experiment's TOJ trials (with %s SOAs)",
+    async (method) => {
+      const jsPsych = initJsPsych();
+      const timeline = buildTimeline(
+        jsPsych,
+        {
+          name: "Test",
+          plugin: "toj-negation",
+          skipIntroduction: true,
+          resumable: false,
+          instructions: { en: "", de: "" },
+          factors: {
+            isInstructionNegated: [true, false],
+            probeLeft: [true, false],
+            soa: [-40, 40],
+          },
+          tutorial: { trialCount: 2 },
+          blocks: { count: 1, repeatMissedTrials: true },
+          parameters: { response_timeout: 500 },
+          stimulus: { feature: { type: "labHue" }, pairCount: 2 },
+          adaptive: { method, conditionBy: ["isInstructionNegated"] },
+        },
+        { assetPaths: { audio: [] } }
+      );
+      await jsPsych.simulate(timeline, "data-only", {
+        default: { observer: { rtMean: 450, rtSd: 100 } },
+      });
+
+      const rows = flattenData(jsPsych.data.get(), { tojTrialsOnly: true });
+      const codebook = createCodebook(rows);
+      expect(codebook.map(({ column }) => column)).toEqual(getColumns(rows));
+      expect(getColumns(rows)).toEqual(
+        expect.arrayContaining(["pair1_secondary_color_deg", "adaptive_condition", "is_repetition"])
+      );
+      expect(codebook.find(({ column }) => column === "soa").type).toBe("number");
+      expect(codebook.find(({ column }) => column === "response").type).toBe("string");
+
+      // Apart from the trial parameters (which are described generically), every column is
+      // described specifically
+      const parameters = Object.keys(NegationTojPlugin.info.parameters);
+      const undescribedColumns = getColumns(rows).filter(
+        (column) =>
+          !parameters.includes(column) &&
+          !/^(data|on)_/.test(column) &&
+          describeColumn(column) === null
+      );
+      expect(undescribedColumns).toEqual([]);
+    }
+  );
+});
@@ -0,0 +1,253 @@
+import { DualNegationTojPlugin } from "../src/plugins/DualNegationTojPlugin";
+import { ImageTojPlugin } from "../src/plugins/ImageTojPlugin";
+import { NegationTojPlugin } from "../src/plugins/NegationTojPlugin";
+import { playAudio } from "../src/util/audio";
+import {
+  advanceTime,
+  createElement,
+  createModificationRecorder,
+  pressKey,
+  startTrial,
+  touch,
+} from "./helpers";
+
+jest.mock("../src/util/audio", () => ({ playAudio: jest.fn(() => Promise.resolve()) }));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  playAudio.mockClear();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  document.body.innerHTML = "";
+});
+
+describe("ImageTojPlugin", () => {
+  const createTrial = (parameters = {}) => ({
+    type: ImageTojPlugin,
+    probe_image: "probe.png",
+    reference_image: "reference.png",
+    probe_properties: { x: 10, y: 20, width: 30 },
+    fixation_time: 500,
+    soa: -50,
+    probe_key: "q",
+    reference_key: "p",
+    ...parameters,
+  });
+
+  it("creates hidden image elements for the probe and the reference", async () => {
+    await startTrial(createTrial());
+
+    const probe = document.querySelector("img.toj-probe");
+    const reference = document.querySelector("img.toj-reference");
+    expect(probe.getAttribute("src")).toBe("probe.png");
+    expect(probe.getAttribute("width")).toBe("30");
+    expect(probe.style.marginLeft).toBe("10px");
+    expect(probe.style.marginTop).toBe("20px");
+    expect(reference.getAttribute("src")).toBe("reference.png");
+    expect(probe.style.visibility).toBe("hidden");
+    expect(reference.style.visibility).toBe("hidden");
+  });
+
+  it("does not hide the images if `hide_stimuli` is false", async () => {
+    await startTrial(createTrial({ hide_stimuli: false }));
+    expect(document.querySelector("img.toj-probe").style.visibility).toBe("");
+  });
+
+  it("modifies the images according to the SOA", async () => {
+    const { modifications, modificationFunction } = createModificationRecorder();
+    const recordClass = (element) => {
+      element.id = element.classList.contains("toj-probe") ? "probe" : "reference";
+      modificationFunction(element);
+    };
+    const { jsPsych, getData } = await startTrial(
+      createTrial({ soa: 50, modification_function: recordClass })
+    );
+
+    await advanceTime(1000);
+    expect(modifications.map(({ id }) => id)).toEqual(["reference", "probe"]);
+
+    await pressKey(jsPsych, "p");
+    const data = getData();
+    expect(data.response).toBe("reference");
+    expect(data.response_correct).toBe(true);
+    expect(data.probe_image).toBe("probe.png");
+    expect(data).not.toHaveProperty("probe_element");
+  });
+
+  it("shows the images by default", async () => {
+    await startTrial(createTrial({ soa: -50 }));
+
+    await advanceTime(520);
+    expect(document.querySelector("img.toj-probe").style.visibility).toBe("visible");
+    expect(document.querySelector("img.toj-reference").style.visibility).toBe("hidden");
+
+    await advanceTime(100);
+    expect(document.querySelector("img.toj-reference").style.visibility).toBe("visible");
+  });
+});
+
+/**
+ * Returns the parameters shared by the negation plugins' trials
+ */
+function createNegationTrial(type, parameters = {}) {
+  const { modifications, modificationFunction } = createModificationRecorder();
+  const trial = {
+    type,
+    probe_element: createElement("probe"),
+    reference_element: createElement("reference"),
+    modification_function: modificationFunction,
+    fixation_time: 500,
+    soa: -50,
+    probe_key: "q",
+    reference_key: "p",
+    instruction_filename: "red",
+    instruction_negated: true,
+    instruction_language: "en",
+    instruction_voice: "m",
+    ...parameters,
+  };
+  return { trial, modifications };
+}
+
+describe("NegationTojPlugin", () => {
+  it.each([
+    [true, "not"],
+    [false, "now"],
+  ])("plays the instruction (negated: %s) before the trial", async (negated, prefix) => {
+    const { trial, modifications } = createNegationTrial(NegationTojPlugin, {
+      instruction_negated: negated,
+    });
+    await startTrial(trial);
+
+    expect(playAudio.mock.calls).toEqual([
+      [`media/audio/color-toj-negation/en/m/${prefix}.wav`],
+      ["media/audio/color-toj-negation/en/m/red.wav"],
+    ]);
+    expect(modifications).toHaveLength(0);
+  });
+
+  it("runs a TOJ trial after the instruction", async () => {
+    const { trial, modifications } = createNegationTrial(NegationTojPlugin, { soa: 50 });
+    const { jsPsych, getData } = await startTrial(trial);
+
+    await advanceTime(1000);
+    expect(modifications.map(({ id }) => id)).toEqual(["reference", "probe"]);
+
+    await pressKey(jsPsych, "q");
+    const data = getData();
+    expect(data).toEqual(
+      expect.objectContaining({
+        response: "probe",
+        response_correct: false,
+        instruction_filename: "red",
+        instruction_negated: true,
+        soa_frames_achieved: 3,
+      })
+    );
+  });
+
+  it("accepts touch responses", async () => {
+    const probeTouchElement = createElement("probe-touch");
+    const { trial } = createNegationTrial(NegationTojPlugin, {
+      probe_touch_element: probeTouchElement,
+    });
+    const { getData } = await startTrial(trial);
+
+    await advanceTime(1000);
+    await touch(probeTouchElement);
+
+    expect(getData().response).toBe("probe");
+    expect(getData().response_correct).toBe(true);
+  });
+});
+
+describe("DualNegationTojPlugin", () => {
+  const createTrial = (parameters) =>
+    createNegationTrial(DualNegationTojPlugin, {
+      distractor_probe_element: createElement("distractor-probe"),
+      distractor_reference_element: createElement("distractor-reference"),
+      distractor_fixation_time: 300,
+      distractor_soa: 100,
+      instruction_base_directory: "media/audio/orientation-toj-negation",
+      ...parameters,
+    });
+
+  it("plays the instruction from the instruction base directory", async () => {
+    const { trial } = createTrial({ instruction_negated: false });
+    await startTrial(trial);
+
+    expect(playAudio.mock.calls).toEqual([
+      ["media/audio/orientation-toj-negation/en/m/now.wav"],
+      ["media/audio/orientation-toj-negation/en/m/red.wav"],
+    ]);
+  });
+
+  it("modifies the distractor stimuli according to the distractor SOA", async () => {
+    const { trial, modifications } = createTrial({ soa: -50 });
+    await startTrial(trial);
+
+    await advanceTime(1000);
+    expect(modifications.map(({ id }) => id)).toEqual([
+      "distractor-reference",
+      "distractor-probe",
+      "probe",
+      "reference",
+    ]);
+  });
+
+  it("logs the distractor timing", async () => {
+    const { trial } = createTrial({ soa: 0, distractor_soa: -100 });
+    const { jsPsych, getData } = await startTrial(trial);
+
+    await advanceTime(1000);
+    await pressKey(jsPsych, "p");
+
+    const data = getData();
+    expect(data).toEqual(
+      expect.objectContaining({
+        response: "reference",
+        response_correct: true,
+        soa_frames_achieved: 0,
+        distractor_soa: -100,
+        distractor_fixation_onset: data.fixation_onset,
+        distractor_soa_frames_intended: -6,
+        distractor_soa_frames_achieved: -6,
+        distractor_soa_warning: false,
+      })
+    );
+    expect(data.distractor_probe_modification_start).toBeLessThan(
+      data.distractor_reference_modification_start
+    );
+  });
+
+  it("waits for the distractor modification to end before finishing the trial", async () => {
+    const { trial } = createTrial({ fixation_time: 200, distractor_fixation_time: 1500 });
+    const { jsPsych, getData } = await startTrial(trial);
+
+    await advanceTime(500);
+    await pressKey(jsPsych, "q");
+    expect(getData()).toBeUndefined();
+
+    await advanceTime(1500);
+    expect(getData().distractor_soa_frames_achieved).toBe(6);
+  });
+
+  it("does not wait for the distractor modification when the trial is aborted", async () => {
+    const { trial } = createTrial({
+      distractor_fixation_time: 1500,
+      abort_on_anticipation: true,
+      anticipation_warning_duration: 500,
+    });
+    const { jsPsych, getData } = await startTrial(trial);
+
+    await advanceTime(100);
+    await pressKey(jsPsych, "q");
+    await advanceTime(500);
+
+    const data = getData();
+    expect(data.aborted).toBe(true);
+    expect(data).not.toHaveProperty("distractor_soa_achieved");
+  });
+});
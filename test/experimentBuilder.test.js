@@ -0,0 +1,170 @@
+import { initJsPsych } from "jspsych";
+
+import { colorTojNegation } from "../src/experiments/colorTojNegation";
+import { colorTojNegation2 } from "../src/experiments/colorTojNegation2";
+import { colorTojNegation3 } from "../src/experiments/colorTojNegation3";
+import { orientationTojNegation1 } from "../src/experiments/orientationTojNegation1";
+import {
+  buildTimeline,
+  createAdaptiveProcedures,
+  validateDefinition,
+} from "../src/util/experimentBuilder";
+import { PsiEstimator } from "../src/util/PsiEstimator";
+import { Staircase } from "../src/util/Staircase";
+import { random } from "../src/util/random";
+
+beforeEach(() => {
+  random.setSeed("experiment-builder-tests");
+});
+
+afterEach(() => {
+  document.body.innerHTML = "";
+});
+
+const definition = {
+  name: "Test",
+  plugin: "toj-negation",
+  skipIntroduction: true,
+  resumable: false,
+  instructions: { en: "", de: "" },
+  factors: { isInstructionNegated: [true, false], probeLeft: [true, false], soa: [-40, 0, 20, 40] },
+  tutorial: { trialCount: 2 },
+  blocks: { count: 1 },
+  stimulus: { feature: { type: "orientation" }, pairCount: 1 },
+};
+
+describe("the experiment definitions", () => {
+  it.each([
+    ["colorTojNegation", colorTojNegation],
+    ["colorTojNegation2", colorTojNegation2],
+    ["colorTojNegation3", colorTojNegation3],
+    ["orientationTojNegation1", orientationTojNegation1],
+  ])("%s is valid and refers to the response keys by placeholders", (_, experiment) => {
+    expect(() => validateDefinition(experiment)).not.toThrow();
+
+    for (const instructions of Object.values(experiment.instructions)) {
+      expect(instructions).toContain("**{{leftKey}}**");
+      expect(instructions).toContain("**{{rightKey}}**");
+      expect(instructions).not.toMatch(/\*\*[QP]\*\*/);
+    }
+  });
+});
+
+describe("createAdaptiveProcedures()", () => {
+  it("creates staircases on the SOA magnitudes or the signed SOAs", () => {
+    const soas = [40, -40, 0, 20];
+
+    const staircase = createAdaptiveProcedures({ method: "staircase" }, soas).get("a");
+    expect(staircase).toBeInstanceOf(Staircase);
+    expect(staircase.levels).toEqual([20, 40]);
+
+    const signedStaircase = createAdaptiveProcedures(
+      { method: "staircase", options: { mode: "signed", nDown: 1 } },
+      soas
+    ).get("a");
+    expect(signedStaircase.levels).toEqual([-40, 0, 20, 40]);
+    expect(signedStaircase.nDown).toBe(1);
+  });
+
+  it("creates Psi estimators on the signed SOAs", () => {
+    const estimator = createAdaptiveProcedures(
+      { method: "psi", options: { pssCount: 11 } },
+      [40, -40, 0]
+    ).get("a");
+    expect(estimator).toBeInstanceOf(PsiEstimator);
+    expect(estimator.soas).toEqual([-40, 0, 40]);
+    expect(estimator.pssValues).toHaveLength(11);
+  });
+});
+
+describe("buildTimeline()", () => {
+  it("rejects invalid adaptive options", () => {
+    expect(() =>
+      buildTimeline(
+        initJsPsych(),
+        { ...definition, adaptive: { method: "quest" } },
+        { assetPaths: { audio: [] } }
+      )
+    ).toThrow('definition.adaptive.method must be one of "staircase", "psi"');
+  });
+
+  it("runs the experiment blocks with adaptive SOAs per condition", async () => {
+    const jsPsych = initJsPsych();
+    const timeline = buildTimeline(
+      jsPsych,
+      {
+        ...definition,
+        adaptive: { method: "staircase", conditionBy: ["isInstructionNegated"] },
+        repetitions: 3,
+      },
+      { assetPaths: { audio: [] } }
+    );
+    await jsPsych.simulate(timeline, "data-only", { default: { observer: { jnd: 10 } } });
+
+    const tojTrials = jsPsych.data.get().filter({ trial_type: "toj-negation" }).values();
+    const [tutorialTrials, blockTrials] = [tojTrials.slice(0, 2), tojTrials.slice(2)];
+    expect(blockTrials).toHaveLength(48);
+
+    for (const trial of tutorialTrials) {
+      expect(trial.adaptive).toBeUndefined();
+    }
+    for (const trial of blockTrials) {
+      expect(trial.adaptive.condition).toBe(`isInstructionNegated=${trial.instruction_negated}`);
+      expect(Math.abs(trial.soa)).toBe(trial.adaptive.trialLevel);
+    }
+
+    // The staircases start at the largest SOA magnitude and are updated independently
+    const conditions = ["isInstructionNegated=true", "isInstructionNegated=false"];
+    for (const condition of conditions) {
+      const trials = blockTrials.filter((trial) => trial.adaptive.condition === condition);
+      expect(trials[0].adaptive.trialLevel).toBe(40);
+      expect(trials.at(-1).adaptive.trialCount).toBe(
+        trials.filter((trial) => trial.response !== null).length
+      );
+    }
+  });
+
+  it("logs the probeLeft factor under the configured data property", async () => {
+    expect(colorTojNegation2.probeLeftDataProperty).toBe("isProbeLeft");
+
+    const jsPsych = initJsPsych();
+    const timeline = buildTimeline(
+      jsPsych,
+      { ...definition, probeLeftDataProperty: "isProbeLeft" },
+      { assetPaths: { audio: [] } }
+    );
+    await jsPsych.simulate(timeline, "data-only");
+
+    const tojTrials = jsPsych.data.get().filter({ trial_type: "toj-negation" }).values();
+    expect(tojTrials.length).toBeGreaterThan(0);
+    for (const trial of tojTrials) {
+      expect(typeof trial.isProbeLeft).toBe("boolean");
+      expect(trial).not.toHaveProperty("probeLeft");
+      expect(trial.condition.targetPairs[0].primary.isProbe).toBe(
+        trial.condition.targetPairs[0].primary.isLeft === trial.isProbeLeft
+      );
+    }
+  });
+
+  it("repeats missed trials at the end of a block if requested", async () => {
+    const jsPsych = initJsPsych();
+    const timeline = buildTimeline(
+      jsPsych,
+      {
+        ...definition,
+        blocks: { count: 1, repeatMissedTrials: true },
+        parameters: { response_timeout: 500 },
+      },
+      { assetPaths: { audio: [] } }
+    );
+    await jsPsych.simulate(timeline, "data-only", {
+      default: { observer: { rtMean: 500, rtSd: 100 } },
+    });
+
+    const blockTrials = jsPsych.data.get().filter({ trial_type: "toj-negation" }).values().slice(2);
+    const repetitions = blockTrials.filter((trial) => trial.is_repetition);
+    expect(repetitions.length).toBe(blockTrials.filter((trial) => trial.timed_out).length);
+    expect(repetitions.length).toBeGreaterThan(0);
+    expect(blockTrials.at(-1).timed_out).toBe(false);
+  });
+});
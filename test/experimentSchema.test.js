@@ -0,0 +1,23 @@
+import { experimentSchema, validate } from "../src/util/experimentSchema";
+
+describe("validate()", () => {
+  it("checks minimums and exclusive minimums", () => {
+    expect(validate({ type: "number", minimum: 0 }, 0)).toEqual([]);
+    expect(validate({ type: "number", minimum: 0 }, -1, "value")).toEqual([
+      "value must be at least 0",
+    ]);
+    expect(validate({ type: "number", exclusiveMinimum: 0 }, 0.5)).toEqual([]);
+    expect(validate({ type: "number", exclusiveMinimum: 0 }, 0, "value")).toEqual([
+      "value must be greater than 0",
+    ]);
+  });
+
+  it("requires a positive bar size", () => {
+    const barSizeSchema = experimentSchema.properties.stimulus.properties.barSize;
+
+    expect(validate(barSizeSchema, { deg: 1.5 }, "barSize")).toEqual([]);
+    expect(validate(barSizeSchema, { deg: 0 }, "barSize")).toEqual([
+      "barSize.deg must be greater than 0",
+    ]);
+  });
+});
@@ -0,0 +1,93 @@
+"use strict";
+
+/**
+ * Helpers to run plugin trials headlessly (under jsdom with Jest's fake timers, which also fake
+ * `requestAnimationFrame()` and `performance.now()`).
+ */
+
+import { initJsPsych } from "jspsych";
+
+/**
+ * Advances the fake timers by `milliseconds` and runs all promise callbacks in between.
+ *
+ * @param {number} milliseconds
+ */
+export async function advanceTime(milliseconds) {
+  await jest.advanceTimersByTimeAsync(milliseconds);
+}
+
+/**
+ * Starts a jsPsych timeline with a single trial and returns the jsPsych instance along with a
+ * function that returns the trial's result data (`undefined` while the trial is running).
+ *
+ * jsPsych deep-copies trial parameters, so DOM element parameters are assigned in `on_start`
+ * (like the experiments do).
+ *
+ * @param {object} trial
+ */
+export async function startTrial(trial) {
+  const elements = Object.entries(trial).filter(([, value]) => value instanceof Element);
+  const parameters = Object.fromEntries(
+    Object.entries(trial).filter(([, value]) => !(value instanceof Element))
+  );
+
+  const jsPsych = initJsPsych();
+  jsPsych.run([
+    {
+      ...parameters,
+      on_start: (trial) => {
+        for (const [key, element] of elements) {
+          trial[key] = element;
+        }
+      },
+    },
+  ]);
+  await advanceTime(0);
+  return { jsPsych, getData: () => jsPsych.data.get().values()[0] };
+}
+
+/**
+ * Dispatches a `keydown` and a `keyup` event for a key on jsPsych's display element.
+ *
+ * @param {import("jspsych").JsPsych} jsPsych
+ * @param {string} key
+ */
+export async function pressKey(jsPsych, key) {
+  const target = jsPsych.getDisplayContainerElement();
+  target.dispatchEvent(new KeyboardEvent("keydown", { key, bubbles: true }));
+  target.dispatchEvent(new KeyboardEvent("keyup", { key, bubbles: true }));
+  await advanceTime(0);
+}
+
+/**
+ * Dispatches a `touchstart` event on an element.
+ *
+ * @param {Element} element
+ */
+export async function touch(element) {
+  element.dispatchEvent(new Event("touchstart", { bubbles: true }));
+  await advanceTime(0);
+}
+
+/**
+ * Returns a modification function that records which element is modified when (in the returned
+ * `modifications` array), identifying elements by their `id`.
+ */
+export function createModificationRecorder() {
+  const modifications = [];
+  const modificationFunction = (element) => {
+    modifications.push({ id: element.id, time: performance.now() });
+  };
+  return { modifications, modificationFunction };
+}
+
+/**
+ * Returns a new `div` element with the given `id`.
+ *
+ * @param {string} id
+ */
+export function createElement(id) {
+  const element = document.createElement("div");
+  element.id = id;
+  return element;
+}
@@ -0,0 +1,100 @@
+import HtmlKeyboardResponsePlugin from "@jspsych/plugin-html-keyboard-response";
+import { initJsPsych } from "jspsych";
+
+import { TojPlugin } from "../src/plugins/TojPlugin";
+import { repeatMissedTrials } from "../src/util/missedTrials";
+import { advanceTime, createElement, pressKey } from "./helpers";
+
+jest.mock("../src/util/audio", () => ({ playAudio: jest.fn(() => Promise.resolve()) }));
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  document.body.innerHTML = "";
+});
+
+/**
+ * Runs a block of an instruction trial and a TOJ trial (with a 1000 ms response timeout) per
+ * timeline variable set, wrapped with `repeatMissedTrials()`, and returns the jsPsych instance.
+ */
+function runBlock(soas) {
+  const jsPsych = initJsPsych();
+  const block = {
+    timeline: [
+      { type: HtmlKeyboardResponsePlugin, stimulus: "Get ready", trial_duration: 100 },
+      {
+        type: TojPlugin,
+        soa: jsPsych.timelineVariable("soa"),
+        fixation_time: 100,
+        probe_key: "q",
+        reference_key: "p",
+        response_timeout: 1000,
+        on_start: (trial) => {
+          trial.probe_element = createElement("probe");
+          trial.reference_element = createElement("reference");
+        },
+      },
+    ],
+    timeline_variables: soas.map((soa) => ({ soa })),
+  };
+  jsPsych.run([repeatMissedTrials(jsPsych, block)]);
+  return jsPsych;
+}
+
+describe("repeatMissedTrials()", () => {
+  it("repeats missed TOJ trials with the same timeline variables", async () => {
+    const jsPsych = runBlock([-50, 50]);
+
+    // Respond in the first trial, miss the second one, and respond in its repetition
+    await advanceTime(400);
+    await pressKey(jsPsych, "q");
+    await advanceTime(1500);
+    await advanceTime(400);
+    await pressKey(jsPsych, "p");
+
+    const tojData = jsPsych.data.get().filter({ trial_type: "toj-base" }).values();
+    expect(
+      tojData.map(({ soa, response, is_repetition }) => [soa, response, is_repetition])
+    ).toEqual([
+      [-50, "probe", false],
+      [50, null, false],
+      [50, "reference", true],
+    ]);
+  });
+
+  it("repeats trials that are missed again until they are answered", async () => {
+    const jsPsych = runBlock([50]);
+
+    // Miss the trial and its first repetition, and respond in the second repetition
+    await advanceTime(1500);
+    await advanceTime(1500);
+    await advanceTime(400);
+    await pressKey(jsPsych, "p");
+
+    const tojData = jsPsych.data.get().filter({ trial_type: "toj-base" }).values();
+    expect(
+      tojData.map(({ soa, response, is_repetition }) => [soa, response, is_repetition])
+    ).toEqual([
+      [50, null, false],
+      [50, null, true],
+      [50, "reference", true],
+    ]);
+    expect(jsPsych.data.get().filter({ trial_type: "html-keyboard-response" }).count()).toBe(3);
+  });
+
+  it("does not mark other trials", async () => {
+    const jsPsych = runBlock([-50]);
+
+    await advanceTime(400);
+    await pressKey(jsPsych, "q");
+
+    const [instruction] = jsPsych.data
+      .get()
+      .filter({ trial_type: "html-keyboard-response" })
+      .values();
+    expect(instruction).not.toHaveProperty("is_repetition");
+  });
+});
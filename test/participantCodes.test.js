@@ -0,0 +1,54 @@
+import {
+  codeLength,
+  createParticipantCode,
+  getCheckCharacter,
+  validateParticipantCode,
+} from "../src/util/participantCodes";
+
+describe("validateParticipantCode()", () => {
+  it("accepts and normalizes valid codes", () => {
+    const code = createParticipantCode();
+    expect(code).toHaveLength(codeLength + 1);
+
+    const input = ` ${code.slice(0, 2)}-${code.slice(2)} `.toLowerCase();
+    expect(validateParticipantCode(input)).toEqual({ code, error: null });
+  });
+
+  it("replaces easily confused characters", () => {
+    const code = "A1BC" + getCheckCharacter("A1BC");
+    expect(validateParticipantCode("AIBC" + code.slice(-1))).toEqual({ code, error: null });
+  });
+
+  it("rejects codes with a wrong check character", () => {
+    const body = "ABCD";
+    const wrongCheckCharacter = getCheckCharacter(body) === "A" ? "B" : "A";
+    expect(validateParticipantCode(body + wrongCheckCharacter).error).toContain("is invalid");
+  });
+
+  it("detects swaps of adjacent characters", () => {
+    const code = "ABCD" + getCheckCharacter("ABCD");
+    expect(validateParticipantCode("BACD" + code.slice(-1)).error).not.toBeNull();
+  });
+
+  it("rejects empty codes and invalid characters", () => {
+    expect(validateParticipantCode("  ").error).toBe("Please enter your participant code.");
+    expect(validateParticipantCode("AB0DE").error).toContain("contains invalid characters");
+  });
+
+  it("only accepts legacy codes without check character if enabled", () => {
+    expect(validateParticipantCode("ABCD").error).toContain("consist of 5 characters");
+    expect(validateParticipantCode("abcd", { allowLegacyCodes: true })).toEqual({
+      code: "ABCD",
+      error: null,
+    });
+  });
+
+  it("returns the error messages in the given language", () => {
+    expect(validateParticipantCode("", { language: "de" }).error).toBe(
+      "Bitte geben Sie Ihren Teilnahmecode ein."
+    );
+    expect(validateParticipantCode("ABCD", { language: "de" }).error).toContain(
+      "Teilnahmecodes bestehen aus 5 Zeichen"
+    );
+  });
+});
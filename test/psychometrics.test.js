@@ -0,0 +1,81 @@
+import {
+  aggregateResponses,
+  fitPsychometricFunction,
+  getProbeFirstProbability,
+  spreadToJnd,
+} from "../src/util/psychometrics";
+
+const soas = [-100, -50, -20, 0, 20, 50, 100];
+
+describe("getProbeFirstProbability()", () => {
+  it("equals 0.5 at the PSS and decreases with the SOA", () => {
+    for (const shape of ["gaussian", "logistic"]) {
+      const parameters = { pss: 10, spread: 30, shape };
+      expect(getProbeFirstProbability(10, parameters)).toBeCloseTo(0.5);
+
+      const probabilities = soas.map((soa) => getProbeFirstProbability(soa, parameters));
+      for (let i = 1; i < probabilities.length; i++) {
+        expect(probabilities[i]).toBeLessThan(probabilities[i - 1]);
+      }
+    }
+  });
+
+  it("is bounded by the lapse rate", () => {
+    const parameters = { pss: 0, spread: 10, lapseRate: 0.05 };
+    expect(getProbeFirstProbability(-1000, parameters)).toBeCloseTo(0.95);
+    expect(getProbeFirstProbability(1000, parameters)).toBeCloseTo(0.05);
+  });
+});
+
+describe("spreadToJnd()", () => {
+  it("returns the distance between the PSS and the 25 % point", () => {
+    for (const shape of ["gaussian", "logistic"]) {
+      const jnd = spreadToJnd(30, shape);
+      expect(getProbeFirstProbability(jnd, { pss: 0, spread: 30, shape })).toBeCloseTo(0.25, 5);
+    }
+  });
+});
+
+describe("aggregateResponses()", () => {
+  it("counts the 'probe first' responses per SOA and ignores other responses", () => {
+    const trials = [
+      { soa: 20, response: "probe" },
+      { soa: -20, response: "reference" },
+      { soa: 20, response: "reference" },
+      { soa: 20, response: null },
+      { soa: -20, response: "probe" },
+      { soa: -20, response: "same" },
+    ];
+
+    expect(aggregateResponses(trials)).toEqual([
+      { soa: -20, trialCount: 2, probeFirstCount: 1 },
+      { soa: 20, trialCount: 2, probeFirstCount: 1 },
+    ]);
+  });
+});
+
+describe("fitPsychometricFunction()", () => {
+  it("recovers the PSS and the JND", () => {
+    const parameters = { pss: 15, spread: 40 };
+    const levels = soas.map((soa) => ({
+      soa,
+      trialCount: 1000,
+      probeFirstCount: Math.round(1000 * getProbeFirstProbability(soa, parameters)),
+    }));
+    const fit = fitPsychometricFunction(levels);
+
+    expect(fit.pss).toBeCloseTo(15, 0);
+    expect(fit.spread).toBeCloseTo(40, 0);
+    expect(fit.jnd).toBeCloseTo(spreadToJnd(40), 0);
+    expect(fit.trialCount).toBe(7000);
+    expect(fit.df).toBe(5);
+    expect(fit.pValue).toBeGreaterThan(0.99);
+  });
+
+  it("rejects levels without responses", () => {
+    expect(() => fitPsychometricFunction([])).toThrow(/without any responses/);
+    expect(() => fitPsychometricFunction([{ soa: 0, trialCount: 0, probeFirstCount: 0 }])).toThrow(
+      /without any responses/
+    );
+  });
+});
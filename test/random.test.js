@@ -0,0 +1,99 @@
+import { initJsPsych } from "jspsych";
+
+import { buildTimeline, createConditionGenerator } from "../src/util/experimentBuilder";
+import { RandomGenerator, random, seedRandomness } from "../src/util/random";
+
+const originalMathRandom = Math.random;
+
+afterEach(() => {
+  Math.random = originalMathRandom;
+  document.body.innerHTML = "";
+});
+
+describe("RandomGenerator", () => {
+  it("generates the same sequence for the same seed", () => {
+    const draw = (generator) => Array.from({ length: 5 }, () => generator.next());
+
+    expect(draw(new RandomGenerator("a"))).toEqual(draw(new RandomGenerator("a")));
+    expect(draw(new RandomGenerator("a"))).not.toEqual(draw(new RandomGenerator("b")));
+
+    const generator = new RandomGenerator("a");
+    const sequence = draw(generator);
+    generator.setSeed("a");
+    expect(draw(generator)).toEqual(sequence);
+  });
+});
+
+describe("seedRandomness()", () => {
+  /**
+   * Seeds the randomness of a new jsPsych instance and returns a factorial design in jsPsych's
+   * random order along with conditions of a `TargetPairConditionGenerator` for its trials
+   */
+  const generate = (seed) => {
+    const jsPsych = initJsPsych();
+    seedRandomness(jsPsych, seed);
+    const trials = jsPsych.randomization.factorial({ probeLeft: [true, false], soa: [-50, 0, 50] });
+    const conditionGenerator = createConditionGenerator({
+      feature: { type: "labHue" },
+      pairCount: 2,
+    });
+    const conditions = trials
+      .concat(trials, trials)
+      .map(({ probeLeft }) => conditionGenerator.generateCondition(probeLeft));
+    return { trials, conditions };
+  };
+
+  it("reproduces the trial order and the conditions from the seed", () => {
+    const first = generate("participant-1");
+    const second = generate("participant-1");
+
+    expect(second.trials).toEqual(first.trials);
+    expect(second.conditions).toEqual(first.conditions);
+    expect(generate("participant-2").conditions).not.toEqual(first.conditions);
+  });
+
+  it("replaces Math.random() with the shared generator", () => {
+    seedRandomness(initJsPsych(), "participant-1");
+    expect(random.seed).toBe("participant-1");
+
+    const expected = new RandomGenerator("participant-1").next();
+    expect(Math.random()).toBe(expected);
+  });
+
+  it("reproduces a simulated session of an experiment definition", async () => {
+    const definition = {
+      name: "Test",
+      plugin: "toj-negation-dual",
+      skipIntroduction: true,
+      resumable: false,
+      instructions: { en: "", de: "" },
+      factors: { isInstructionNegated: [true, false], probeLeft: [true, false], soa: [-40, 40] },
+      tutorial: { trialCount: 2 },
+      blocks: { count: 2, strategy: "split" },
+      stimulus: { feature: { type: "labHue" } },
+    };
+    const simulate = async (seed) => {
+      const jsPsych = initJsPsych();
+      seedRandomness(jsPsych, seed);
+      const timeline = buildTimeline(jsPsych, definition, { assetPaths: { audio: [] } });
+      await jsPsych.simulate(timeline, "data-only");
+      return jsPsych.data
+        .get()
+        .filter({ trial_type: "toj-negation-dual" })
+        .values()
+        .map((data) => ({
+          soa: data.soa,
+          probeLeft: data.probeLeft,
+          instructionNegated: data.instruction_negated,
+          instructionVoice: data.instruction_voice,
+          condition: data.condition,
+          randomSeed: data.randomSeed,
+        }));
+    };
+
+    const session = await simulate("session-seed");
+    expect(session).toHaveLength(10);
+    expect(session[0].randomSeed).toBe("session-seed");
+    expect(await simulate("session-seed")).toEqual(session);
+  });
+});
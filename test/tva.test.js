@@ -0,0 +1,56 @@
+import { fitTvaModel, getTvaProbeFirstProbability } from "../src/util/tva";
+
+const soas = [-100, -50, -20, 0, 20, 50, 100];
+
+/**
+ * Returns aggregated responses with `trialCount` trials per SOA and 'probe first' counts given by
+ * `getProbeFirstCount(soa)`
+ */
+const createLevels = (getProbeFirstCount, trialCount = 40) =>
+  soas.map((soa) => ({ soa, trialCount, probeFirstCount: getProbeFirstCount(soa, trialCount) }));
+
+describe("getTvaProbeFirstProbability()", () => {
+  it("favors the stimulus with the higher rate at SOA 0", () => {
+    expect(getTvaProbeFirstProbability(0, { vProbe: 60, vReference: 40 })).toBeCloseTo(0.6);
+  });
+
+  it("increases with the probe's lead", () => {
+    const rates = { vProbe: 50, vReference: 50 };
+    const probabilities = soas.map((soa) => getTvaProbeFirstProbability(soa, rates));
+    for (let i = 1; i < probabilities.length; i++) {
+      expect(probabilities[i]).toBeLessThan(probabilities[i - 1]);
+    }
+  });
+});
+
+describe("fitTvaModel()", () => {
+  it("recovers the processing rates", () => {
+    const rates = { vProbe: 60, vReference: 40 };
+    const fit = fitTvaModel(
+      createLevels((soa, trialCount) =>
+        Math.round(trialCount * getTvaProbeFirstProbability(soa, rates))
+      )
+    );
+
+    expect(fit.converged).toBe(true);
+    expect(fit.vProbe).toBeCloseTo(60, -1);
+    expect(fit.vReference).toBeCloseTo(40, -1);
+    expect(fit.C).toBeCloseTo(fit.vProbe + fit.vReference);
+    expect(fit.wProbe + fit.wReference).toBeCloseTo(1);
+    expect(fit.trialCount).toBe(soas.length * 40);
+  });
+
+  it.each([
+    ["only 'probe first' responses", (soa, trialCount) => trialCount],
+    ["only 'reference first' responses", () => 0],
+    ["perfectly separated responses", (soa, trialCount) => (soa < 0 ? trialCount : 0)],
+  ])("does not converge with %s", (_, getProbeFirstCount) => {
+    const fit = fitTvaModel(createLevels(getProbeFirstCount));
+
+    expect(fit.converged).toBe(false);
+    for (const rate of [fit.vProbe, fit.vReference]) {
+      expect(rate).toBeGreaterThanOrEqual(1);
+      expect(rate).toBeLessThanOrEqual(1000);
+    }
+  });
+});
@@ -0,0 +1,137 @@
+import { initJsPsych } from "jspsych";
+
+import { addScreenCalibration } from "../src/util/introduction";
+import { Scaler } from "../src/util/Scaler";
+import {
+  ScreenCalibration,
+  creditCardWidth,
+  isDegrees,
+  screenCalibration,
+} from "../src/util/visualAngle";
+import { advanceTime } from "./helpers";
+
+// The span of one degree of visual angle in centimeters at a viewing distance of 1 cm
+const cmPerDegreePerCm = 2 * Math.tan(Math.PI / 360);
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  screenCalibration.reset();
+  document.body.innerHTML = "";
+});
+
+describe("isDegrees()", () => {
+  it("distinguishes sizes in degrees from sizes in pixels", () => {
+    expect(isDegrees({ deg: 1.5 })).toBe(true);
+    expect(isDegrees(20)).toBe(false);
+    expect(isDegrees(null)).toBe(false);
+    expect(isDegrees(undefined)).toBe(false);
+  });
+});
+
+describe("ScreenCalibration", () => {
+  it("defaults to the CSS reference pixel density and a viewing distance of 57 cm", () => {
+    const calibration = new ScreenCalibration();
+
+    expect(calibration.isMeasured).toBe(false);
+    expect(calibration.pixelsPerCm).toBeCloseTo(96 / 2.54);
+    expect(calibration.viewingDistance).toBe(57);
+    // At 57 cm, one degree spans about one centimeter
+    expect(calibration.pixelsPerDegree).toBeCloseTo((96 / 2.54) * 57 * cmPerDegreePerCm);
+    expect(calibration.pixelsPerDegree / calibration.pixelsPerCm).toBeCloseTo(1, 1);
+  });
+
+  it("converts between degrees and pixels with the measured calibration", () => {
+    const calibration = new ScreenCalibration();
+    calibration.set({ pixelsPerCm: 50, viewingDistance: 100 });
+
+    expect(calibration.isMeasured).toBe(true);
+    const pixelsPerDegree = 50 * 100 * cmPerDegreePerCm;
+    expect(calibration.pixelsPerDegree).toBeCloseTo(pixelsPerDegree);
+    expect(calibration.toPixels({ deg: 2 })).toBeCloseTo(2 * pixelsPerDegree);
+    expect(calibration.toPixels(30)).toBe(30);
+    expect(calibration.toDegrees(calibration.toPixels({ deg: 1.5 }))).toBeCloseTo(1.5);
+
+    calibration.reset();
+    expect(calibration.isMeasured).toBe(false);
+    expect(calibration.viewingDistance).toBe(57);
+  });
+});
+
+describe("Scaler", () => {
+  const setWindowSize = (width, height) => {
+    window.innerWidth = width;
+    window.innerHeight = height;
+    window.dispatchEvent(new Event("resize"));
+  };
+
+  afterEach(() => {
+    setWindowSize(1024, 768);
+  });
+
+  it("scales elements sized in pixels to fit the window", () => {
+    setWindowSize(1000, 600);
+    const element = document.createElement("div");
+    const scaler = new Scaler(element, 400, 200, 0);
+
+    expect(scaler.scale).toBe(2.5);
+    expect(element.style.transform).toBe("scale(2.5)");
+
+    setWindowSize(200, 600);
+    expect(scaler.scale).toBe(0.5);
+    scaler.destruct();
+  });
+
+  it("only scales elements sized in degrees down", () => {
+    screenCalibration.set({ pixelsPerCm: 40, viewingDistance: 57 });
+    const { pixelsPerDegree } = screenCalibration;
+    setWindowSize(1000, 600);
+    const element = document.createElement("div");
+    const scaler = new Scaler(element, { deg: 5 }, { deg: 5 }, 0);
+
+    expect(scaler.scale).toBe(1);
+
+    setWindowSize(2.5 * pixelsPerDegree, 600);
+    expect(scaler.scale).toBeCloseTo(0.5);
+    scaler.destruct();
+  });
+});
+
+describe("addScreenCalibration()", () => {
+  it("sets the screen calibration from the card size and the viewing distance", async () => {
+    const jsPsych = initJsPsych();
+    const timeline = [];
+    const globalProps = { instructionLanguage: "en" };
+    addScreenCalibration(jsPsych, timeline, globalProps);
+    jsPsych.run(timeline);
+    await advanceTime(0);
+
+    // A card width of 428 pixels corresponds to 50 pixels per centimeter
+    const slider = document.querySelector(".calibration-slider");
+    slider.value = String(creditCardWidth * 50);
+    slider.dispatchEvent(new Event("input"));
+    document.querySelector("#jspsych-html-button-response-button-0").click();
+    await advanceTime(0);
+
+    document.querySelector("#input-0").value = "10";
+    document.querySelector("#jspsych-survey-text-next").click();
+    await advanceTime(0);
+    expect(document.body.innerHTML).toContain("Please enter a distance between 20 and 200");
+    expect(screenCalibration.isMeasured).toBe(false);
+
+    document.querySelector("#input-0").value = "57,5";
+    document.querySelector("#jspsych-survey-text-next").click();
+    await advanceTime(0);
+
+    expect(globalProps).toMatchObject({ pixelsPerCm: 50, viewingDistance: 57.5 });
+    expect(screenCalibration.isMeasured).toBe(true);
+    expect(screenCalibration.pixelsPerDegree).toBeCloseTo(50 * 57.5 * cmPerDegreePerCm);
+    expect(jsPsych.data.get().last(1).values()[0]).toMatchObject({
+      pixelsPerCm: 50,
+      viewingDistance: 57.5,
+    });
+  });
+});